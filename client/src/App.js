@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useCallback } from 'react';
 import { Toaster } from 'react-hot-toast';
 import VideoPlayer from './components/VideoPlayer';
 import UrlInput from './components/UrlInput';
@@ -19,6 +19,17 @@ function App() {
     setTorrentInfo(info);
   };
 
+  // Switch to another file in the same torrent (playlist / next episode)
+  const handleFileChange = useCallback((url, file) => {
+    setStreamUrl(url);
+    setTorrentInfo(prev => ({
+      ...prev,
+      videoFile: file,
+      fileIndex: file.index,
+      resumeFrom: null
+    }));
+  }, []);
+
   const handleReset = () => {
     setStreamUrl(null);
     setTorrentInfo(null);
@@ -67,6 +78,7 @@ function App() {
             torrentInfo={torrentInfo}
             onReset={handleReset}
             onBack={() => handleReset()}
+            onFileChange={handleFileChange}
           />
         )}
       </main>
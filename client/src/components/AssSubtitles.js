@@ -0,0 +1,105 @@
+import React, { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import ASS from 'assjs';
+import { retimeAss } from './SubtitleTiming';
+import './AssSubtitles.css';
+
+// Font URLs already registered with document.fonts
+const loadedFonts = new Set();
+// The server answers 202 while it is still extracting a subtitle track from the video
+const EXTRACTION_POLL_INTERVAL = 15000;
+
+// Subtitle text, waiting for the server to finish extracting embedded tracks.
+// Resolves to null if `isCancelled()` becomes true while waiting
+export const fetchSubtitleText = async (src, isCancelled = () => false) => {
+  while (!isCancelled()) {
+    const response = await axios.get(src, { responseType: 'text' });
+    if (response.status !== 202) return response.data;
+    await new Promise(resolve => setTimeout(resolve, EXTRACTION_POLL_INTERVAL));
+  }
+  return null;
+};
+
+// Register fonts attached to the video under the family names ASS styles refer to
+const loadAttachedFonts = async (fontsUrl) => {
+  const response = await axios.get(fontsUrl);
+  const fonts = response.data.fonts || [];
+
+  await Promise.all(fonts.map(async (font) => {
+    const url = new URL(font.url, fontsUrl).toString();
+    if (loadedFonts.has(url)) return;
+    loadedFonts.add(url);
+
+    await Promise.all(font.families.map(async (family) => {
+      try {
+        const face = new FontFace(family, `url(${url})`, { weight: font.weight, style: font.style });
+        await face.load();
+        document.fonts.add(face);
+      } catch (error) {
+        console.warn(`Could not load font ${family}:`, error);
+      }
+    }));
+  }));
+};
+
+// Renders ASS/SSA subtitles with their original styling (fonts, colors, karaoke,
+// positioning) in a DOM overlay that follows the video's playback
+function AssSubtitles({ videoRef, src, fontsUrl, timing, onError }) {
+  const containerRef = useRef(null);
+  const [content, setContent] = useState(null);
+
+  // Load the attached fonts first so the first lines don't render in a fallback font
+  useEffect(() => {
+    if (!src) return;
+
+    let cancelled = false;
+    setContent(null);
+
+    const load = async () => {
+      if (fontsUrl) {
+        // Missing fonts only degrade the styling - still render the subtitles
+        await loadAttachedFonts(fontsUrl).catch((error) => {
+          console.warn('Could not load attached fonts:', error);
+        });
+      }
+
+      try {
+        const text = await fetchSubtitleText(src, () => cancelled);
+        if (!cancelled) setContent(text);
+      } catch (error) {
+        console.error('Error loading styled subtitles:', error);
+        if (!cancelled && onError) onError(error);
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [src, fontsUrl, onError]);
+
+  // (Re)create the renderer - timing changes rewrite the dialogue times
+  useEffect(() => {
+    const video = videoRef.current;
+    const container = containerRef.current;
+    if (!video || !container || !content) return;
+
+    let renderer;
+    try {
+      renderer = new ASS(timing ? retimeAss(content, timing) : content, video, { container });
+    } catch (error) {
+      console.error('Error rendering styled subtitles:', error);
+      if (onError) onError(error);
+      return;
+    }
+
+    return () => {
+      renderer.destroy();
+    };
+  }, [videoRef, content, timing, onError]);
+
+  return <div ref={containerRef} className="ass-subtitle-layer" />;
+}
+
+export default AssSubtitles;
@@ -0,0 +1,102 @@
+import React, { useEffect } from 'react';
+
+// Above this the audio is moved straight to the video's position, below it playback
+// speed is nudged so the correction isn't audible
+const DRIFT_SEEK_THRESHOLD = 0.3; // seconds
+const DRIFT_TOLERANCE = 0.05; // seconds
+const DRIFT_RATE_CORRECTION = 0.03; // ±3% playback speed while catching up
+const DRIFT_CHECK_INTERVAL = 1000; // ms
+
+// Plays an external audio file (e.g. a dub shipped next to the video) in a hidden
+// <audio> element kept in sync with the video: play/pause, seeking, playback rate and
+// drift correction. `offsetRef` holds the media time of the video element's 0 for
+// converted streams that were restarted at a later position.
+function ExternalAudio({ videoRef, audioRef, src, offsetRef }) {
+  useEffect(() => {
+    const video = videoRef.current;
+    const audio = audioRef.current;
+    if (!video || !audio || !src) return;
+
+    let pausedForAudio = false;
+    const mediaTime = () => video.currentTime + (offsetRef ? offsetRef.current : 0);
+
+    const syncPosition = () => {
+      audio.currentTime = mediaTime();
+    };
+
+    const handlePlay = () => {
+      syncPosition();
+      audio.play().catch((error) => {
+        console.warn('External audio playback failed:', error);
+      });
+    };
+    const handlePause = () => audio.pause();
+    const handleWaiting = () => audio.pause();
+    const handlePlaying = () => {
+      if (audio.paused) handlePlay();
+    };
+    const handleRateChange = () => {
+      audio.playbackRate = video.playbackRate;
+    };
+
+    // The audio is still buffering - hold the video until it catches up
+    const handleAudioWaiting = () => {
+      if (!video.paused) {
+        pausedForAudio = true;
+        video.pause();
+      }
+    };
+    const handleAudioCanPlay = () => {
+      if (pausedForAudio) {
+        pausedForAudio = false;
+        video.play().catch(() => {});
+      }
+    };
+
+    const correctDrift = () => {
+      if (video.paused || audio.paused || audio.seeking) return;
+
+      const drift = audio.currentTime - mediaTime();
+      if (Math.abs(drift) > DRIFT_SEEK_THRESHOLD) {
+        syncPosition();
+        audio.playbackRate = video.playbackRate;
+      } else if (Math.abs(drift) > DRIFT_TOLERANCE) {
+        // Ahead → slow down, behind → speed up
+        audio.playbackRate = video.playbackRate * (1 - Math.sign(drift) * DRIFT_RATE_CORRECTION);
+      } else {
+        audio.playbackRate = video.playbackRate;
+      }
+    };
+
+    audio.playbackRate = video.playbackRate;
+    syncPosition();
+    if (!video.paused) handlePlay();
+
+    video.addEventListener('play', handlePlay);
+    video.addEventListener('pause', handlePause);
+    video.addEventListener('waiting', handleWaiting);
+    video.addEventListener('playing', handlePlaying);
+    video.addEventListener('seeked', syncPosition);
+    video.addEventListener('ratechange', handleRateChange);
+    audio.addEventListener('waiting', handleAudioWaiting);
+    audio.addEventListener('canplay', handleAudioCanPlay);
+    const driftInterval = setInterval(correctDrift, DRIFT_CHECK_INTERVAL);
+
+    return () => {
+      clearInterval(driftInterval);
+      video.removeEventListener('play', handlePlay);
+      video.removeEventListener('pause', handlePause);
+      video.removeEventListener('waiting', handleWaiting);
+      video.removeEventListener('playing', handlePlaying);
+      video.removeEventListener('seeked', syncPosition);
+      video.removeEventListener('ratechange', handleRateChange);
+      audio.removeEventListener('waiting', handleAudioWaiting);
+      audio.removeEventListener('canplay', handleAudioCanPlay);
+      audio.pause();
+    };
+  }, [videoRef, audioRef, src, offsetRef]);
+
+  return <audio ref={audioRef} src={src || undefined} preload="auto" crossOrigin="anonymous" hidden />;
+}
+
+export default ExternalAudio;
@@ -0,0 +1,100 @@
+import React, { useMemo } from 'react';
+import './FileBrowser.css';
+
+// Format file size for display
+const formatSize = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, i)).toFixed(i > 1 ? 2 : 0)} ${units[i]}`;
+};
+
+const getFileIcon = (type) => {
+  switch (type) {
+    case 'video':
+      return '🎬';
+    case 'audio':
+      return '🎵';
+    case 'subtitle':
+      return '💬';
+    default:
+      return '📄';
+  }
+};
+
+function FileBrowser({ torrentName, files, activeFileIndex, onSelectFile, onCancel }) {
+  // Group files by their folder inside the torrent (file.path includes the torrent root)
+  const folders = useMemo(() => {
+    const groups = new Map();
+    files.forEach((file) => {
+      const parts = file.path.split(/[\\/]/);
+      const folder = parts.length > 2 ? parts.slice(1, -1).join('/') : '';
+      if (!groups.has(folder)) {
+        groups.set(folder, []);
+      }
+      groups.get(folder).push(file);
+    });
+
+    return Array.from(groups.entries())
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([folder, folderFiles]) => ({
+        folder,
+        files: folderFiles.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+      }));
+  }, [files]);
+
+  const videoCount = files.filter(file => file.type === 'video').length;
+
+  return (
+    <div className="file-browser">
+      <div className="file-browser-header">
+        <div className="file-browser-title-group">
+          <h3 className="file-browser-title">{torrentName || 'Torrent files'}</h3>
+          <p className="file-browser-subtitle">
+            {files.length} file{files.length !== 1 ? 's' : ''} · {videoCount} video{videoCount !== 1 ? 's' : ''} - choose what to play
+          </p>
+        </div>
+        {onCancel && (
+          <button className="file-browser-close" onClick={onCancel} title="Cancel">×</button>
+        )}
+      </div>
+
+      <div className="file-browser-tree">
+        {folders.map(({ folder, files: folderFiles }) => (
+          <div key={folder || 'root'} className="file-folder">
+            {folder && (
+              <div className="file-folder-name">
+                <span>📁</span>
+                {folder}
+              </div>
+            )}
+            {folderFiles.map((file) => {
+              const isPlayable = file.type === 'video';
+              const isActive = activeFileIndex === file.index;
+              return (
+                <div
+                  key={file.index}
+                  className={`file-item ${isPlayable ? 'playable' : 'disabled'} ${isActive ? 'active' : ''} ${folder ? 'nested' : ''}`}
+                  onClick={() => isPlayable && onSelectFile(file)}
+                  title={file.path}
+                >
+                  <span className="file-icon">{getFileIcon(file.type)}</span>
+                  <span className="file-name">{file.name}</span>
+                  <span className="file-size">{formatSize(file.length)}</span>
+                  {isPlayable && !isActive && (
+                    <span className="file-play">▶</span>
+                  )}
+                  {isActive && (
+                    <span className="file-active-badge">Playing</span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default FileBrowser;
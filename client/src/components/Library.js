@@ -0,0 +1,281 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import './Library.css';
+
+// Auto-detect API URL: use same origin in production, localhost in development
+const API_URL = process.env.REACT_APP_API_URL ||
+  (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+    ? 'http://localhost:5000'
+    : window.location.origin);
+
+const NO_FOLDER = '';
+
+// "Save to library" for a magnet ({ magnetUrl, name }) or a playing torrent ({ torrentId })
+export const saveToLibrary = async (payload) => {
+  try {
+    const response = await axios.post(`${API_URL}/api/library`, payload);
+    toast.success(`Saved "${response.data.name}" to the library`);
+    return response.data;
+  } catch (error) {
+    if (error.response?.status === 409) {
+      toast(`"${error.response.data.item.name}" is already in the library`, { icon: '📚' });
+      return error.response.data.item;
+    }
+    toast.error(error.response?.data?.error || 'Could not save to the library');
+    return null;
+  }
+};
+
+// Items grouped by folder, in the order the server sorted them: [{ folder, items }]
+export const groupByFolder = (items) => {
+  const groups = [];
+  items.forEach((item) => {
+    const folder = item.folder || NO_FOLDER;
+    const group = groups.find(other => other.folder === folder);
+    if (group) {
+      group.items.push(item);
+    } else {
+      groups.push({ folder, items: [item] });
+    }
+  });
+  return groups;
+};
+
+function LibraryItemEditor({ item, folders, onSave, onCancel }) {
+  const [name, setName] = useState(item.name);
+  const [folder, setFolder] = useState(item.folder || '');
+  const [tags, setTags] = useState(item.tags.join(', '));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(item, { name, folder, tags });
+  };
+
+  return (
+    <form className="library-item-editor" onSubmit={handleSubmit}>
+      <input
+        className="library-input"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Name"
+      />
+      <input
+        className="library-input"
+        value={folder}
+        onChange={(e) => setFolder(e.target.value)}
+        placeholder="Folder (optional)"
+        list="library-folders"
+      />
+      <datalist id="library-folders">
+        {folders.map(other => <option key={other} value={other} />)}
+      </datalist>
+      <input
+        className="library-input"
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+        placeholder="Tags, comma separated"
+      />
+      <div className="library-item-actions">
+        <button type="submit" className="library-btn primary">Save</button>
+        <button type="button" className="library-btn" onClick={onCancel}>Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+// Saved magnets, browsable by folder and tag
+function Library({ onPlay, onClose }) {
+  const [library, setLibrary] = useState({ items: [], folders: [], tags: [] });
+  const [loading, setLoading] = useState(true);
+  const [query, setQuery] = useState('');
+  const [folderFilter, setFolderFilter] = useState(null); // null = all folders
+  const [tagFilter, setTagFilter] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [newMagnet, setNewMagnet] = useState('');
+  const importInputRef = useRef(null);
+
+  const loadLibrary = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/library`);
+      setLibrary(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not load the library');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLibrary();
+  }, [loadLibrary]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newMagnet.trim()) return;
+    const item = await saveToLibrary({
+      magnetUrl: newMagnet.trim(),
+      folder: folderFilter || undefined,
+      tags: tagFilter ? [tagFilter] : undefined,
+    });
+    if (item) {
+      setNewMagnet('');
+      loadLibrary();
+    }
+  };
+
+  const handleSave = async (item, changes) => {
+    try {
+      await axios.put(`${API_URL}/api/library/${item.id}`, changes);
+      setEditingId(null);
+      loadLibrary();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not update the item');
+    }
+  };
+
+  const handleRemove = async (item) => {
+    if (!window.confirm(`Remove "${item.name}" from the library?`)) return;
+    try {
+      await axios.delete(`${API_URL}/api/library/${item.id}`);
+      loadLibrary();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not remove the item');
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const data = JSON.parse(await file.text());
+      const response = await axios.post(`${API_URL}/api/library/import`, data);
+      const { added, updated, skipped } = response.data;
+      toast.success(`Imported ${added} new, ${updated} updated${skipped ? `, ${skipped} skipped` : ''}`);
+      loadLibrary();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'That file is not a library export');
+    }
+  };
+
+  const search = query.trim().toLowerCase();
+  const visibleItems = library.items.filter(item =>
+    (folderFilter === null || (item.folder || NO_FOLDER) === folderFilter) &&
+    (!tagFilter || item.tags.some(tag => tag.toLowerCase() === tagFilter.toLowerCase())) &&
+    (!search || item.name.toLowerCase().includes(search))
+  );
+
+  return (
+    <div className="library-overlay" onClick={onClose}>
+      <div className="library-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="library-header">
+          <h2>📚 Library</h2>
+          <div className="library-header-actions">
+            <button className="library-btn" onClick={() => importInputRef.current?.click()}>Import</button>
+            <a className="library-btn" href={`${API_URL}/api/library/export`} download="magnetstreamer-library.json">
+              Export
+            </a>
+            <button className="library-close-btn" onClick={onClose}>×</button>
+          </div>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImport}
+            hidden
+          />
+        </div>
+
+        <form className="library-add" onSubmit={handleAdd}>
+          <input
+            className="library-input"
+            value={newMagnet}
+            onChange={(e) => setNewMagnet(e.target.value)}
+            placeholder="magnet:?xt=urn:btih:... - save a magnet link"
+          />
+          <button type="submit" className="library-btn primary" disabled={!newMagnet.trim()}>Save</button>
+        </form>
+
+        <div className="library-filters">
+          <input
+            className="library-input"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Filter by name..."
+          />
+          <select
+            className="library-input"
+            value={folderFilter === null ? '*' : folderFilter}
+            onChange={(e) => setFolderFilter(e.target.value === '*' ? null : e.target.value)}
+          >
+            <option value="*">All folders</option>
+            <option value={NO_FOLDER}>No folder</option>
+            {library.folders.map(folder => <option key={folder} value={folder}>{folder}</option>)}
+          </select>
+        </div>
+
+        {library.tags.length > 0 && (
+          <div className="library-tags">
+            {library.tags.map(tag => (
+              <button
+                key={tag}
+                className={`library-tag ${tagFilter === tag ? 'active' : ''}`}
+                onClick={() => setTagFilter(tagFilter === tag ? null : tag)}
+              >
+                #{tag}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="library-items">
+          {!loading && visibleItems.length === 0 && (
+            <p className="library-empty">
+              {library.items.length === 0
+                ? 'Nothing saved yet - use "Save to library" on search results or while watching.'
+                : 'Nothing matches these filters.'}
+            </p>
+          )}
+
+          {groupByFolder(visibleItems).map(group => (
+            <section key={group.folder} className="library-folder">
+              <h3 className="library-folder-title">📁 {group.folder || 'No folder'}</h3>
+              {group.items.map(item => (
+                <div key={item.id} className="library-item">
+                  {editingId === item.id ? (
+                    <LibraryItemEditor
+                      item={item}
+                      folders={library.folders}
+                      onSave={handleSave}
+                      onCancel={() => setEditingId(null)}
+                    />
+                  ) : (
+                    <>
+                      <div className="library-item-info">
+                        <span className="library-item-name" title={item.name}>{item.name}</span>
+                        {item.tags.length > 0 && (
+                          <span className="library-item-tags">
+                            {item.tags.map(tag => <span key={tag} className="library-tag small">#{tag}</span>)}
+                          </span>
+                        )}
+                      </div>
+                      <div className="library-item-actions">
+                        <button className="library-btn primary" onClick={() => onPlay(item.magnetUrl)}>▶ Play</button>
+                        <button className="library-btn" onClick={() => setEditingId(item.id)} title="Rename, move or tag">Edit</button>
+                        <button className="library-btn" onClick={() => handleRemove(item)} title="Remove from the library">🗑</button>
+                      </div>
+                    </>
+                  )}
+                </div>
+              ))}
+            </section>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Library;
@@ -0,0 +1,112 @@
+import React from 'react';
+import './MediaInfo.css';
+
+// Codecs this browser can decode - sent to the server's capability probe
+let browserCodecs = null;
+export const detectBrowserCodecs = () => {
+  if (browserCodecs) return browserCodecs;
+
+  const probe = document.createElement('video');
+  const canPlay = (type) => probe.canPlayType(type) !== '' ||
+    (window.MediaSource && window.MediaSource.isTypeSupported(type));
+
+  const videoTypes = {
+    h264: 'video/mp4; codecs="avc1.42E01E"',
+    hevc: 'video/mp4; codecs="hvc1.1.6.L93.B0"',
+    vp8: 'video/webm; codecs="vp8"',
+    vp9: 'video/webm; codecs="vp9"',
+    av1: 'video/mp4; codecs="av01.0.05M.08"',
+  };
+  const audioTypes = {
+    aac: 'audio/mp4; codecs="mp4a.40.2"',
+    mp3: 'audio/mpeg',
+    opus: 'audio/webm; codecs="opus"',
+    vorbis: 'audio/webm; codecs="vorbis"',
+    flac: 'audio/flac',
+    ac3: 'audio/mp4; codecs="ac-3"',
+    eac3: 'audio/mp4; codecs="ec-3"',
+  };
+
+  browserCodecs = {
+    videoCodecs: Object.keys(videoTypes).filter(codec => canPlay(videoTypes[codec])),
+    audioCodecs: Object.keys(audioTypes).filter(codec => canPlay(audioTypes[codec])),
+  };
+  return browserCodecs;
+};
+
+const CODEC_NAMES = {
+  h264: 'H.264',
+  hevc: 'HEVC',
+  av1: 'AV1',
+  vp8: 'VP8',
+  vp9: 'VP9',
+  mpeg4: 'MPEG-4',
+  mpeg2video: 'MPEG-2',
+};
+
+// "HEVC 10-bit"
+export const describeVideoCodec = (video) => {
+  const name = CODEC_NAMES[video.codec] || (video.codec || 'Unknown').toUpperCase();
+  return video.bitDepth > 8 ? `${name} ${video.bitDepth}-bit` : name;
+};
+
+const formatRuntime = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+// Short facts about a probed file: ['HEVC 10-bit', '4K', 'HDR10', '23.976 fps', '2h 1m', ...]
+export const getMediaFacts = (info) => {
+  if (!info) return [];
+  const { video } = info;
+  return [
+    video ? describeVideoCodec(video) : null,
+    video ? video.resolution : null,
+    video ? video.hdr : null,
+    video && video.fps ? `${video.fps} fps` : null,
+    info.duration ? formatRuntime(info.duration) : null,
+    info.audio.length > 1 ? `${info.audio.length} audio tracks` : null,
+    info.subtitles.length > 0 ? `${info.subtitles.length} subtitles` : null,
+    info.chapters.length > 0 ? `${info.chapters.length} chapters` : null,
+  ].filter(Boolean);
+};
+
+// Things worth knowing before pressing play, or null
+export const getPlaybackWarning = (info) => {
+  if (!info || !info.video) return null;
+  const { video, playback } = info;
+
+  if (playback && playback.mode === 'transcode') {
+    return `${describeVideoCodec(video)} — your browser can't decode this natively. ` +
+      'The server will convert it, so starting and seeking take longer.';
+  }
+  if (video.hdr && window.matchMedia && !window.matchMedia('(dynamic-range: high)').matches) {
+    return `${video.hdr} video on a display without HDR — colors may look washed out.`;
+  }
+  return null;
+};
+
+// Media facts and playback warning shown before the player starts
+function MediaInfo({ info }) {
+  const facts = getMediaFacts(info);
+  const warning = getPlaybackWarning(info);
+  if (facts.length === 0 && !warning) return null;
+
+  return (
+    <div className="media-info">
+      {facts.length > 0 && (
+        <div className="media-info-facts">
+          {facts.map(fact => (
+            <span key={fact} className="media-info-fact">{fact}</span>
+          ))}
+        </div>
+      )}
+      {warning && (
+        <p className="media-info-warning">⚠️ {warning}</p>
+      )}
+    </div>
+  );
+}
+
+export default MediaInfo;
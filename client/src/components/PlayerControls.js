@@ -1,6 +1,25 @@
-import React from 'react';
+import React, { useState } from 'react';
+import SeekThumbnail, { findThumbnail } from './SeekThumbnail';
 import './PlayerControls.css';
 
+// "Previous chapter" within this many seconds of a chapter start goes to the one before it
+const CHAPTER_RESTART_THRESHOLD = 3;
+
+// Chapter playing at `time`
+export const findChapter = (chapters, time) => {
+  return chapters.find(chapter => time >= chapter.start && time < chapter.end) || null;
+};
+
+// Chapter to jump to from `time`: the next one, or the start of the current one
+// (the previous one right after a chapter started), like a CD player
+export const getChapterSeekTarget = (chapters, time, direction) => {
+  if (direction > 0) {
+    return chapters.find(chapter => chapter.start > time + 0.5) || null;
+  }
+  const earlier = chapters.filter(chapter => chapter.start <= time - CHAPTER_RESTART_THRESHOLD);
+  return earlier[earlier.length - 1] || chapters[0] || null;
+};
+
 function PlayerControls({
   isPlaying,
   currentTime,
@@ -18,9 +37,16 @@ function PlayerControls({
   onFullscreen,
   onSettings,
   onDownload,
+  onNext,
+  onPlaylist,
   onReset,
   formatTime,
+  chapters = [],
+  thumbnails = [],
+  downloadedRanges = [],
 }) {
+  const [hover, setHover] = useState(null); // { percent, time } under the mouse
+
   const handleProgressClick = (e) => {
     if (!isFinite(duration) || duration <= 0) {
       return; // Don't seek if duration is not valid
@@ -34,6 +60,21 @@ function PlayerControls({
     }
   };
 
+  const handleProgressHover = (e) => {
+    if (!isFinite(duration) || duration <= 0) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const percent = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    setHover({ percent: percent * 100, time: percent * duration });
+  };
+
+  const hasDuration = isFinite(duration) && duration > 0;
+  const hoverChapter = hover ? findChapter(chapters, hover.time) : null;
+  const hoverThumbnail = hover ? findThumbnail(thumbnails, hover.time) : null;
+  // Seeking outside the downloaded parts has to wait for peers
+  const hoverDownloaded = !hover || downloadedRanges.length === 0 ||
+    downloadedRanges.some(range => hover.percent / 100 >= range.start && hover.percent / 100 < range.end);
+  const currentChapter = findChapter(chapters, currentTime);
+
   const handleVolumeClick = (e) => {
     const volumeBar = e.currentTarget;
     const rect = volumeBar.getBoundingClientRect();
@@ -48,7 +89,16 @@ function PlayerControls({
         <div
           className="progress-bar"
           onClick={handleProgressClick}
+          onMouseMove={handleProgressHover}
+          onMouseLeave={() => setHover(null)}
         >
+          {downloadedRanges.map(range => (
+            <div
+              key={range.start}
+              className="progress-downloaded"
+              style={{ left: `${range.start * 100}%`, width: `${(range.end - range.start) * 100}%` }}
+            />
+          ))}
           <div
             className="progress-filled"
             style={{ width: `${isFinite(duration) && duration > 0 ? (currentTime / duration) * 100 : 0}%` }}
@@ -57,11 +107,33 @@ function PlayerControls({
             className="progress-handle"
             style={{ left: `${isFinite(duration) && duration > 0 ? (currentTime / duration) * 100 : 0}%` }}
           />
+          {hasDuration && chapters.filter(chapter => chapter.start > 0 && chapter.start < duration).map(chapter => (
+            <div
+              key={chapter.index}
+              className="chapter-tick"
+              style={{ left: `${(chapter.start / duration) * 100}%` }}
+            />
+          ))}
+          {hover && (
+            <div className="progress-tooltip" style={{ left: `${hover.percent}%` }}>
+              {hoverThumbnail && <SeekThumbnail thumbnail={hoverThumbnail} />}
+              {hoverChapter && hoverChapter.title && (
+                <span className="progress-tooltip-chapter">{hoverChapter.title}</span>
+              )}
+              <span>{formatTime(hover.time)}</span>
+              {!hoverDownloaded && (
+                <span className="progress-tooltip-pending">Not downloaded yet</span>
+              )}
+            </div>
+          )}
         </div>
         <div className="time-display">
           <span>{formatTime(currentTime)}</span>
           <span>/</span>
           <span>{formatTime(duration)}</span>
+          {currentChapter && currentChapter.title && (
+            <span className="current-chapter" title="Previous/next chapter (PgUp/PgDn)">• {currentChapter.title}</span>
+          )}
         </div>
       </div>
 
@@ -92,6 +164,14 @@ function PlayerControls({
             </svg>
           </button>
 
+          {onNext && (
+            <button className="control-btn" onClick={onNext} title="Next Episode (N)">
+              <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M6 18l8.5-6L6 6v12zM16 6v12h2V6h-2z"/>
+              </svg>
+            </button>
+          )}
+
           <div className="volume-control">
             <button className="control-btn" onClick={onMute} title="Mute (M)">
               {isMuted || volume === 0 ? (
@@ -145,6 +225,14 @@ function PlayerControls({
             </button>
           )}
 
+          {onPlaylist && (
+            <button className="control-btn" onClick={onPlaylist} title="Playlist">
+              <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M3 10h11v2H3v-2zm0-4h11v2H3V6zm0 8h7v2H3v-2zm13-1v8l6-4-6-4z"/>
+              </svg>
+            </button>
+          )}
+
           <button className="control-btn" onClick={onSettings} title="Settings">
             <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
               <path d="M19.14 12.94c.04-.3.06-.61.06-.94 0-.32-.02-.64-.07-.94l2.03-1.58c.18-.14.23-.41.12-.61l-1.92-3.32c-.12-.22-.37-.29-.59-.22l-2.39.96c-.5-.38-1.03-.7-1.62-.94L14.4 2.81c-.04-.24-.24-.41-.48-.41h-3.84c-.24 0-.43.17-.47.41l-.36 2.54c-.59.24-1.13.57-1.62.94l-2.39-.96c-.22-.08-.47 0-.59.22L2.74 8.87c-.12.21-.08.47.12.61l2.03 1.58c-.05.3-.07.62-.07.94s.02.64.07.94l-2.03 1.58c-.18.14-.23.41-.12.61l1.92 3.32c.12.22.37.29.59.22l2.39-.96c.5.38 1.03.7 1.62.94l.36 2.54c.05.24.24.41.48.41h3.84c.24 0 .44-.17.47-.41l.36-2.54c.59-.24 1.13-.56 1.62-.94l2.39.96c.22.08.47 0 .59-.22l1.92-3.32c.12-.22.07-.47-.12-.61l-2.01-1.58zM12 15.6c-1.98 0-3.6-1.62-3.6-3.6s1.62-3.6 3.6-3.6 3.6 1.62 3.6 3.6-1.62 3.6-3.6 3.6z"/>
@@ -1,13 +1,41 @@
 import React, { useRef } from 'react';
+import SubtitleTiming from './SubtitleTiming';
+import SubtitleStyle from './SubtitleStyle';
+import SubtitleSearch from './SubtitleSearch';
+import SkipMarkers from './SkipMarkers';
 import './PlayerSettings.css';
 
 function PlayerSettings({
   skipInterval,
   onSkipIntervalChange,
+  skipMarkers,
+  onSkipMarkerChange,
+  onDetectIntro,
+  currentTime,
+  duration,
   subtitles,
   activeSubtitle,
   onSubtitleUpload,
   onSubtitleToggle,
+  secondarySubtitle,
+  onSecondarySubtitleChange,
+  secondarySubtitleStyle,
+  onSecondarySubtitleStyleChange,
+  onSecondarySubtitleStyleReset,
+  infoHash,
+  fileIndex,
+  onSearchedSubtitleLoad,
+  subtitleTiming,
+  resyncCues,
+  onSubtitleDelayChange,
+  onSubtitleFramerateChange,
+  onSubtitleResync,
+  onSubtitleTimingReset,
+  onSubtitleTimingSave,
+  formatTime,
+  subtitleStyle,
+  onSubtitleStyleChange,
+  onSubtitleStyleReset,
   audioTracks,
   activeAudioTrack,
   onAudioTrackChange,
@@ -58,6 +86,21 @@ function PlayerSettings({
             </p>
           </div>
 
+          {/* Skip Intro / Credits */}
+          {onSkipMarkerChange && (
+            <div className="settings-section">
+              <label className="settings-label">Skip Intro / Credits</label>
+              <SkipMarkers
+                markers={skipMarkers}
+                currentTime={currentTime}
+                duration={duration}
+                formatTime={formatTime}
+                onChange={onSkipMarkerChange}
+                onDetect={onDetectIntro}
+              />
+            </div>
+          )}
+
           {/* Subtitles */}
           <div className="settings-section">
             <label className="settings-label">Subtitles</label>
@@ -74,12 +117,21 @@ function PlayerSettings({
               <input
                 ref={fileInputRef}
                 type="file"
-                accept=".srt,.vtt,.ass,.ssa"
+                accept=".srt,.vtt,.ass,.ssa,.sub"
                 onChange={handleFileSelect}
                 style={{ display: 'none' }}
               />
             </div>
 
+            {onSearchedSubtitleLoad && (
+              <SubtitleSearch
+                key={`${infoHash}:${fileIndex}`}
+                infoHash={infoHash}
+                fileIndex={fileIndex}
+                onLoad={onSearchedSubtitleLoad}
+              />
+            )}
+
             {subtitles.length > 0 && (
               <div className="subtitle-list">
                 {subtitles.map((subtitle) => (
@@ -90,13 +142,30 @@ function PlayerSettings({
                   >
                     <span className="subtitle-label">
                       {subtitle.label}
-                      {subtitle.embedded && (
+                      {(subtitle.embedded || subtitle.fromFile) && (
                         <span className="embedded-badge" title="Embedded in video">📦</span>
                       )}
+                      {subtitle.pending && (
+                        <span className="embedded-badge" title="Extracted from the video when selected - ready once the video has downloaded">⏳</span>
+                      )}
+                    </span>
+                    <span className="subtitle-item-actions">
+                      {activeSubtitle?.id === subtitle.id && (
+                        <span className="subtitle-active-badge">Active</span>
+                      )}
+                      {onSecondarySubtitleChange && activeSubtitle?.id !== subtitle.id && (
+                        <button
+                          className={`secondary-subtitle-btn ${secondarySubtitle?.id === subtitle.id ? 'active' : ''}`}
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            onSecondarySubtitleChange(subtitle);
+                          }}
+                          title="Show as a second subtitle at the same time"
+                        >
+                          {secondarySubtitle?.id === subtitle.id ? 'Secondary' : '+ 2nd'}
+                        </button>
+                      )}
                     </span>
-                    {activeSubtitle?.id === subtitle.id && (
-                      <span className="subtitle-active-badge">Active</span>
-                    )}
                   </div>
                 ))}
               </div>
@@ -107,8 +176,46 @@ function PlayerSettings({
                 No subtitles uploaded. Click "Upload Subtitle" to add one.
               </p>
             )}
+
+            {activeSubtitle && subtitleTiming && (
+              <SubtitleTiming
+                timing={subtitleTiming}
+                cues={resyncCues}
+                onDelayChange={onSubtitleDelayChange}
+                onFramerateChange={onSubtitleFramerateChange}
+                onResync={onSubtitleResync}
+                onReset={onSubtitleTimingReset}
+                onSave={onSubtitleTimingSave}
+                formatTime={formatTime}
+              />
+            )}
           </div>
 
+          {/* Subtitle Appearance */}
+          {subtitleStyle && (
+            <div className="settings-section">
+              <label className="settings-label">Subtitle Appearance</label>
+              <SubtitleStyle
+                style={subtitleStyle}
+                onChange={onSubtitleStyleChange}
+                onReset={onSubtitleStyleReset}
+              />
+            </div>
+          )}
+
+          {/* Secondary Subtitle Appearance */}
+          {secondarySubtitle && secondarySubtitleStyle && (
+            <div className="settings-section">
+              <label className="settings-label">Secondary Subtitle Appearance ({secondarySubtitle.label})</label>
+              <SubtitleStyle
+                style={secondarySubtitleStyle}
+                onChange={onSecondarySubtitleStyleChange}
+                onReset={onSecondarySubtitleStyleReset}
+                maxPosition={90}
+              />
+            </div>
+          )}
+
           {/* Audio Tracks */}
           {audioTracks.length > 0 && (
             <div className="settings-section">
@@ -122,12 +229,15 @@ function PlayerSettings({
                   >
                     <span className="audio-track-label">
                       {track.label || track.name || `Track ${index + 1}`}
-                      {track.kind === 'embedded' && (
+                      {(track.kind === 'embedded' || track.kind === 'container') && (
                         <span className="embedded-badge" title="Embedded in video">📦</span>
                       )}
-                      {track.language && track.language !== 'unknown' && (
+                      {track.language && track.language !== 'unknown' && track.language !== 'und' && (
                         <span className="language-badge">{track.language}</span>
                       )}
+                      {track.converted && (
+                        <span className="language-badge" title="Converted to stereo AAC for your browser">AAC 2.0</span>
+                      )}
                     </span>
                     {activeAudioTrack === index && (
                       <span className="audio-track-active-badge">Active</span>
@@ -0,0 +1,75 @@
+import React from 'react';
+import './Playlist.css';
+
+// Order video files by parsed season/episode numbers, falling back to natural name order
+export const buildPlaylist = (files) => {
+  return files
+    .filter(file => file.type === 'video' && !file.sample)
+    .sort((a, b) => {
+      const seasonA = a.episode?.season ?? 0;
+      const seasonB = b.episode?.season ?? 0;
+      if (seasonA !== seasonB) return seasonA - seasonB;
+
+      const episodeA = a.episode?.episode ?? Infinity;
+      const episodeB = b.episode?.episode ?? Infinity;
+      if (episodeA !== episodeB) return episodeA - episodeB;
+
+      return a.path.localeCompare(b.path, undefined, { numeric: true });
+    });
+};
+
+export const formatEpisodeLabel = (file) => {
+  if (!file.episode) return null;
+  const episode = String(file.episode.episode).padStart(2, '0');
+  if (file.episode.season === null || file.episode.season === undefined) {
+    return `E${episode}`;
+  }
+  return `S${String(file.episode.season).padStart(2, '0')}E${episode}`;
+};
+
+function Playlist({ files, activeFileIndex, autoPlayNext, onAutoPlayNextChange, onSelectFile, onClose }) {
+  return (
+    <div className="playlist-sidebar">
+      <div className="playlist-header">
+        <h3>Playlist</h3>
+        <button className="playlist-close" onClick={onClose} title="Close playlist">×</button>
+      </div>
+
+      <label className="playlist-autoplay">
+        <input
+          type="checkbox"
+          checked={autoPlayNext}
+          onChange={(e) => onAutoPlayNextChange(e.target.checked)}
+        />
+        Auto-play next episode
+      </label>
+
+      <div className="playlist-items">
+        {files.map((file, position) => {
+          const isActive = file.index === activeFileIndex;
+          const episodeLabel = formatEpisodeLabel(file);
+          return (
+            <div
+              key={file.index}
+              className={`playlist-item ${isActive ? 'active' : ''}`}
+              onClick={() => !isActive && onSelectFile(file)}
+              title={file.path}
+            >
+              <span className="playlist-position">
+                {isActive ? '▶' : position + 1}
+              </span>
+              <div className="playlist-item-info">
+                {episodeLabel && (
+                  <span className="playlist-episode">{episodeLabel}</span>
+                )}
+                <span className="playlist-name">{file.name}</span>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default Playlist;
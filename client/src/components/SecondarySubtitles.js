@@ -0,0 +1,54 @@
+import React, { useEffect, useState } from 'react';
+import { getEdgeShadow } from './SubtitleStyle';
+import './SecondarySubtitles.css';
+
+// Second subtitle track drawn in its own overlay, so it can be positioned and styled
+// independently of the primary track (::cue styles apply to every track of the video).
+// The TextTrack stays 'hidden' - loaded and firing cuechange, but not rendered by the browser.
+function SecondarySubtitles({ track, style }) {
+  const [lines, setLines] = useState([]);
+
+  useEffect(() => {
+    if (!track) return;
+
+    if (track.mode === 'disabled') {
+      track.mode = 'hidden';
+    }
+
+    const handleCueChange = () => {
+      const cues = Array.from(track.activeCues || []);
+      setLines(cues.map(cue => cue.text.replace(/<[^>]+>/g, '')));
+    };
+
+    handleCueChange();
+    track.addEventListener('cuechange', handleCueChange);
+    return () => {
+      track.removeEventListener('cuechange', handleCueChange);
+      setLines([]);
+    };
+  }, [track]);
+
+  if (lines.length === 0) return null;
+
+  return (
+    <div className="secondary-subtitle-layer" style={{ bottom: `${Math.max(style.position, 4)}%` }}>
+      {lines.map((line, index) => (
+        <span
+          key={index}
+          className="secondary-subtitle-line"
+          style={{
+            fontSize: `${style.fontSize / 100 * 1.5}rem`,
+            fontFamily: style.fontFamily,
+            color: style.color,
+            textShadow: getEdgeShadow(style),
+            backgroundColor: `rgba(0, 0, 0, ${style.backgroundOpacity})`,
+          }}
+        >
+          {line}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+export default SecondarySubtitles;
@@ -0,0 +1,60 @@
+import React from 'react';
+import './SeekThumbnail.css';
+
+const CUE_TIME_PATTERN = /^(?:(\d+):)?(\d{2}):(\d{2}(?:\.\d+)?)$/;
+
+const parseCueTime = (value) => {
+  const match = value.trim().match(CUE_TIME_PATTERN);
+  if (!match) return NaN;
+  return (parseInt(match[1] || '0', 10) * 3600) + (parseInt(match[2], 10) * 60) + parseFloat(match[3]);
+};
+
+// WebVTT thumbnail track → { thumbnails: [{ start, end, url, x, y, width, height }], total }
+// Image URLs are resolved against the track's own URL
+export const parseThumbnailTrack = (text, trackUrl) => {
+  const thumbnails = [];
+  const blocks = text.replace(/\r/g, '').split(/\n{2,}/);
+  let total = null;
+
+  blocks.forEach((block) => {
+    const lines = block.trim().split('\n');
+    const note = lines[0].match(/^NOTE (\d+) of (\d+) thumbnails/);
+    if (note) {
+      total = parseInt(note[2], 10);
+      return;
+    }
+
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex < 0 || !lines[timingIndex + 1]) return;
+
+    const [start, end] = lines[timingIndex].split('-->').map(parseCueTime);
+    const [image, fragment] = lines[timingIndex + 1].trim().split('#xywh=');
+    const [x, y, width, height] = (fragment || '').split(',').map(Number);
+    if (isNaN(start) || isNaN(end) || [x, y, width, height].some(isNaN)) return;
+
+    thumbnails.push({ start, end, url: new URL(image, trackUrl).href, x, y, width, height });
+  });
+
+  return { thumbnails, total };
+};
+
+export const findThumbnail = (thumbnails, time) => {
+  return thumbnails.find(thumbnail => time >= thumbnail.start && time < thumbnail.end) || null;
+};
+
+// One cell of a thumbnail sprite sheet
+function SeekThumbnail({ thumbnail }) {
+  return (
+    <div
+      className="seek-thumbnail"
+      style={{
+        width: thumbnail.width,
+        height: thumbnail.height,
+        backgroundImage: `url("${thumbnail.url}")`,
+        backgroundPosition: `-${thumbnail.x}px -${thumbnail.y}px`,
+      }}
+    />
+  );
+}
+
+export default SeekThumbnail;
@@ -0,0 +1,93 @@
+import React from 'react';
+import './SkipMarkers.css';
+
+const MARKER_LABELS = { intro: 'Intro', credits: 'Credits' };
+// Length assumed when only one end of a range has been marked yet
+const DEFAULT_MARKER_LENGTH = 90; // seconds
+
+const DETECTION_MESSAGES = {
+  running: 'Comparing the audio with other episodes...',
+  done: 'Intro found by comparing episodes.',
+  'not-found': 'No intro shared with the other episodes was found.',
+  failed: 'Intro detection failed - the episodes may not be downloadable right now.',
+};
+
+// Skip range a playback position falls into: 'intro', 'credits' or null.
+// The button goes away shortly before the end so it doesn't linger
+export const getActiveSkipMarker = (markers, time) => {
+  if (!markers) return null;
+  return ['intro', 'credits'].find((type) => {
+    const range = markers[type];
+    return range && time >= range.start && time < range.end - 1;
+  }) || null;
+};
+
+// Mark the intro / credits at the current position ("starts here" / "ends here")
+function SkipMarkers({ markers, currentTime, duration, formatTime, onChange, onDetect }) {
+  const setStart = (type) => {
+    const range = markers?.[type];
+    const end = range && range.end > currentTime
+      ? range.end
+      : Math.min(duration || Infinity, currentTime + DEFAULT_MARKER_LENGTH);
+    onChange(type, { start: currentTime, end });
+  };
+
+  const setEnd = (type) => {
+    const range = markers?.[type];
+    const start = range && range.start < currentTime ? range.start : Math.max(0, currentTime - DEFAULT_MARKER_LENGTH);
+    onChange(type, { start, end: currentTime });
+  };
+
+  const detection = markers?.detection || 'idle';
+
+  return (
+    <div className="skip-markers">
+      {Object.entries(MARKER_LABELS).map(([type, label]) => {
+        const range = markers?.[type];
+        return (
+          <div key={type} className="skip-marker-row">
+            <div className="skip-marker-info">
+              <span className="skip-marker-label">{label}</span>
+              <span className="skip-marker-range">
+                {range ? `${formatTime(range.start)} – ${formatTime(range.end)}` : 'Not marked'}
+                {range && range.source === 'auto' && <span className="skip-marker-badge">auto</span>}
+              </span>
+            </div>
+            <div className="skip-marker-actions">
+              <button className="skip-marker-btn" onClick={() => setStart(type)} title="Starts at the current position">
+                Starts here
+              </button>
+              <button className="skip-marker-btn" onClick={() => setEnd(type)} title="Ends at the current position">
+                Ends here
+              </button>
+              {range && (
+                <button className="skip-marker-btn" onClick={() => onChange(type, null)}>Clear</button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      {onDetect && (
+        <div className="skip-marker-detect">
+          <button
+            className="skip-marker-btn"
+            onClick={onDetect}
+            disabled={detection === 'running'}
+          >
+            {detection === 'running' ? 'Detecting...' : '🔍 Detect Intro'}
+          </button>
+          {DETECTION_MESSAGES[detection] && (
+            <span className="skip-marker-status">{DETECTION_MESSAGES[detection]}</span>
+          )}
+        </div>
+      )}
+
+      <p className="settings-description">
+        Saved for this release. A "Skip" button shows up when playback reaches a marked range.
+      </p>
+    </div>
+  );
+}
+
+export default SkipMarkers;
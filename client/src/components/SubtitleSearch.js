@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import './SubtitleSearch.css';
+
+// Auto-detect API URL: use same origin in production, localhost in development
+const API_URL = process.env.REACT_APP_API_URL || 
+  (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1' 
+    ? 'http://localhost:5000' 
+    : window.location.origin);
+
+// Find subtitles for the playing file in the server's subtitle index -
+// by movie hash first, the title/year can be corrected and searched again
+function SubtitleSearch({ infoHash, fileIndex, onLoad }) {
+  const [title, setTitle] = useState('');
+  const [year, setYear] = useState('');
+  const [results, setResults] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [loadingId, setLoadingId] = useState(null);
+
+  const search = async (byTitle) => {
+    setSearching(true);
+    setMessage(null);
+
+    try {
+      const params = { torrentId: infoHash, file: fileIndex };
+      if (byTitle && title.trim()) {
+        params.title = title.trim();
+        params.year = year || undefined;
+      }
+      const response = await axios.get(`${API_URL}/api/subtitles/search`, { params });
+      const { query, results: found, reason } = response.data;
+
+      setResults(found);
+      if (!byTitle) {
+        setTitle(query.title || '');
+        setYear(query.year ? String(query.year) : '');
+      }
+      if (reason) {
+        setMessage(reason);
+      } else if (found.length === 0) {
+        setMessage('No matching subtitles found');
+      }
+    } catch (error) {
+      console.error('Error searching subtitles:', error);
+      setMessage(error.response?.data?.error || 'Subtitle search failed');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleLoad = async (result) => {
+    const key = `${result.provider}:${result.id}`;
+    setLoadingId(key);
+    try {
+      await onLoad(result);
+    } finally {
+      setLoadingId(null);
+    }
+  };
+
+  return (
+    <div className="subtitle-search">
+      {results === null ? (
+        <button className="search-subtitles-btn" onClick={() => search(false)} disabled={searching || !infoHash}>
+          {searching ? 'Searching...' : '🔍 Find Subtitles'}
+        </button>
+      ) : (
+        <form
+          className="subtitle-search-form"
+          onSubmit={(e) => {
+            e.preventDefault();
+            search(true);
+          }}
+        >
+          <input
+            type="text"
+            className="subtitle-search-input"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="Title"
+          />
+          <input
+            type="number"
+            className="subtitle-search-input year"
+            value={year}
+            onChange={(e) => setYear(e.target.value)}
+            placeholder="Year"
+          />
+          <button type="submit" className="search-subtitles-btn" disabled={searching}>
+            {searching ? '...' : 'Search'}
+          </button>
+        </form>
+      )}
+
+      {results && results.length > 0 && (
+        <div className="subtitle-search-results">
+          {results.map((result) => {
+            const key = `${result.provider}:${result.id}`;
+            return (
+              <div key={key} className="subtitle-search-result">
+                <div className="subtitle-search-info">
+                  <span className="subtitle-search-name" title={result.fileName}>{result.label}</span>
+                  <span className="subtitle-search-meta">
+                    {result.fileName} · {result.format.toUpperCase()}
+                    {result.matchedBy === 'hash' && <span className="hash-match-badge">Exact match</span>}
+                  </span>
+                </div>
+                <button
+                  className="subtitle-load-btn"
+                  onClick={() => handleLoad(result)}
+                  disabled={loadingId !== null}
+                >
+                  {loadingId === key ? 'Loading...' : 'Load'}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {message && <p className="settings-description">{message}</p>}
+    </div>
+  );
+}
+
+export default SubtitleSearch;
@@ -0,0 +1,194 @@
+import React from 'react';
+import './SubtitleStyle.css';
+
+// Primary and secondary (dual subtitles) styles are stored separately
+const STORAGE_KEYS = {
+  primary: 'magnetstreamer.subtitleStyle',
+  secondary: 'magnetstreamer.secondarySubtitleStyle',
+};
+
+export const DEFAULT_SUBTITLE_STYLE = {
+  fontSize: 100, // % of the browser's default cue size
+  fontFamily: 'sans-serif',
+  color: '#ffffff',
+  edge: 'none',
+  backgroundOpacity: 0.8,
+  position: 0, // % raised from the default bottom position
+};
+
+// The second language goes on top of the picture by default
+export const DEFAULT_SECONDARY_SUBTITLE_STYLE = {
+  ...DEFAULT_SUBTITLE_STYLE,
+  fontSize: 90,
+  color: '#ffeb3b',
+  position: 80,
+};
+
+const DEFAULT_STYLES = {
+  primary: DEFAULT_SUBTITLE_STYLE,
+  secondary: DEFAULT_SECONDARY_SUBTITLE_STYLE,
+};
+
+export const FONT_FAMILIES = [
+  { value: 'sans-serif', label: 'Sans Serif' },
+  { value: 'serif', label: 'Serif' },
+  { value: 'monospace', label: 'Monospace' },
+  { value: 'Arial, sans-serif', label: 'Arial' },
+  { value: 'Verdana, sans-serif', label: 'Verdana' },
+  { value: '"Trebuchet MS", sans-serif', label: 'Trebuchet MS' },
+  { value: 'Georgia, serif', label: 'Georgia' },
+];
+
+const EDGE_STYLES = {
+  none: { label: 'None', shadow: 'none' },
+  outline: { label: 'Outline', shadow: '-1px -1px 0 #000, 1px -1px 0 #000, -1px 1px 0 #000, 1px 1px 0 #000' },
+  shadow: { label: 'Drop Shadow', shadow: '2px 2px 4px rgba(0, 0, 0, 0.9)' },
+  raised: { label: 'Raised', shadow: '1px 1px 0 #333, 2px 2px 0 #000' },
+};
+
+export const loadSubtitleStyle = (slot = 'primary') => {
+  const defaults = DEFAULT_STYLES[slot];
+  try {
+    const saved = { ...defaults, ...JSON.parse(localStorage.getItem(STORAGE_KEYS[slot])) };
+    // The values end up in a stylesheet - only accept what the panel can produce
+    if (!FONT_FAMILIES.some(font => font.value === saved.fontFamily)) saved.fontFamily = defaults.fontFamily;
+    if (!/^#[0-9a-f]{6}$/i.test(saved.color)) saved.color = defaults.color;
+    if (!EDGE_STYLES[saved.edge]) saved.edge = defaults.edge;
+    ['fontSize', 'backgroundOpacity', 'position'].forEach((key) => {
+      if (typeof saved[key] !== 'number' || !isFinite(saved[key])) saved[key] = defaults[key];
+    });
+    return saved;
+  } catch (error) {
+    return defaults;
+  }
+};
+
+export const saveSubtitleStyle = (style, slot = 'primary') => {
+  try {
+    localStorage.setItem(STORAGE_KEYS[slot], JSON.stringify(style));
+  } catch (error) {
+    console.warn('Could not save subtitle style:', error);
+  }
+};
+
+export const getEdgeShadow = (style) => (EDGE_STYLES[style.edge] || EDGE_STYLES.none).shadow;
+
+// ::cue rules for the player's <video> element
+export const buildCueCss = (style, selector = '.video-element') => {
+  return `${selector}::cue {
+  font-size: ${style.fontSize}%;
+  font-family: ${style.fontFamily};
+  color: ${style.color};
+  text-shadow: ${getEdgeShadow(style)};
+  background-color: rgba(0, 0, 0, ${style.backgroundOpacity});
+}`;
+};
+
+function SubtitleStyle({ style, onChange, onReset, maxPosition = 40 }) {
+  const update = (changes) => onChange({ ...style, ...changes });
+
+  return (
+    <div className="subtitle-style">
+      <div className="style-row">
+        <span className="style-label">Size</span>
+        <input
+          type="range"
+          min="50"
+          max="200"
+          step="10"
+          value={style.fontSize}
+          onChange={(e) => update({ fontSize: parseInt(e.target.value, 10) })}
+          className="style-slider"
+        />
+        <span className="style-value">{style.fontSize}%</span>
+      </div>
+
+      <div className="style-row">
+        <span className="style-label">Font</span>
+        <select
+          className="style-select"
+          value={style.fontFamily}
+          onChange={(e) => update({ fontFamily: e.target.value })}
+        >
+          {FONT_FAMILIES.map(font => (
+            <option key={font.value} value={font.value}>{font.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="style-row">
+        <span className="style-label">Color</span>
+        <input
+          type="color"
+          value={style.color}
+          onChange={(e) => update({ color: e.target.value })}
+          className="style-color"
+        />
+      </div>
+
+      <div className="style-row">
+        <span className="style-label">Edge</span>
+        <select
+          className="style-select"
+          value={style.edge}
+          onChange={(e) => update({ edge: e.target.value })}
+        >
+          {Object.entries(EDGE_STYLES).map(([key, edge]) => (
+            <option key={key} value={key}>{edge.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="style-row">
+        <span className="style-label">Background</span>
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.1"
+          value={style.backgroundOpacity}
+          onChange={(e) => update({ backgroundOpacity: parseFloat(e.target.value) })}
+          className="style-slider"
+        />
+        <span className="style-value">{Math.round(style.backgroundOpacity * 100)}%</span>
+      </div>
+
+      <div className="style-row">
+        <span className="style-label">Position</span>
+        <input
+          type="range"
+          min="0"
+          max={maxPosition}
+          step="5"
+          value={style.position}
+          onChange={(e) => update({ position: parseInt(e.target.value, 10) })}
+          className="style-slider"
+        />
+        <span className="style-value">{style.position === 0 ? 'Default' : `+${style.position}%`}</span>
+      </div>
+
+      <div className="style-preview" style={{ fontFamily: style.fontFamily }}>
+        <span
+          style={{
+            color: style.color,
+            textShadow: getEdgeShadow(style),
+            backgroundColor: `rgba(0, 0, 0, ${style.backgroundOpacity})`,
+            fontSize: `${style.fontSize / 100}rem`,
+          }}
+        >
+          Subtitle preview
+        </span>
+      </div>
+
+      <div className="style-actions">
+        <button className="style-reset-btn" onClick={onReset}>Reset to Default</button>
+      </div>
+
+      <p className="settings-description">
+        Applies to plain text subtitles. Styled ASS/SSA subtitles keep their own look.
+      </p>
+    </div>
+  );
+}
+
+export default SubtitleStyle;
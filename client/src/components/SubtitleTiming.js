@@ -0,0 +1,164 @@
+import React from 'react';
+import './SubtitleTiming.css';
+
+export const DELAY_STEP = 0.1; // seconds
+
+// Subtitles made for a PAL (25fps) release drift against a 23.976fps video and vice versa
+export const FRAMERATE_CONVERSIONS = {
+  none: { label: 'None', factor: 1 },
+  '23.976-25': { label: '23.976 → 25 fps', factor: 23.976 / 25 },
+  '25-23.976': { label: '25 → 23.976 fps', factor: 25 / 23.976 },
+};
+
+export const DEFAULT_TIMING = { delay: 0, scale: 1, framerate: 'none', points: [] };
+
+// Overall stretch factor (resync scale × framerate conversion)
+export const getTimingScale = (timing) => {
+  return timing.scale * FRAMERATE_CONVERSIONS[timing.framerate].factor;
+};
+
+// Map an original cue time to when it should be shown
+export const applyTiming = (time, timing) => {
+  return Math.max(0, time * getTimingScale(timing) + timing.delay);
+};
+
+export const isDefaultTiming = (timing) => {
+  return timing.delay === 0 && timing.scale === 1 && timing.framerate === 'none';
+};
+
+// "This line is spoken now": one point shifts the subtitles, two points also fix the speed
+// points: [{ original, target }] - original cue start and the video time it belongs at
+export const resyncTiming = (timing, points) => {
+  const framerateFactor = FRAMERATE_CONVERSIONS[timing.framerate].factor;
+
+  if (points.length >= 2) {
+    const [first, second] = points.slice(-2);
+    if (first.original !== second.original) {
+      const scale = (second.target - first.target) / ((second.original - first.original) * framerateFactor);
+      if (scale > 0) {
+        return {
+          ...timing,
+          scale,
+          delay: first.target - first.original * framerateFactor * scale,
+          points: points.slice(-2),
+        };
+      }
+    }
+  }
+
+  const point = points[points.length - 1];
+  return {
+    ...timing,
+    delay: point.target - point.original * framerateFactor * timing.scale,
+    points: points.slice(-2),
+  };
+};
+
+const parseAssTime = (value) => {
+  const [hours, minutes, seconds] = value.trim().split(':');
+  return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseFloat(seconds);
+};
+
+const formatAssTime = (seconds) => {
+  const centiseconds = Math.round(seconds * 100);
+  const hours = Math.floor(centiseconds / 360000);
+  const minutes = Math.floor((centiseconds % 360000) / 6000);
+  const secs = (centiseconds % 6000) / 100;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${secs.toFixed(2).padStart(5, '0')}`;
+};
+
+// Rewrite the start/end times of every Dialogue line in an ASS script
+export const retimeAss = (content, timing) => {
+  if (isDefaultTiming(timing)) return content;
+  return content.replace(/^(Dialogue:[^,]*,)([^,]+),([^,]+),/gm, (match, prefix, start, end) => {
+    const newStart = formatAssTime(applyTiming(parseAssTime(start), timing));
+    const newEnd = formatAssTime(applyTiming(parseAssTime(end), timing));
+    return `${prefix}${newStart},${newEnd},`;
+  });
+};
+
+export const formatDelay = (delay) => {
+  const rounded = Math.round(delay * 100) / 100;
+  return `${rounded > 0 ? '+' : ''}${(rounded === 0 ? 0 : rounded).toFixed(2)}s`;
+};
+
+function SubtitleTiming({
+  timing,
+  cues,
+  onDelayChange,
+  onFramerateChange,
+  onResync,
+  onReset,
+  onSave,
+  formatTime,
+}) {
+  return (
+    <div className="subtitle-timing">
+      <div className="timing-row">
+        <span className="timing-row-label">Delay</span>
+        <div className="timing-delay-control">
+          <button className="timing-btn" onClick={() => onDelayChange(-DELAY_STEP)} title="Show subtitles earlier (G)">
+            −0.1s
+          </button>
+          <span className="timing-value">{formatDelay(timing.delay)}</span>
+          <button className="timing-btn" onClick={() => onDelayChange(DELAY_STEP)} title="Show subtitles later (H)">
+            +0.1s
+          </button>
+        </div>
+      </div>
+
+      <div className="timing-row">
+        <span className="timing-row-label">Framerate</span>
+        <select
+          className="timing-select"
+          value={timing.framerate}
+          onChange={(e) => onFramerateChange(e.target.value)}
+        >
+          {Object.entries(FRAMERATE_CONVERSIONS).map(([key, conversion]) => (
+            <option key={key} value={key}>{conversion.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="timing-resync">
+        <span className="timing-row-label">
+          Resync {timing.points.length > 0 && `(${timing.points.length}/2 points set)`}
+        </span>
+        {cues.length > 0 ? (
+          <div className="resync-cue-list">
+            {cues.map((cue) => (
+              <button
+                key={cue.id}
+                className={`resync-cue ${cue.current ? 'current' : ''}`}
+                onClick={() => onResync(cue)}
+                title="This line is spoken now"
+              >
+                <span className="resync-cue-time">{formatTime(cue.shownAt)}</span>
+                <span className="resync-cue-text">{cue.text}</span>
+              </button>
+            ))}
+          </div>
+        ) : (
+          <p className="settings-description">Subtitle lines appear here once the track has loaded.</p>
+        )}
+        <p className="settings-description">
+          Pause when a line is spoken and click it. Do it again for a second line further
+          into the video to also correct subtitles that drift over time.
+        </p>
+      </div>
+
+      <div className="timing-actions">
+        <button className="timing-btn" onClick={onReset} disabled={isDefaultTiming(timing)}>
+          Reset
+        </button>
+        {onSave && (
+          <button className="timing-btn primary" onClick={onSave} disabled={isDefaultTiming(timing)}>
+            Save to Server
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SubtitleTiming;
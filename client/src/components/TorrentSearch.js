@@ -1,6 +1,7 @@
 import React, { useState, useRef, useEffect } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { saveToLibrary } from './Library';
 import './TorrentSearch.css';
 
 // Auto-detect API URL: use same origin in production, localhost in development
@@ -229,10 +230,22 @@ function TorrentSearch({ onSelectTorrent, onClose, initialQuery, initialResults,
                           )}
                         </div>
                       </div>
-                      <button className="stream-button">
-                        <span>▶</span>
-                        Stream
-                      </button>
+                      <div className="result-actions">
+                        <button
+                          className="save-result-button"
+                          title="Save to library"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            saveToLibrary({ magnetUrl: result.magnet, name: result.name });
+                          }}
+                        >
+                          📚 Save
+                        </button>
+                        <button className="stream-button">
+                          <span>▶</span>
+                          Stream
+                        </button>
+                      </div>
                     </div>
                   );
                 })}
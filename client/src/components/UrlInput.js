@@ -2,6 +2,10 @@ import React, { useState, useRef } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import TorrentSearch from './TorrentSearch';
+import FileBrowser from './FileBrowser';
+import WatchHistory from './WatchHistory';
+import Library from './Library';
+import MediaInfo, { detectBrowserCodecs, getPlaybackWarning } from './MediaInfo';
 import './UrlInput.css';
 
 // Auto-detect API URL: use same origin in production, localhost in development
@@ -11,6 +15,12 @@ const API_URL = process.env.REACT_APP_API_URL ||
     : window.location.origin);
 const MAX_RETRIES = 60; // 2 minutes (60 * 2 seconds)
 const POLL_INTERVAL = 2000; // 2 seconds
+// Don't hold playback back for long if the file's header is slow to arrive
+const PROBE_TIMEOUT = 10000;
+// Long enough to read a playback warning before the player takes over
+const WARNING_HANDOVER_DELAY = 3000;
+
+const isTorrentFile = (file) => /\.torrent$/i.test(file.name);
 
 function UrlInput({ onStreamStart, searchState, onSearchStateChange }) {
   const [magnetUrl, setMagnetUrl] = useState('');
@@ -18,7 +28,11 @@ function UrlInput({ onStreamStart, searchState, onSearchStateChange }) {
   const [progress, setProgress] = useState(0);
   const [loadingStatus, setLoadingStatus] = useState(null);
   const [showSearch, setShowSearch] = useState(false);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [fileChoice, setFileChoice] = useState(null);
+  const [dragActive, setDragActive] = useState(false);
   const timeoutRef = useRef(null);
+  const torrentFileInputRef = useRef(null);
   const retryCountRef = useRef(0);
   
   // Restore search state if available
@@ -26,6 +40,77 @@ function UrlInput({ onStreamStart, searchState, onSearchStateChange }) {
   const [localSearchResults, setLocalSearchResults] = useState(searchState?.results || []);
   const [localHasSearched, setLocalHasSearched] = useState(searchState?.hasSearched || false);
 
+  // Codecs, resolution, chapters etc. of a file - null when the server can't probe it
+  const fetchMediaInfo = async (torrentId, fileIndex) => {
+    const codecs = detectBrowserCodecs();
+    try {
+      const response = await axios.get(`${API_URL}/api/torrent/${torrentId}/files/${fileIndex}/probe`, {
+        params: {
+          videoCodecs: codecs.videoCodecs.join(','),
+          audioCodecs: codecs.audioCodecs.join(','),
+        },
+        timeout: PROBE_TIMEOUT,
+      });
+      return response.data;
+    } catch (error) {
+      console.warn('Could not probe media:', error.response?.data?.error || error.message);
+      return null;
+    }
+  };
+
+  // Build the stream URL for the chosen file and hand over to the player
+  // resumeFrom: position (seconds) to start at without asking, e.g. from the watch history
+  const startPlayback = async (torrentId, info, videoFile, resumeFrom = null) => {
+    const streamUrl = `${API_URL}/api/torrent/${torrentId}/files/${videoFile.index}/stream`;
+
+    setFileChoice(null);
+    setLoading(true);
+    setLoadingStatus({
+      stage: 'probing',
+      message: '🔬 Reading media info...',
+      description: 'Checking the video format before playback starts',
+      details: {
+        fileName: videoFile.name || info.name || 'Video'
+      }
+    });
+
+    const mediaInfo = await fetchMediaInfo(torrentId, videoFile.index);
+    const warning = getPlaybackWarning(mediaInfo);
+    
+    // Update info with the selected video file
+    const updatedInfo = {
+      ...info,
+      videoFile: videoFile,
+      fileIndex: videoFile.index,
+      probe: mediaInfo,
+      resumeFrom: resumeFrom ? { fileIndex: videoFile.index, position: resumeFrom } : null
+    };
+    
+    setProgress(100);
+    setLoadingStatus({
+      stage: 'ready',
+      message: '🚀 Stream ready!',
+      description: info.progress < 0.01 
+        ? '✨ Streaming from memory - no disk storage! The video will stream as you watch!' 
+        : '✨ The video is ready to stream! Starting the player...',
+      details: {
+        fileName: videoFile.name || updatedInfo.name || 'Video',
+        progress: Math.round(info.progress * 100),
+        streamingMode: true,
+        mediaInfo
+      }
+    });
+    if (warning) {
+      // Stays up after the player takes over
+      toast(warning, { icon: '⚠️', duration: 8000 });
+    }
+    setTimeout(() => {
+      setLoading(false);
+      onStreamStart(streamUrl, updatedInfo);
+      toast.success('Stream ready!', { id: 'torrent-loading' });
+    }, warning ? WARNING_HANDOVER_DELAY : 500);
+  };
+
   const clearPolling = () => {
     if (timeoutRef.current) {
       clearTimeout(timeoutRef.current);
@@ -43,28 +128,46 @@ function UrlInput({ onStreamStart, searchState, onSearchStateChange }) {
     }, 100);
   };
 
-  const handleStreamStart = async (magnet = magnetUrl) => {
-    if (!magnet || !magnet.trim()) {
-      toast.error('Please enter a magnet URL');
+  const handleTorrentFromLibrary = (magnet) => {
+    setMagnetUrl(magnet);
+    setShowLibrary(false);
+    handleStreamStart(magnet);
+  };
+
+  // magnet: magnet link or bare infoHash - the server turns both into the same torrent
+  // options: { fileIndex, resumeFrom } - play that file straight away (watch history)
+  //          { torrentFile } - add an uploaded .torrent file instead of the magnet
+  const handleStreamStart = async (magnet = magnetUrl, options = {}) => {
+    const { torrentFile } = options;
+    if (!torrentFile && (!magnet || !magnet.trim())) {
+      toast.error('Please enter a magnet link or infoHash');
       return;
     }
 
     // Clear any existing polling
     clearPolling();
+    setFileChoice(null);
     setLoading(true);
     setProgress(0);
     setLoadingStatus({
       stage: 'initializing',
       message: 'Starting up...',
       description: 'We\'re preparing to connect to the torrent network.',
-      details: {}
+      details: torrentFile ? { fileName: torrentFile.name } : {}
     });
     toast.loading('Adding torrent...', { id: 'torrent-loading' });
 
     try {
-      const response = await axios.post(`${API_URL}/api/stream`, {
-        magnetUrl: magnet.trim()
-      });
+      let response;
+      if (torrentFile) {
+        const formData = new FormData();
+        formData.append('torrent', torrentFile);
+        response = await axios.post(`${API_URL}/api/stream/torrent-file`, formData);
+      } else {
+        response = await axios.post(`${API_URL}/api/stream`, {
+          magnetUrl: magnet.trim()
+        });
+      }
 
       if (response.data.success) {
         toast.success('Torrent added! Preparing stream...', { id: 'torrent-loading' });
@@ -140,47 +243,35 @@ function UrlInput({ onStreamStart, searchState, onSearchStateChange }) {
             
             // Check if torrent has files (even if not ready yet)
             if (info.files && info.files.length > 0) {
-              // Find video file in files array
-              const videoFile = info.files.find(file => 
-                file.name.endsWith('.mp4') || 
-                file.name.endsWith('.mkv') || 
-                file.name.endsWith('.avi') ||
-                file.name.endsWith('.webm')
-              );
+              // Find video files in files array
+              const videoFiles = info.files.filter(file => file.type === 'video');
 
-              if (videoFile) {
+              if (videoFiles.length > 0) {
                 // Torrent has video file - we can start streaming once metadata is loaded
                 // WebTorrent supports streaming even with minimal download progress
                 if (info.ready || info.hasMetadata) {
-                  // Use the video file from files array if videoFile is null
-                  const finalVideoFile = info.videoFile || videoFile;
-                  const streamUrl = `${API_URL}/api/torrent/${response.data.torrentId}/stream`;
-                  
-                  // Update info with video file
-                  const updatedInfo = {
-                    ...info,
-                    videoFile: finalVideoFile
-                  };
-                  
                   clearPolling();
-                  setLoading(false);
-                  setProgress(100);
-                  setLoadingStatus({
-                    stage: 'ready',
-                    message: '🚀 Stream ready!',
-                    description: info.progress < 0.01 
-                      ? '✨ Streaming from memory - no disk storage! The video will stream as you watch!' 
-                      : '✨ The video is ready to stream! Starting the player...',
-                    details: {
-                      fileName: updatedInfo.name || 'Video',
-                      progress: Math.round(info.progress * 100),
-                      streamingMode: true
-                    }
-                  });
-                  setTimeout(() => {
-                    onStreamStart(streamUrl, updatedInfo);
-                    toast.success('Stream ready!', { id: 'torrent-loading' });
-                  }, 500);
+
+                  const requestedFile = videoFiles.find(file => file.index === options.fileIndex);
+                  if (requestedFile) {
+                    startPlayback(response.data.torrentId, info, requestedFile, options.resumeFrom);
+                    return;
+                  }
+
+                  // Season packs / multi-part releases: let the user pick the file
+                  if (videoFiles.length > 1) {
+                    const filesResponse = await axios.get(`${API_URL}/api/torrent/${response.data.torrentId}/files`);
+                    setLoading(false);
+                    setFileChoice({
+                      torrentId: response.data.torrentId,
+                      info: info,
+                      files: filesResponse.data.files
+                    });
+                    toast.success(`Found ${videoFiles.length} video files - pick one to play`, { id: 'torrent-loading' });
+                    return;
+                  }
+
+                  startPlayback(response.data.torrentId, info, videoFiles[0]);
                   return;
                 }
               } else {
@@ -336,11 +427,61 @@ function UrlInput({ onStreamStart, searchState, onSearchStateChange }) {
     }
   };
 
+  // One click on a history entry: add its torrent again and continue where it was left
+  const handleResumeFromHistory = (entry) => {
+    setMagnetUrl(entry.magnetUrl);
+    handleStreamStart(entry.magnetUrl, {
+      fileIndex: entry.fileIndex,
+      resumeFrom: entry.watched ? null : entry.position
+    });
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     handleStreamStart();
   };
 
+  const handleTorrentFile = (file) => {
+    if (!isTorrentFile(file)) {
+      toast.error('Only .torrent files can be streamed');
+      return;
+    }
+    handleStreamStart(null, { torrentFile: file });
+  };
+
+  const handleTorrentFileSelect = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) handleTorrentFile(file);
+  };
+
+  // Drag and drop anywhere on the home screen: .torrent files, or magnet links dragged as text
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!loading) setDragActive(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setDragActive(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    if (loading) return;
+
+    const file = e.dataTransfer.files[0];
+    if (file) {
+      handleTorrentFile(file);
+      return;
+    }
+    const text = e.dataTransfer.getData('text').trim();
+    if (text) {
+      setMagnetUrl(text);
+      handleStreamStart(text);
+    }
+  };
+
   // Cleanup on unmount
   React.useEffect(() => {
     return () => {
@@ -349,11 +490,18 @@ function UrlInput({ onStreamStart, searchState, onSearchStateChange }) {
   }, []);
 
   return (
-    <div className="url-input-container">
+    <div
+      className={`url-input-container ${dragActive ? 'drag-active' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
       <div className="url-input-card">
         <h2 className="url-input-title">Enter Magnet URL</h2>
         <p className="url-input-description">
-          Paste your magnet link below or search for torrents
+          {dragActive
+            ? 'Drop the .torrent file to start streaming'
+            : 'Paste a magnet link or infoHash below, drop a .torrent file here or search for torrents'}
         </p>
 
         <div className="search-toggle-section">
@@ -365,6 +513,30 @@ function UrlInput({ onStreamStart, searchState, onSearchStateChange }) {
             <span>🔍</span>
             Search Torrents
           </button>
+          <button
+            type="button"
+            className="search-toggle-button"
+            onClick={() => setShowLibrary(true)}
+          >
+            <span>📚</span>
+            Library
+          </button>
+          <button
+            type="button"
+            className="search-toggle-button"
+            onClick={() => torrentFileInputRef.current?.click()}
+            disabled={loading}
+          >
+            <span>📄</span>
+            Open .torrent
+          </button>
+          <input
+            ref={torrentFileInputRef}
+            type="file"
+            accept=".torrent,application/x-bittorrent"
+            onChange={handleTorrentFileSelect}
+            hidden
+          />
         </div>
         
         <div className="divider">
@@ -377,7 +549,7 @@ function UrlInput({ onStreamStart, searchState, onSearchStateChange }) {
               type="text"
               value={magnetUrl}
               onChange={(e) => setMagnetUrl(e.target.value)}
-              placeholder="magnet:?xt=urn:btih:..."
+              placeholder="magnet:?xt=urn:btih:... or infoHash"
               className="url-input"
               disabled={loading}
             />
@@ -410,14 +582,35 @@ function UrlInput({ onStreamStart, searchState, onSearchStateChange }) {
           <LoadingStatusPanel status={loadingStatus} progress={progress} />
         )}
 
+        {fileChoice && (
+          <FileBrowser
+            torrentName={fileChoice.info.name}
+            files={fileChoice.files}
+            onSelectFile={(file) => startPlayback(fileChoice.torrentId, fileChoice.info, file)}
+            onCancel={() => setFileChoice(null)}
+          />
+        )}
+
         <div className="url-input-example">
-          <p className="example-label">Example format:</p>
+          <p className="example-label">Example formats:</p>
           <code className="example-code">
             magnet:?xt=urn:btih:...
           </code>
+          <code className="example-code">
+            08ada5a7a6183aae1e09d831df6748d566095a10
+          </code>
         </div>
       </div>
 
+      <WatchHistory disabled={loading} onResume={handleResumeFromHistory} />
+
+      {showLibrary && (
+        <Library
+          onPlay={handleTorrentFromLibrary}
+          onClose={() => setShowLibrary(false)}
+        />
+      )}
+
       {showSearch && (
         <TorrentSearch
           onSelectTorrent={handleTorrentFromSearch}
@@ -449,6 +642,8 @@ function LoadingStatusPanel({ status, progress }) {
         return '🔍';
       case 'metadata':
         return '📋';
+      case 'probing':
+        return '🔬';
       case 'downloading':
         return '⬇️';
       case 'retrying':
@@ -491,6 +686,10 @@ function LoadingStatusPanel({ status, progress }) {
       
       <p className="status-description">{status.description}</p>
 
+      {status.details.mediaInfo && (
+        <MediaInfo info={status.details.mediaInfo} />
+      )}
+
       {status.details.progress !== undefined && (
         <div className="status-progress-detail">
           <div className="progress-info">
@@ -1,8 +1,20 @@
-import React, { useRef, useEffect, useState } from 'react';
+import React, { useRef, useEffect, useState, useCallback } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
-import PlayerControls from './PlayerControls';
+import Hls from 'hls.js';
+import PlayerControls, { getChapterSeekTarget } from './PlayerControls';
 import PlayerSettings from './PlayerSettings';
+import Playlist, { buildPlaylist } from './Playlist';
+import AssSubtitles, { fetchSubtitleText } from './AssSubtitles';
+import SecondarySubtitles from './SecondarySubtitles';
+import ExternalAudio from './ExternalAudio';
+import { getActiveSkipMarker } from './SkipMarkers';
+import { parseThumbnailTrack } from './SeekThumbnail';
+import { detectBrowserCodecs } from './MediaInfo';
+import { saveToLibrary } from './Library';
+import ResumePrompt, { loadWatchProgress, saveWatchProgress, getResumePosition } from './WatchProgress';
+import { DEFAULT_SUBTITLE_STYLE, DEFAULT_SECONDARY_SUBTITLE_STYLE, loadSubtitleStyle, saveSubtitleStyle, buildCueCss } from './SubtitleStyle';
+import { DEFAULT_TIMING, applyTiming, resyncTiming, formatDelay, getTimingScale, DELAY_STEP } from './SubtitleTiming';
 import './VideoPlayer.css';
 
 // Auto-detect API URL: use same origin in production, localhost in development
@@ -11,11 +23,36 @@ const API_URL = process.env.REACT_APP_API_URL ||
     ? 'http://localhost:5000' 
     : window.location.origin);
 
-function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
+// Start downloading the next episode this many seconds before the current one ends
+const PREFETCH_LEAD_TIME = 180;
+
+const NO_CHAPTERS = [];
+
+const SKIP_DETECTION_POLL_INTERVAL = 5000;
+// Seek previews are added as the download progresses - pick up new ones this often
+const THUMBNAIL_REFRESH_INTERVAL = 30000;
+const PIECE_POLL_INTERVAL = 3000;
+// Watch progress is saved every this many seconds of playback (and on pause / leaving)
+const PROGRESS_SAVE_INTERVAL = 15;
+// The resume offer goes away once playback has run this long without it
+const RESUME_PROMPT_TIMEOUT = 10000;
+
+// HLS is preferred for converted streams because it stays seekable
+const canPlayHls = () => Hls.isSupported() ||
+  document.createElement('video').canPlayType('application/vnd.apple.mpegurl') !== '';
+
+function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack, onFileChange }) {
   const videoRef = useRef(null);
+  const wrapperRef = useRef(null);
+  const cueOriginalsRef = useRef(new WeakMap()); // VTTCue → original { startTime, endTime, line, ... }
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
+  const [mediaInfo, setMediaInfo] = useState(null);
+  const [thumbnails, setThumbnails] = useState([]);
+  // Downloaded parts of the file as fractions of its length: [{ start, end }]
+  const [downloadedRanges, setDownloadedRanges] = useState([]);
+  const chapters = mediaInfo?.chapters || NO_CHAPTERS;
   const [volume, setVolume] = useState(1);
   const [isMuted, setIsMuted] = useState(false);
   const [playbackRate, setPlaybackRate] = useState(1);
@@ -23,14 +60,60 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
   const [showSettings, setShowSettings] = useState(false);
   const [subtitles, setSubtitles] = useState([]);
   const [activeSubtitle, setActiveSubtitle] = useState(null);
+  // Fonts attached to the video (for styled ASS subtitles) and ASS tracks that failed to render
+  const [subtitleFontsUrl, setSubtitleFontsUrl] = useState(null);
+  const [failedStyledSubtitles, setFailedStyledSubtitles] = useState([]);
+  // Per-subtitle timing corrections: { [subtitle id]: { delay, scale, framerate, points } }
+  const [subtitleTimings, setSubtitleTimings] = useState({});
+  const [subtitleStyle, setSubtitleStyle] = useState(loadSubtitleStyle);
+  // Dual subtitles: a second track shown alongside the active one, in its own overlay
+  const [secondarySubtitle, setSecondarySubtitle] = useState(null);
+  const [secondaryTrack, setSecondaryTrack] = useState(null);
+  const [secondarySubtitleStyle, setSecondarySubtitleStyle] = useState(() => loadSubtitleStyle('secondary'));
   const [skipInterval, setSkipInterval] = useState(10); // seconds
   const [audioTracks, setAudioTracks] = useState([]);
   const [activeAudioTrack, setActiveAudioTrack] = useState(null);
+  // Separate audio file from the torrent played instead of the video's own audio
+  const [externalAudio, setExternalAudio] = useState(null);
+  const externalAudioRef = useRef(null);
+  // Audio streams probed by the server - switching remuxes the video with the chosen one
+  const [containerAudioTracks, setContainerAudioTracks] = useState([]);
+  const [containerAudioTrack, setContainerAudioTrack] = useState(null);
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [isVideoLoading, setIsVideoLoading] = useState(true);
   const [buffering, setBuffering] = useState(false);
+  const [playlist, setPlaylist] = useState([]);
+  const [showPlaylist, setShowPlaylist] = useState(false);
+  const [autoPlayNext, setAutoPlayNext] = useState(true);
   const controlsTimeoutRef = useRef(null);
   const isPlayOperationInProgress = useRef(false);
+  // Latest player actions for long-lived listeners - refreshed on every render so a key
+  // press or media error never acts on a stale playback state
+  const actionsRef = useRef({});
+  const prefetchedFilesRef = useRef(new Set());
+  const autoPlayPendingRef = useRef(false);
+  const previousStreamUrlRef = useRef(streamUrl);
+  // Remux/transcode fallback: { mode, type: 'hls' | 'fmp4', url, duration, offset } - null means direct play
+  const [playback, setPlayback] = useState(null);
+  const playbackPlanRef = useRef(null);
+  const playbackOffsetRef = useRef(0);
+  // Skip intro / credits ranges of the current file: { intro, credits, detection }
+  const [skipMarkers, setSkipMarkers] = useState(null);
+  // Saved position of the current file offered as "Resume from ..." - null once answered
+  const [resumePosition, setResumePosition] = useState(null);
+  const progressRef = useRef({ time: 0, duration: 0 });
+  const lastSavedPositionRef = useRef(0);
+  const resumeOfferOpenRef = useRef(false);
+  // Position to jump to as soon as the video can play (resumed from the watch history)
+  const pendingResumeRef = useRef(null);
+  // Ids of embedded subtitles the server is extracting for the current file
+  const extractingSubtitlesRef = useRef(new Set());
+
+  const infoHash = torrentInfo?.infoHash;
+  const currentFileIndex = torrentInfo?.fileIndex;
+  const playlistPosition = playlist.findIndex(file => file.index === currentFileIndex);
+  const nextFile = playlistPosition >= 0 ? playlist[playlistPosition + 1] || null : null;
+  const activeSkipMarker = getActiveSkipMarker(skipMarkers, currentTime);
 
   useEffect(() => {
     const video = videoRef.current;
@@ -38,14 +121,16 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
 
     // Video event listeners
     const handleTimeUpdate = () => {
-      const time = video.currentTime;
+      // Converted streams restart at 0 after a seek - add the seek offset back
+      const time = video.currentTime + playbackOffsetRef.current;
       if (isFinite(time) && time >= 0) {
         setCurrentTime(time);
       }
     };
     const handleDurationChange = () => {
       const duration = video.duration;
-      if (isFinite(duration) && duration > 0) {
+      // Converted streams report a partial duration - the probed one is used instead
+      if (isFinite(duration) && duration > 0 && playbackPlanRef.current?.type !== 'fmp4') {
         setDuration(duration);
       }
     };
@@ -58,6 +143,8 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
       isPlayOperationInProgress.current = false;
     };
     const handleVolumeChange = () => {
+      // The video is kept muted while an external audio file plays - its element has the volume
+      if (externalAudioRef.current) return;
       setVolume(video.volume);
       setIsMuted(video.muted);
     };
@@ -84,9 +171,11 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
             break;
           case error.MEDIA_ERR_DECODE:
             errorMsg = 'Video decode error';
+            if (actionsRef.current.switchToConvertedPlayback()) return;
             break;
           case error.MEDIA_ERR_SRC_NOT_SUPPORTED:
             errorMsg = 'Video format not supported';
+            if (actionsRef.current.switchToConvertedPlayback()) return;
             break;
         }
         console.error('Video error:', errorMsg, error);
@@ -144,7 +233,13 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
     // Keyboard controls
     const handleKeyDown = (e) => {
       if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+      // Leave browser shortcuts (Ctrl+H, Cmd+G, Alt+N...) to the browser
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
 
+      const {
+        togglePlay, skip, changeVolume, toggleMute, toggleFullscreen,
+        playFile, seekChapter, adjustSubtitleDelay,
+      } = actionsRef.current;
       switch (e.key.toLowerCase()) {
         case ' ':
           e.preventDefault();
@@ -178,6 +273,23 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
         case 'f':
           toggleFullscreen();
           break;
+        case 'n':
+          if (nextFile) playFile(nextFile);
+          break;
+        case 'pageup':
+          e.preventDefault();
+          seekChapter(-1);
+          break;
+        case 'pagedown':
+          e.preventDefault();
+          seekChapter(1);
+          break;
+        case 'g':
+          adjustSubtitleDelay(-DELAY_STEP);
+          break;
+        case 'h':
+          adjustSubtitleDelay(DELAY_STEP);
+          break;
         case 'escape':
           if (showSettings) setShowSettings(false);
           break;
@@ -227,7 +339,7 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
       video.removeEventListener('mouseleave', handleMouseLeave);
       clearTimeout(controlsTimeoutRef.current);
     };
-  }, [skipInterval, isPlaying, showSettings]);
+  }, [skipInterval, isPlaying, showSettings, nextFile]);
 
   // Load audio tracks if available (both embedded and separate files)
   useEffect(() => {
@@ -263,8 +375,11 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
       
       // Also check for embedded text tracks (subtitles)
       if (video.textTracks && video.textTracks.length > 0) {
+        // <track> elements we added ourselves are already listed
+        const trackElements = Array.from(video.querySelectorAll('track')).map(el => el.track);
         const embeddedSubtitles = Array.from(video.textTracks)
           .filter(track => track.kind === 'subtitles' || track.kind === 'captions')
+          .filter(track => !trackElements.includes(track))
           .map((track, index) => ({
             id: `embedded-${index}`,
             label: track.label || track.language || `Subtitle ${index + 1}`,
@@ -294,13 +409,19 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
     // Also check for separate audio files from torrent
     if (torrentInfo && torrentInfo.audioFiles && torrentInfo.audioFiles.length > 0) {
       const separateTracks = torrentInfo.audioFiles.map((file, index) => ({
-        id: index,
+        id: `separate-${file.index}`,
         label: file.name || `Audio Track ${index + 1}`,
         language: 'unknown',
         kind: 'separate',
         file: file
       }));
-      setAudioTracks(separateTracks);
+      setAudioTracks([
+        { id: 'original', label: 'Original (video audio)', language: 'unknown', kind: 'original' },
+        ...separateTracks,
+      ]);
+      if (activeAudioTrack === null) {
+        setActiveAudioTrack(0);
+      }
     } else {
       // Check for embedded tracks
       video.addEventListener('loadedmetadata', handleLoadedMetadata);
@@ -315,6 +436,719 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
     };
   }, [torrentInfo, activeAudioTrack, activeSubtitle]);
 
+  // Load the torrent's video files to build the episode playlist
+  useEffect(() => {
+    if (!infoHash || !onFileChange) return;
+
+    let cancelled = false;
+    axios.get(`${API_URL}/api/torrent/${infoHash}/files`)
+      .then((response) => {
+        if (!cancelled) {
+          setPlaylist(buildPlaylist(response.data.files || []));
+        }
+      })
+      .catch((error) => {
+        console.warn('Could not load playlist:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [infoHash, onFileChange]);
+
+  // List subtitles for the file: sidecar .srt/.vtt files shipped in the torrent and
+  // text tracks muxed inside the video (both served as WebVTT by the server). Embedded
+  // tracks that haven't been extracted yet stay `pending` until they're picked
+  useEffect(() => {
+    if (!infoHash || currentFileIndex === undefined) return;
+
+    let cancelled = false;
+    const extractingSubtitles = extractingSubtitlesRef.current;
+    axios.get(`${API_URL}/api/torrent/${infoHash}/subtitles`, { params: { file: currentFileIndex } })
+      .then((response) => {
+        const tracks = response.data.tracks || [];
+        if (cancelled || tracks.length === 0) return;
+
+        const usedLabels = new Set();
+        const fileSubtitles = tracks.map((track, position) => {
+          // Track labels must be unique - they're how <track> elements are matched up
+          let label = track.label;
+          if (usedLabels.has(label)) {
+            label = `${label} ${position + 1}`;
+          }
+          usedLabels.add(label);
+
+          return {
+            id: `file-${currentFileIndex}-${track.source}-${track.source === 'embedded' ? track.trackIndex : track.fileIndex}`,
+            label,
+            language: track.language,
+            src: `${API_URL}${track.url}`,
+            assSrc: track.assUrl ? `${API_URL}${track.assUrl}` : null,
+            kind: 'subtitles',
+            default: false,
+            fromFile: true,
+            pending: track.source === 'embedded' && !track.ready,
+          };
+        });
+
+        setSubtitleFontsUrl(response.data.fontsUrl ? `${API_URL}${response.data.fontsUrl}` : null);
+        setSubtitles(prev => [...prev.filter(s => !s.fromFile), ...fileSubtitles]);
+        fileSubtitles.filter(subtitle => !subtitle.pending).forEach(addSubtitleTrack);
+      })
+      .catch((error) => {
+        console.warn('Could not list embedded subtitles:', error);
+      });
+
+    return () => {
+      cancelled = true;
+      extractingSubtitles.clear();
+    };
+  }, [infoHash, currentFileIndex]);
+
+  // The styled renderer draws ASS subtitles itself - keep the WebVTT version of the track
+  // hidden, and bring it back if the styled renderer fails
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !activeSubtitle?.assSrc) return;
+
+    const styled = !failedStyledSubtitles.includes(activeSubtitle.id);
+    const tracks = video.textTracks;
+    for (let i = 0; i < tracks.length; i++) {
+      if (tracks[i].label === activeSubtitle.label) {
+        tracks[i].mode = styled ? 'hidden' : 'showing';
+      }
+    }
+  }, [activeSubtitle, failedStyledSubtitles]);
+
+  const activeTiming = (activeSubtitle && subtitleTimings[activeSubtitle.id]) || DEFAULT_TIMING;
+
+  // Find the TextTrack (and the <track> element, if we added one) showing a subtitle
+  const findTextTrack = (subtitle) => {
+    const video = videoRef.current;
+    if (!video || !subtitle) return {};
+
+    const element = Array.from(video.querySelectorAll('track')).find(el => el.label === subtitle.label);
+    if (element) return { track: element.track, element };
+
+    const track = Array.from(video.textTracks).find(t =>
+      t.label === subtitle.label || (subtitle.embedded && t.language === subtitle.language));
+    return { track };
+  };
+
+  // Shift/stretch the loaded cues and move them up by `position` %, keeping the original
+  // values so corrections don't accumulate
+  const applyCueAdjustments = (track, timing, position) => {
+    if (!track || !track.cues) return;
+
+    const originals = cueOriginalsRef.current;
+    Array.from(track.cues).forEach((cue) => {
+      if (!originals.has(cue)) {
+        originals.set(cue, {
+          startTime: cue.startTime,
+          endTime: cue.endTime,
+          line: cue.line,
+          lineAlign: cue.lineAlign,
+          snapToLines: cue.snapToLines,
+        });
+      }
+      const original = originals.get(cue);
+      cue.startTime = applyTiming(original.startTime, timing);
+      cue.endTime = applyTiming(original.endTime, timing);
+
+      // Cues positioned by the subtitle file itself keep their place
+      if (original.line === 'auto') {
+        if (position > 0) {
+          cue.snapToLines = false;
+          cue.lineAlign = 'end';
+          cue.line = 100 - position;
+        } else {
+          cue.snapToLines = original.snapToLines;
+          cue.lineAlign = original.lineAlign;
+          cue.line = original.line;
+        }
+      }
+    });
+  };
+
+  // Apply the active subtitle's timing correction and position - cues only exist once the track has loaded
+  useEffect(() => {
+    const { track, element } = findTextTrack(activeSubtitle);
+    if (!track) return;
+
+    applyCueAdjustments(track, activeTiming, subtitleStyle.position);
+
+    if (element && element.readyState !== 2) {
+      const handleLoad = () => applyCueAdjustments(track, activeTiming, subtitleStyle.position);
+      element.addEventListener('load', handleLoad);
+      return () => element.removeEventListener('load', handleLoad);
+    }
+  }, [activeSubtitle, activeTiming, subtitleStyle.position]);
+
+  const handleSubtitleStyleChange = (style) => {
+    setSubtitleStyle(style);
+    saveSubtitleStyle(style);
+  };
+
+  // Keep the secondary track loaded (hidden - it's drawn by SecondarySubtitles) with its own timing
+  useEffect(() => {
+    const { track, element } = findTextTrack(secondarySubtitle);
+    setSecondaryTrack(track || null);
+    if (!track) return;
+
+    if (track.mode === 'disabled') {
+      track.mode = 'hidden';
+    }
+    const timing = subtitleTimings[secondarySubtitle.id] || DEFAULT_TIMING;
+    applyCueAdjustments(track, timing, 0);
+
+    if (element && element.readyState !== 2) {
+      const handleLoad = () => applyCueAdjustments(track, timing, 0);
+      element.addEventListener('load', handleLoad);
+      return () => element.removeEventListener('load', handleLoad);
+    }
+  }, [secondarySubtitle, subtitleTimings]);
+
+  const handleSecondarySubtitleChange = (subtitle) => {
+    if (subtitle?.pending) {
+      extractPendingSubtitle(subtitle, true);
+      return;
+    }
+    if (!subtitle || secondarySubtitle?.id === subtitle.id) {
+      setSecondarySubtitle(null);
+      toast.success('Secondary subtitles disabled', { duration: 1500 });
+      return;
+    }
+    if (activeSubtitle?.id === subtitle.id) {
+      toast.error('This track is already the main subtitle', { duration: 2000 });
+      return;
+    }
+    setSecondarySubtitle(subtitle);
+    toast.success(`Secondary subtitles: ${subtitle.label}`, { duration: 1500 });
+  };
+
+  const handleSecondarySubtitleStyleChange = (style) => {
+    setSecondarySubtitleStyle(style);
+    saveSubtitleStyle(style, 'secondary');
+  };
+
+  const updateSubtitleTiming = (update) => {
+    if (!activeSubtitle) return;
+    const id = activeSubtitle.id;
+    setSubtitleTimings(prev => ({ ...prev, [id]: update(prev[id] || DEFAULT_TIMING) }));
+  };
+
+  const adjustSubtitleDelay = (delta) => {
+    if (!activeSubtitle) {
+      toast('No subtitles active', { id: 'subtitle-delay', duration: 1500 });
+      return;
+    }
+
+    const delay = Math.round((activeTiming.delay + delta) * 1000) / 1000;
+    updateSubtitleTiming(timing => ({ ...timing, delay }));
+    toast(`Subtitle delay: ${formatDelay(delay)}`, { id: 'subtitle-delay', duration: 1500 });
+  };
+
+  // "This line is spoken now" - the cue's original start belongs at the current video time
+  const handleSubtitleResync = (cue) => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    const points = [...activeTiming.points, { original: cue.start, target: video.currentTime }];
+    updateSubtitleTiming(timing => resyncTiming(timing, points));
+    toast.success(points.length === 1
+      ? 'Subtitles shifted - pick a second line later in the video to fix drift'
+      : 'Subtitles resynced', { duration: 3000 });
+  };
+
+  // Lines around the playhead to pick from when resyncing
+  const getResyncCues = () => {
+    const video = videoRef.current;
+    const { track } = findTextTrack(activeSubtitle);
+    if (!video || !track || !track.cues || track.cues.length === 0) return [];
+
+    const cues = Array.from(track.cues);
+    const now = video.currentTime;
+    const nextIndex = cues.findIndex(cue => cue.endTime >= now);
+    const start = Math.max(0, (nextIndex === -1 ? cues.length : nextIndex) - 3);
+
+    return cues.slice(start, start + 7).map((cue, i) => ({
+      id: `${start + i}`,
+      start: (cueOriginalsRef.current.get(cue) || cue).startTime,
+      shownAt: cue.startTime,
+      current: cue.startTime <= now && cue.endTime >= now,
+      text: cue.text.replace(/<[^>]+>/g, '').replace(/\n/g, ' '),
+    }));
+  };
+
+  // Write the corrected timing into an uploaded subtitle file on the server
+  const handleSubtitleTimingSave = async () => {
+    if (!activeSubtitle?.filename) return;
+
+    try {
+      await axios.post(`${API_URL}/api/subtitles/${activeSubtitle.filename}/timing`, {
+        delay: activeTiming.delay,
+        scale: getTimingScale(activeTiming),
+      });
+
+      // The saved file now has the corrected times - treat them as the new originals
+      const { track } = findTextTrack(activeSubtitle);
+      if (track && track.cues) {
+        Array.from(track.cues).forEach((cue) => {
+          cueOriginalsRef.current.set(cue, {
+            ...cueOriginalsRef.current.get(cue),
+            startTime: cue.startTime,
+            endTime: cue.endTime,
+          });
+        });
+      }
+      const saved = activeSubtitle.assSrc
+        ? { ...activeSubtitle, assSrc: `${activeSubtitle.assSrc.split('?')[0]}?v=${Date.now()}` }
+        : activeSubtitle;
+      setSubtitles(prev => prev.map(s => (s.id === saved.id ? saved : s)));
+      setActiveSubtitle(saved);
+      setSubtitleTimings(prev => ({ ...prev, [saved.id]: DEFAULT_TIMING }));
+
+      toast.success('Subtitle timing saved');
+    } catch (error) {
+      console.error('Error saving subtitle timing:', error);
+      toast.error('Failed to save subtitle timing');
+    }
+  };
+
+  const handleStyledSubtitleError = useCallback(() => {
+    if (!activeSubtitle) return;
+    setFailedStyledSubtitles(prev => [...prev, activeSubtitle.id]);
+    toast.error('Styled subtitles failed - showing plain text instead', { duration: 3000 });
+  }, [activeSubtitle]);
+
+  // Pre-download the start of the next episode shortly before this one ends
+  useEffect(() => {
+    if (!nextFile || !infoHash || !isFinite(duration) || duration <= 0) return;
+    if (duration - currentTime > PREFETCH_LEAD_TIME) return;
+    if (prefetchedFilesRef.current.has(nextFile.index)) return;
+
+    prefetchedFilesRef.current.add(nextFile.index);
+    axios.post(`${API_URL}/api/torrent/${infoHash}/files/${nextFile.index}/prefetch`)
+      .catch((error) => {
+        // Allow another attempt on the next time update
+        prefetchedFilesRef.current.delete(nextFile.index);
+        console.warn('Prefetch failed:', error);
+      });
+  }, [currentTime, duration, nextFile, infoHash]);
+
+  // Auto-advance to the next episode when the current one ends
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    const handleEnded = () => {
+      if (autoPlayNext && nextFile) {
+        toast.success(`Up next: ${nextFile.name}`, { duration: 3000 });
+        actionsRef.current.playFile(nextFile);
+      }
+    };
+
+    video.addEventListener('ended', handleEnded);
+    return () => {
+      video.removeEventListener('ended', handleEnded);
+    };
+  }, [autoPlayNext, nextFile]);
+
+  // Switched to another file - reset per-file state and resume playback if needed
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || previousStreamUrlRef.current === streamUrl) return;
+    previousStreamUrlRef.current = streamUrl;
+
+    // Subtitles belong to the previous file
+    Array.from(video.querySelectorAll('track')).forEach(track => track.remove());
+    setSubtitles([]);
+    setActiveSubtitle(null);
+    setSecondarySubtitle(null);
+    setSubtitleFontsUrl(null);
+    // An external audio file was made for the previous file
+    if (externalAudioRef.current) {
+      setExternalAudio(null);
+      setActiveAudioTrack(null);
+    }
+    setCurrentTime(0);
+    setDuration(0);
+
+    if (autoPlayPendingRef.current) {
+      autoPlayPendingRef.current = false;
+      const playWhenReady = () => {
+        video.play().catch((error) => {
+          console.warn('Auto-play of next file failed:', error);
+        });
+      };
+      video.addEventListener('canplay', playWhenReady, { once: true });
+      return () => {
+        video.removeEventListener('canplay', playWhenReady);
+      };
+    }
+  }, [streamUrl]);
+
+  // Watch progress: offer to resume where the file was left, and remember the position
+  // when switching files or going back
+  const initialResume = torrentInfo?.resumeFrom;
+  useEffect(() => {
+    setResumePosition(null);
+    lastSavedPositionRef.current = 0;
+    pendingResumeRef.current = null;
+    if (!infoHash || currentFileIndex === undefined) return;
+
+    let cancelled = false;
+    // Picked from the watch history to be resumed - no need to ask
+    if (initialResume && initialResume.fileIndex === currentFileIndex) {
+      pendingResumeRef.current = initialResume.position;
+    } else {
+      loadWatchProgress(infoHash, currentFileIndex).then((progress) => {
+        if (!cancelled) setResumePosition(getResumePosition(progress));
+      });
+    }
+
+    return () => {
+      cancelled = true;
+      const { time, duration } = progressRef.current;
+      if (time > 0 && duration > 0 && !resumeOfferOpenRef.current) {
+        saveWatchProgress(infoHash, currentFileIndex, time, duration);
+      }
+    };
+  }, [infoHash, currentFileIndex, initialResume]);
+
+  useEffect(() => {
+    if (isVideoLoading || pendingResumeRef.current === null) return;
+    const position = pendingResumeRef.current;
+    pendingResumeRef.current = null;
+    actionsRef.current.handleSeek(position);
+  }, [isVideoLoading]);
+
+  useEffect(() => {
+    progressRef.current = { time: currentTime, duration };
+    resumeOfferOpenRef.current = resumePosition !== null;
+  }, [currentTime, duration, resumePosition]);
+
+  // Save every PROGRESS_SAVE_INTERVAL seconds while playing and whenever playback pauses.
+  // Nothing is saved while the resume offer is up, so the saved position isn't lost
+  // before the viewer has answered
+  useEffect(() => {
+    if (!infoHash || currentFileIndex === undefined || resumePosition !== null) return;
+    if (!duration || currentTime <= 0) return;
+
+    const moved = Math.abs(currentTime - lastSavedPositionRef.current);
+    if (moved < (isPlaying ? PROGRESS_SAVE_INTERVAL : 1)) return;
+
+    lastSavedPositionRef.current = currentTime;
+    saveWatchProgress(infoHash, currentFileIndex, currentTime, duration);
+  }, [currentTime, duration, isPlaying, infoHash, currentFileIndex, resumePosition]);
+
+  useEffect(() => {
+    if (resumePosition === null || !isPlaying) return;
+    const timer = setTimeout(() => setResumePosition(null), RESUME_PROMPT_TIMEOUT);
+    return () => clearTimeout(timer);
+  }, [resumePosition, isPlaying]);
+
+  // Media details (duration, chapters) - UrlInput probes the file before handing over,
+  // files opened from the playlist are probed here
+  const initialProbe = torrentInfo?.probe;
+  useEffect(() => {
+    setMediaInfo(null);
+    if (!infoHash || currentFileIndex === undefined) return;
+
+    const applyMediaInfo = (info) => {
+      setMediaInfo(info);
+      // Known before the video element has loaded anything
+      if (info.duration) {
+        setDuration(current => current || info.duration);
+      }
+    };
+
+    if (initialProbe && initialProbe.fileIndex === currentFileIndex) {
+      applyMediaInfo(initialProbe);
+      return;
+    }
+
+    let cancelled = false;
+    axios.get(`${API_URL}/api/torrent/${infoHash}/files/${currentFileIndex}/probe`)
+      .then((response) => {
+        if (!cancelled) applyMediaInfo(response.data);
+      })
+      .catch((error) => {
+        console.warn('Could not probe media:', error.response?.data?.error || error.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [infoHash, initialProbe, currentFileIndex, streamUrl]);
+
+  // Skip markers of the current file - polled while intro detection is running
+  const loadSkipMarkers = useCallback(() => {
+    if (!infoHash || currentFileIndex === undefined) return Promise.resolve(null);
+    return axios.get(`${API_URL}/api/torrent/${infoHash}/files/${currentFileIndex}/markers`)
+      .then(response => response.data)
+      .catch((error) => {
+        console.warn('Could not load skip markers:', error.response?.data?.error || error.message);
+        return null;
+      });
+  }, [infoHash, currentFileIndex]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setSkipMarkers(null);
+    loadSkipMarkers().then((markers) => {
+      if (!cancelled && markers) setSkipMarkers(markers);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [loadSkipMarkers]);
+
+  const skipDetection = skipMarkers?.detection;
+  useEffect(() => {
+    if (skipDetection !== 'running') return;
+
+    let cancelled = false;
+    const interval = setInterval(() => {
+      loadSkipMarkers().then((markers) => {
+        if (!cancelled && markers) setSkipMarkers(markers);
+      });
+    }, SKIP_DETECTION_POLL_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [skipDetection, loadSkipMarkers]);
+
+  // Seek preview thumbnails - refreshed until every position has one
+  useEffect(() => {
+    setThumbnails([]);
+    if (!infoHash || currentFileIndex === undefined) return;
+
+    const trackUrl = `${API_URL}/api/torrent/${infoHash}/files/${currentFileIndex}/thumbnails.vtt`;
+    let cancelled = false;
+    let refreshTimer = null;
+
+    const loadThumbnails = () => {
+      axios.get(trackUrl, { responseType: 'text' })
+        .then((response) => {
+          if (cancelled) return;
+          const { thumbnails: loaded, total } = parseThumbnailTrack(response.data, trackUrl);
+          setThumbnails(loaded);
+          if (total === null || loaded.length < total) {
+            refreshTimer = setTimeout(loadThumbnails, THUMBNAIL_REFRESH_INTERVAL);
+          }
+        })
+        .catch((error) => {
+          // No ffmpeg on the server or no video stream - the tooltip just shows the time
+          console.warn('Seek thumbnails unavailable:', error.response?.data?.error || error.message);
+        });
+    };
+    loadThumbnails();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(refreshTimer);
+    };
+  }, [infoHash, currentFileIndex]);
+
+  // Which parts of the file are downloaded - polled until the file is complete
+  useEffect(() => {
+    setDownloadedRanges([]);
+    if (!infoHash || currentFileIndex === undefined) return;
+
+    let cancelled = false;
+    let pollTimer = null;
+
+    const loadPieces = () => {
+      axios.get(`${API_URL}/api/torrent/${infoHash}/files/${currentFileIndex}/pieces`)
+        .then((response) => {
+          if (cancelled) return;
+          const { ranges, length, progress } = response.data;
+          setDownloadedRanges(ranges.map(range => ({ start: range.start / length, end: range.end / length })));
+          if (progress < 1) {
+            pollTimer = setTimeout(loadPieces, PIECE_POLL_INTERVAL);
+          }
+        })
+        .catch((error) => {
+          if (cancelled) return;
+          console.warn('Could not load download progress:', error.response?.data?.error || error.message);
+          pollTimer = setTimeout(loadPieces, PIECE_POLL_INTERVAL * 5);
+        });
+    };
+    loadPieces();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(pollTimer);
+    };
+  }, [infoHash, currentFileIndex]);
+
+  // Ask the server how this file should be played (direct / remux / transcode)
+  useEffect(() => {
+    setPlayback(null);
+    playbackPlanRef.current = null;
+    playbackOffsetRef.current = 0;
+    setContainerAudioTracks([]);
+    setContainerAudioTrack(null);
+
+    if (!infoHash || currentFileIndex === undefined) return;
+
+    let cancelled = false;
+    const codecs = detectBrowserCodecs();
+    axios.get(`${API_URL}/api/torrent/${infoHash}/files/${currentFileIndex}/playback`, {
+      params: {
+        videoCodecs: codecs.videoCodecs.join(','),
+        audioCodecs: codecs.audioCodecs.join(','),
+      },
+    })
+      .then((response) => {
+        if (cancelled) return;
+        const plan = response.data;
+        playbackPlanRef.current = { ...plan, active: false };
+        if (plan.duration) {
+          setDuration(plan.duration);
+        }
+        setContainerAudioTracks(plan.audioTracks || []);
+
+        const video = videoRef.current;
+        // Only interrupt direct play if it hasn't managed to load anything yet
+        if (plan.mode !== 'direct' && video && (video.error || video.readyState < 2)) {
+          actionsRef.current.switchToConvertedPlayback();
+        }
+      })
+      .catch((error) => {
+        console.warn('Playback capability probe failed:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [infoHash, currentFileIndex]);
+
+  // Resume playback once a new source is ready, if the video was playing
+  const resumeWhenReady = (shouldPlay) => {
+    const video = videoRef.current;
+    if (shouldPlay && video) {
+      video.addEventListener('canplay', () => {
+        video.play().catch(() => {});
+      }, { once: true });
+    }
+  };
+
+  // Load the on-demand HLS playlist (seekable - segments are generated as needed).
+  // HLS segments are always transcoded so they line up with the playlist
+  const startHlsPlayback = (startTime = 0) => {
+    const plan = playbackPlanRef.current;
+    if (!plan) return;
+
+    const video = videoRef.current;
+    const shouldPlay = video ? !video.paused || isPlaying : false;
+    const query = new URLSearchParams();
+    if (plan.audioTrack !== undefined) query.set('audio', plan.audioTrack);
+    const url = `${API_URL}${plan.hlsUrl}${query.toString() ? `?${query}` : ''}`;
+
+    playbackPlanRef.current = { ...plan, active: true, type: 'hls', mode: 'transcode' };
+    playbackOffsetRef.current = 0;
+    setPlayback({ mode: 'transcode', type: 'hls', url, duration: plan.duration, offset: 0 });
+
+    // Switching audio tracks reloads the playlist - carry on where the viewer was
+    if (video && startTime > 0) {
+      video.addEventListener('loadedmetadata', () => {
+        video.currentTime = startTime;
+      }, { once: true });
+    }
+
+    resumeWhenReady(shouldPlay);
+  };
+
+  // Load the remux/transcode stream starting at a given position
+  // (progressive fragmented MP4 - used when the browser can't play HLS)
+  const startConvertedPlayback = (mode, startTime = 0) => {
+    const plan = playbackPlanRef.current;
+    if (!plan) return;
+
+    const video = videoRef.current;
+    const shouldPlay = video ? !video.paused || isPlaying : false;
+    const audio = plan.audioTrack !== undefined ? `&audio=${plan.audioTrack}` : '';
+    const url = `${API_URL}/api/torrent/${infoHash}/files/${currentFileIndex}/remux?mode=${mode}&start=${startTime}${audio}`;
+
+    playbackPlanRef.current = { ...plan, active: true, type: 'fmp4', mode };
+    playbackOffsetRef.current = startTime;
+    setPlayback({ mode, type: 'fmp4', url, duration: plan.duration, offset: startTime });
+    setCurrentTime(startTime);
+
+    resumeWhenReady(shouldPlay);
+  };
+
+  // Direct play failed (or can't work) - escalate direct → remux → transcode
+  const switchToConvertedPlayback = () => {
+    const plan = playbackPlanRef.current;
+    if (!plan || plan.transcoding === false) return false;
+
+    if (!plan.active) {
+      const useHls = plan.hlsUrl && canPlayHls();
+      const mode = useHls ? 'transcode' : plan.mode === 'direct' ? 'remux' : plan.mode;
+      toast(mode === 'transcode'
+        ? '🎞️ Transcoding video for your browser...'
+        : '🎞️ Converting video container for your browser...', { duration: 3000 });
+      if (useHls) {
+        startHlsPlayback();
+      } else {
+        startConvertedPlayback(mode, 0);
+      }
+      return true;
+    }
+
+    if (plan.type === 'fmp4' && plan.mode === 'remux') {
+      toast('🎞️ Remux failed - switching to full transcode...', { duration: 3000 });
+      startConvertedPlayback('transcode', playbackOffsetRef.current);
+      return true;
+    }
+
+    return false;
+  };
+
+  // Attach hls.js for HLS playback (Safari plays the playlist natively via src)
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !playback || playback.type !== 'hls' || !Hls.isSupported()) return;
+
+    const hls = new Hls({
+      maxBufferLength: 60,
+      // Segments are generated on demand and may wait for torrent pieces
+      manifestLoadingTimeOut: 90000,
+      fragLoadingTimeOut: 120000,
+    });
+    hls.loadSource(playback.url);
+    hls.attachMedia(video);
+
+    hls.on(Hls.Events.ERROR, (event, data) => {
+      if (!data.fatal) return;
+      console.error('HLS error:', data);
+
+      if (data.type === Hls.ErrorTypes.NETWORK_ERROR) {
+        hls.startLoad();
+      } else if (data.type === Hls.ErrorTypes.MEDIA_ERROR) {
+        if (!actionsRef.current.switchToConvertedPlayback()) {
+          hls.recoverMediaError();
+        }
+      } else {
+        toast.error('Converted stream failed to play', { duration: 3000 });
+      }
+    });
+
+    return () => {
+      hls.destroy();
+    };
+  }, [playback]);
+
+  const playFile = (file) => {
+    if (!onFileChange || !infoHash) return;
+    autoPlayPendingRef.current = true;
+    onFileChange(`${API_URL}/api/torrent/${infoHash}/files/${file.index}/stream`, file);
+  };
+
   const togglePlay = async () => {
     const video = videoRef.current;
     if (!video) return;
@@ -349,19 +1183,21 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
   const skip = (seconds) => {
     const video = videoRef.current;
     if (video) {
+      const totalDuration = playback ? playback.duration : video.duration;
       // Check if video is ready and duration is valid
-      if (!isFinite(video.duration) || video.duration <= 0) {
+      if (!isFinite(totalDuration) || totalDuration <= 0) {
         toast.error('Video not ready yet. Please wait...', { duration: 2000 });
         return;
       }
 
       // Check if currentTime is valid
-      const currentTime = isFinite(video.currentTime) ? video.currentTime : 0;
-      const newTime = Math.max(0, Math.min(video.duration, currentTime + seconds));
+      const position = video.currentTime + playbackOffsetRef.current;
+      const currentTime = isFinite(position) ? position : 0;
+      const newTime = Math.max(0, Math.min(totalDuration, currentTime + seconds));
       
       // Ensure the new time is finite
       if (isFinite(newTime)) {
-        video.currentTime = newTime;
+        handleSeek(newTime);
         toast.success(`${seconds > 0 ? 'Forwarded' : 'Rewound'} ${Math.abs(seconds)}s`, {
           duration: 1000,
         });
@@ -371,20 +1207,71 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
     }
   };
 
-  const changeVolume = (delta) => {
+  const handleSkipMarkerChange = async (type, range) => {
+    try {
+      const response = await axios.put(
+        `${API_URL}/api/torrent/${infoHash}/files/${currentFileIndex}/markers`,
+        { [type]: range }
+      );
+      setSkipMarkers(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save marker');
+    }
+  };
+
+  const handleDetectIntro = async () => {
+    try {
+      const response = await axios.post(`${API_URL}/api/torrent/${infoHash}/files/${currentFileIndex}/markers/detect`);
+      setSkipMarkers(response.data);
+      toast('Looking for the intro - this needs the start of a few episodes', { icon: '🔍' });
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Intro detection failed');
+    }
+  };
+
+  // Skip the range playback is in - skipping the credits goes on to the next episode
+  const handleSkipMarker = () => {
+    if (!skipMarkers || !activeSkipMarker) return;
+    if (activeSkipMarker === 'credits' && nextFile) {
+      playFile(nextFile);
+      return;
+    }
+    handleSeek(skipMarkers[activeSkipMarker].end);
+  };
+
+  const handleResume = () => {
+    const position = resumePosition;
+    setResumePosition(null);
+    handleSeek(position);
+    if (!isPlaying) togglePlay();
+  };
+
+  // Jump to the next (1) or previous (-1) chapter
+  const seekChapter = (direction) => {
     const video = videoRef.current;
-    if (video) {
-      const newVolume = Math.max(0, Math.min(1, video.volume + delta));
-      video.volume = newVolume;
+    if (!video || chapters.length === 0) return;
+
+    const target = getChapterSeekTarget(chapters, video.currentTime + playbackOffsetRef.current, direction);
+    if (target) {
+      handleSeek(target.start);
+      toast(target.title || `Chapter ${target.index + 1}`, { icon: '📑', duration: 1500 });
+    }
+  };
+
+  const changeVolume = (delta) => {
+    const output = getAudioOutput();
+    if (output) {
+      const newVolume = Math.max(0, Math.min(1, output.volume + delta));
+      output.volume = newVolume;
       setVolume(newVolume);
     }
   };
 
   const toggleMute = () => {
-    const video = videoRef.current;
-    if (video) {
-      video.muted = !video.muted;
-      setIsMuted(video.muted);
+    const output = getAudioOutput();
+    if (output) {
+      output.muted = !output.muted;
+      setIsMuted(output.muted);
     }
   };
 
@@ -393,7 +1280,9 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
     if (!video) return;
 
     if (!document.fullscreenElement) {
-      video.requestFullscreen().catch(err => {
+      // Fullscreen the wrapper so overlays (styled subtitles) stay visible
+      const target = wrapperRef.current?.requestFullscreen ? wrapperRef.current : video;
+      target.requestFullscreen().catch(err => {
         console.error('Error attempting to enable fullscreen:', err);
       });
     } else {
@@ -408,6 +1297,20 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
       if (!isFinite(time) || time < 0) {
         return;
       }
+
+      // Converted streams can't seek - restart the conversion at the new position
+      if (playback && playback.type === 'fmp4') {
+        const target = playback.duration ? Math.min(playback.duration, time) : time;
+        const bufferedEnd = video.buffered.length > 0
+          ? video.buffered.end(video.buffered.length - 1) + playbackOffsetRef.current
+          : playbackOffsetRef.current;
+        if (target >= playbackOffsetRef.current && target <= bufferedEnd) {
+          video.currentTime = target - playbackOffsetRef.current;
+        } else {
+          startConvertedPlayback(playback.mode, Math.floor(target));
+        }
+        return;
+      }
       
       // Check if duration is valid
       if (isFinite(video.duration) && video.duration > 0) {
@@ -425,6 +1328,42 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
     }
   };
 
+  actionsRef.current = {
+    togglePlay, skip, changeVolume, toggleMute, toggleFullscreen,
+    playFile, seekChapter, adjustSubtitleDelay, switchToConvertedPlayback, handleSeek,
+  };
+
+  // Attach a subtitle with a WebVTT URL to the video element as a <track>
+  const addSubtitleTrack = (subtitle) => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    const track = document.createElement('track');
+    track.kind = 'subtitles';
+    track.label = subtitle.label;
+    track.srclang = subtitle.language;
+    track.src = subtitle.src;
+    track.default = subtitle.default;
+
+    // Wait for track to load before setting mode
+    track.addEventListener('load', () => {
+      const textTracks = video.textTracks;
+      for (let i = 0; i < textTracks.length; i++) {
+        if (textTracks[i].label === subtitle.label) {
+          if (subtitle.default) {
+            textTracks[i].mode = 'showing';
+            setActiveSubtitle(subtitle);
+          } else {
+            textTracks[i].mode = 'hidden';
+          }
+          break;
+        }
+      }
+    });
+
+    video.appendChild(track);
+  };
+
   const handleSubtitleUpload = async (file) => {
     const formData = new FormData();
     formData.append('subtitle', file);
@@ -437,49 +1376,7 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
       });
 
       if (response.data.success) {
-        const subtitleUrl = `${API_URL}${response.data.path}`;
-        const language = file.name.split('.')[0] || 'en';
-        const newSubtitle = {
-          id: Date.now(),
-          label: file.name.replace(/\.[^/.]+$/, ''),
-          language: language,
-          src: subtitleUrl,
-          kind: 'subtitles',
-          default: subtitles.length === 0,
-        };
-
-        const updatedSubtitles = [...subtitles, newSubtitle];
-        setSubtitles(updatedSubtitles);
-        
-        // Add track to video element
-        const video = videoRef.current;
-        if (video) {
-          const track = document.createElement('track');
-          track.kind = 'subtitles';
-          track.label = newSubtitle.label;
-          track.srclang = newSubtitle.language;
-          track.src = subtitleUrl;
-          track.default = newSubtitle.default;
-          
-          // Wait for track to load before setting mode
-          track.addEventListener('load', () => {
-            const textTracks = video.textTracks;
-            for (let i = 0; i < textTracks.length; i++) {
-              if (textTracks[i].label === newSubtitle.label) {
-                if (newSubtitle.default) {
-                  textTracks[i].mode = 'showing';
-                  setActiveSubtitle(newSubtitle);
-                } else {
-                  textTracks[i].mode = 'hidden';
-                }
-                break;
-              }
-            }
-          });
-          
-          video.appendChild(track);
-        }
-
+        addStoredSubtitle(response.data, file.name.replace(/\.[^/.]+$/, ''), file.name.split('.')[0] || 'en');
         toast.success('Subtitle uploaded successfully!');
       }
     } catch (error) {
@@ -488,10 +1385,85 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
     }
   };
 
+  // Add a subtitle stored on the server (uploaded or loaded from search) to the player
+  const addStoredSubtitle = (data, label, language) => {
+    const newSubtitle = {
+      id: Date.now(),
+      label: label,
+      language: language,
+      src: `${API_URL}${data.path}`,
+      filename: data.filename,
+      assSrc: data.assPath ? `${API_URL}${data.assPath}` : null,
+      kind: 'subtitles',
+      default: subtitles.length === 0,
+    };
+
+    setSubtitles(prev => [...prev, newSubtitle]);
+
+    // Add track to video element
+    addSubtitleTrack(newSubtitle);
+  };
+
+  const handleSearchedSubtitleLoad = async (result) => {
+    try {
+      const response = await axios.post(`${API_URL}/api/subtitles/search/load`, {
+        provider: result.provider,
+        id: result.id,
+      });
+      addStoredSubtitle(response.data, result.label, result.language);
+      toast.success(`Loaded ${result.label} subtitles`);
+    } catch (error) {
+      console.error('Error loading subtitle:', error);
+      toast.error('Failed to load subtitle');
+    }
+  };
+
+  // Have the server extract an embedded track and add it to the player once it's done -
+  // extraction reads the whole file, so it can take until the download finishes
+  const extractPendingSubtitle = async (subtitle, asSecondary = false) => {
+    const extracting = extractingSubtitlesRef.current;
+    if (extracting.has(subtitle.id)) {
+      toast(`Still extracting ${subtitle.label} - it appears once the video has downloaded`, { icon: '⏳', duration: 3000 });
+      return;
+    }
+
+    extracting.add(subtitle.id);
+    toast(`Extracting ${subtitle.label} from the video - it appears once the video has downloaded`, { icon: '⏳', duration: 4000 });
+    try {
+      const text = await fetchSubtitleText(subtitle.src, () => !extracting.has(subtitle.id));
+      if (text === null) return; // Another file is playing now
+    } catch (error) {
+      console.error('Error extracting subtitles:', error);
+      toast.error(`Could not extract ${subtitle.label}`);
+      return;
+    } finally {
+      extracting.delete(subtitle.id);
+    }
+
+    // A default track is shown (and made active) as soon as it has loaded
+    const ready = { ...subtitle, pending: false, default: !asSecondary };
+    setSubtitles(prev => prev.map(s => (s.id === subtitle.id ? ready : s)));
+    addSubtitleTrack(ready);
+    if (asSecondary) {
+      setSecondarySubtitle(ready);
+    }
+    toast.success(`Subtitles ready: ${subtitle.label}`, { duration: 2000 });
+  };
+
   const handleSubtitleToggle = (subtitle) => {
     const video = videoRef.current;
     if (!video) return;
 
+    if (subtitle.pending) {
+      extractPendingSubtitle(subtitle);
+      return;
+    }
+
+    // A track can't be shown twice - the secondary slot gives it up
+    if (secondarySubtitle?.id === subtitle.id) {
+      setSecondarySubtitle(null);
+    }
+
     // Handle embedded subtitles
     if (subtitle.embedded) {
       const tracks = video.textTracks;
@@ -531,7 +1503,8 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
         if (tracks[i].label === subtitle.label || 
             (tracks[i].srclang && tracks[i].srclang === subtitle.language)) {
           found = true;
-          if (tracks[i].mode === 'showing') {
+          // Styled ASS subtitles keep their native track hidden, so check the active one too
+          if (tracks[i].mode === 'showing' || activeSubtitle?.id === subtitle.id) {
             tracks[i].mode = 'hidden';
             setActiveSubtitle(null);
             toast.success('Subtitles disabled', { duration: 1500 });
@@ -578,13 +1551,65 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
         toast.error('Audio track not available', { duration: 2000 });
       }
     } else if (track.kind === 'separate') {
-      // Handle separate audio files (would need different implementation)
-      // For now, just show a message
-      toast.info('Separate audio file switching not yet implemented', { duration: 2000 });
+      // Played by ExternalAudio in sync with the video
+      setExternalAudio(track);
       setActiveAudioTrack(trackIndex);
+      toast.success(`Audio: ${track.label}`, { duration: 1500 });
+    } else if (track.kind === 'original') {
+      setExternalAudio(null);
+      setActiveAudioTrack(trackIndex);
+      toast.success('Audio: original', { duration: 1500 });
+    }
+  };
+
+  // Until one is picked, the container's default track is playing
+  const activeContainerAudioTrack = containerAudioTrack !== null
+    ? containerAudioTrack
+    : Math.max(0, containerAudioTracks.findIndex(track => track.default));
+
+  // Play another audio stream of the container - the server remuxes the video with it
+  // (AC3/DTS are converted to stereo AAC) and playback continues at the same position
+  const handleContainerAudioTrackChange = (trackIndex) => {
+    const plan = playbackPlanRef.current;
+    const video = videoRef.current;
+    const track = containerAudioTracks[trackIndex];
+    if (!plan || !video || !track) return;
+
+    if (trackIndex === activeContainerAudioTrack) return;
+
+    const position = video.currentTime + playbackOffsetRef.current;
+    playbackPlanRef.current = { ...plan, audioTrack: track.trackIndex };
+    setContainerAudioTrack(trackIndex);
+
+    if (plan.active && plan.type === 'fmp4') {
+      startConvertedPlayback(plan.mode, Math.floor(position));
+    } else if (plan.hlsUrl && canPlayHls()) {
+      startHlsPlayback(position);
+    } else {
+      startConvertedPlayback(plan.mode === 'direct' ? 'remux' : plan.mode, Math.floor(position));
     }
+    toast.success(`Audio: ${track.label}`, { duration: 1500 });
   };
 
+  // Mute the video's own audio while an external audio file plays, carrying the volume over
+  useEffect(() => {
+    const video = videoRef.current;
+    const audio = externalAudioRef.current;
+    if (!video || !audio || !externalAudio) return;
+
+    audio.volume = video.volume;
+    audio.muted = video.muted;
+    video.muted = true;
+
+    return () => {
+      video.volume = audio.volume;
+      video.muted = audio.muted;
+    };
+  }, [externalAudio]);
+
+  // Element whose volume the controls change - the external audio while one plays
+  const getAudioOutput = () => externalAudioRef.current || videoRef.current;
+
   const formatTime = (seconds) => {
     if (!isFinite(seconds) || seconds < 0) return '0:00';
     const hrs = Math.floor(seconds / 3600);
@@ -603,7 +1628,9 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
       return;
     }
 
-    const downloadUrl = `${API_URL}/api/torrent/${torrentInfo.infoHash}/download`;
+    const downloadUrl = torrentInfo.fileIndex !== undefined
+      ? `${API_URL}/api/torrent/${torrentInfo.infoHash}/files/${torrentInfo.fileIndex}/download`
+      : `${API_URL}/api/torrent/${torrentInfo.infoHash}/download`;
     const fileName = torrentInfo.videoFile?.name || torrentInfo.name || 'video.mp4';
     
     toast.loading('Preparing download...', { id: 'download' });
@@ -625,23 +1652,82 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
     }, 500);
   };
 
+  // The browser only lists one (or no) audio track - offer the server's list instead,
+  // next to any separate audio files of the torrent
+  const useContainerAudio = containerAudioTracks.length > 1 &&
+    audioTracks.filter(track => track.kind === 'embedded').length <= 1;
+  const separateAudioTracks = audioTracks.filter(track => track.kind === 'separate');
+  const containerAudioOptions = containerAudioTracks.map(track => ({
+    id: `container-${track.trackIndex}`,
+    label: track.label,
+    language: track.language,
+    kind: 'container',
+    converted: track.converted,
+  }));
+  const activeContainerAudioOption = externalAudio
+    ? containerAudioTracks.length + separateAudioTracks.findIndex(track => track.id === externalAudio.id)
+    : activeContainerAudioTrack;
+
+  const handleContainerAudioOptionChange = (index) => {
+    const separateTrack = separateAudioTracks[index - containerAudioTracks.length];
+    if (separateTrack) {
+      handleAudioTrackChange(audioTracks.indexOf(separateTrack));
+      return;
+    }
+
+    if (externalAudio) {
+      // Back to the video's own audio
+      setExternalAudio(null);
+      setActiveAudioTrack(Math.max(0, audioTracks.findIndex(track => track.kind === 'original')));
+      if (index === activeContainerAudioTrack) {
+        toast.success(`Audio: ${containerAudioTracks[index].label}`, { duration: 1500 });
+        return;
+      }
+    }
+    handleContainerAudioTrackChange(index);
+  };
+
+  // ASS/SSA subtitles are rendered with full styling instead of the flattened WebVTT track
+  const useStyledSubtitles = Boolean(activeSubtitle?.assSrc) &&
+    !failedStyledSubtitles.includes(activeSubtitle.id);
+
+  // hls.js attaches its own MediaSource - the element must not get a src then
+  const videoSrc = playback
+    ? (playback.type === 'hls' && Hls.isSupported() ? undefined : playback.url)
+    : streamUrl;
+
   return (
     <div className="video-player-container">
-      {/* Back Navigation Button */}
-      {onBack && (
-        <button 
-          className="back-button"
-          onClick={onBack}
-          title="Back to Search"
-        >
-          <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
-            <path d="M20 11H7.83l5.59-5.59L12 4l-8 8 8 8 1.41-1.41L7.83 13H20v-2z"/>
-          </svg>
-          <span>Back</span>
-        </button>
-      )}
-
-      <div className="video-wrapper">
+      {/* Subtitle appearance chosen in the settings panel */}
+      <style>{buildCueCss(subtitleStyle)}</style>
+
+      <div className="player-header">
+        {/* Back Navigation Button */}
+        {onBack && (
+          <button 
+            className="back-button"
+            onClick={onBack}
+            title="Back to Search"
+          >
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M20 11H7.83l5.59-5.59L12 4l-8 8 8 8 1.41-1.41L7.83 13H20v-2z"/>
+            </svg>
+            <span>Back</span>
+          </button>
+        )}
+        {infoHash && (
+          <button
+            className="back-button"
+            onClick={() => saveToLibrary({ torrentId: infoHash })}
+            title="Save this torrent to the library"
+          >
+            <span>📚</span>
+            <span>Save to Library</span>
+          </button>
+        )}
+      </div>
+
+      <div className="video-wrapper" ref={wrapperRef}>
         {/* Video Loading Indicator */}
         {(isVideoLoading || buffering) && (
           <div className="video-loading-overlay">
@@ -652,19 +1738,63 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
           </div>
         )}
 
+        {playback && (
+          <div className="playback-mode-badge" title={playbackPlanRef.current?.reason || ''}>
+            {playback.mode === 'transcode' ? '🎞️ Transcoding' : '🎞️ Remuxing'}
+          </div>
+        )}
+
         <video
           ref={videoRef}
-          src={streamUrl}
+          src={videoSrc}
           className="video-element"
           crossOrigin="anonymous"
           onDoubleClick={toggleFullscreen}
           preload="metadata"
           playsInline
         >
-          <source src={streamUrl} type="video/mp4" />
+          {videoSrc && <source src={videoSrc} type="video/mp4" />}
           Your browser does not support the video tag.
         </video>
 
+        {externalAudio && (
+          <ExternalAudio
+            videoRef={videoRef}
+            audioRef={externalAudioRef}
+            src={`${API_URL}/api/torrent/${infoHash}/files/${externalAudio.file.index}/audio`}
+            offsetRef={playbackOffsetRef}
+          />
+        )}
+
+        {secondarySubtitle && (
+          <SecondarySubtitles track={secondaryTrack} style={secondarySubtitleStyle} />
+        )}
+
+        {useStyledSubtitles && (
+          <AssSubtitles
+            videoRef={videoRef}
+            src={activeSubtitle.assSrc}
+            fontsUrl={activeSubtitle.fromFile ? subtitleFontsUrl : null}
+            timing={activeTiming}
+            onError={handleStyledSubtitleError}
+          />
+        )}
+
+        {resumePosition !== null && (
+          <ResumePrompt
+            position={resumePosition}
+            formatTime={formatTime}
+            onResume={handleResume}
+            onDismiss={() => setResumePosition(null)}
+          />
+        )}
+
+        {activeSkipMarker && (
+          <button className="skip-marker-overlay-btn" onClick={handleSkipMarker}>
+            {activeSkipMarker === 'intro' ? 'Skip Intro' : nextFile ? 'Next Episode' : 'Skip Credits'} ⏭
+          </button>
+        )}
+
         {showControls && (
           <div className="video-controls-overlay">
             <PlayerControls
@@ -677,7 +1807,7 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
               onPlayPause={togglePlay}
               onSeek={handleSeek}
               onVolumeChange={(vol) => {
-                videoRef.current.volume = vol;
+                getAudioOutput().volume = vol;
                 setVolume(vol);
               }}
               onMute={toggleMute}
@@ -690,23 +1820,66 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
               onFullscreen={toggleFullscreen}
               onSettings={() => setShowSettings(!showSettings)}
               onDownload={handleDownload}
+              onNext={nextFile ? () => playFile(nextFile) : null}
+              onPlaylist={playlist.length > 1 ? () => setShowPlaylist(!showPlaylist) : null}
               onReset={onReset}
               formatTime={formatTime}
+              chapters={chapters}
+              thumbnails={thumbnails}
+              downloadedRanges={downloadedRanges}
             />
           </div>
         )}
 
+        {showPlaylist && playlist.length > 1 && (
+          <Playlist
+            files={playlist}
+            activeFileIndex={currentFileIndex}
+            autoPlayNext={autoPlayNext}
+            onAutoPlayNextChange={setAutoPlayNext}
+            onSelectFile={(file) => {
+              playFile(file);
+              setShowPlaylist(false);
+            }}
+            onClose={() => setShowPlaylist(false)}
+          />
+        )}
+
         {showSettings && (
           <PlayerSettings
             skipInterval={skipInterval}
             onSkipIntervalChange={setSkipInterval}
+            skipMarkers={skipMarkers}
+            onSkipMarkerChange={infoHash ? handleSkipMarkerChange : null}
+            onDetectIntro={infoHash && playlist.length > 1 ? handleDetectIntro : null}
+            currentTime={currentTime}
+            duration={duration}
             subtitles={subtitles}
             activeSubtitle={activeSubtitle}
             onSubtitleUpload={handleSubtitleUpload}
             onSubtitleToggle={handleSubtitleToggle}
-            audioTracks={audioTracks}
-            activeAudioTrack={activeAudioTrack}
-            onAudioTrackChange={handleAudioTrackChange}
+            secondarySubtitle={secondarySubtitle}
+            onSecondarySubtitleChange={handleSecondarySubtitleChange}
+            secondarySubtitleStyle={secondarySubtitleStyle}
+            onSecondarySubtitleStyleChange={handleSecondarySubtitleStyleChange}
+            onSecondarySubtitleStyleReset={() => handleSecondarySubtitleStyleChange(DEFAULT_SECONDARY_SUBTITLE_STYLE)}
+            infoHash={infoHash}
+            fileIndex={currentFileIndex}
+            onSearchedSubtitleLoad={infoHash ? handleSearchedSubtitleLoad : null}
+            subtitleTiming={activeTiming}
+            resyncCues={activeSubtitle ? getResyncCues() : []}
+            onSubtitleDelayChange={adjustSubtitleDelay}
+            onSubtitleFramerateChange={(framerate) => updateSubtitleTiming(timing => ({ ...timing, framerate }))}
+            onSubtitleResync={handleSubtitleResync}
+            onSubtitleTimingReset={() => updateSubtitleTiming(() => DEFAULT_TIMING)}
+            onSubtitleTimingSave={activeSubtitle?.filename ? handleSubtitleTimingSave : null}
+            formatTime={formatTime}
+            subtitleStyle={subtitleStyle}
+            onSubtitleStyleChange={handleSubtitleStyleChange}
+            onSubtitleStyleReset={() => handleSubtitleStyleChange(DEFAULT_SUBTITLE_STYLE)}
+            audioTracks={useContainerAudio ? [...containerAudioOptions, ...separateAudioTracks] : audioTracks}
+            activeAudioTrack={useContainerAudio ? activeContainerAudioOption : activeAudioTrack}
+            onAudioTrackChange={useContainerAudio ? handleContainerAudioOptionChange : handleAudioTrackChange}
             onClose={() => setShowSettings(false)}
           />
         )}
@@ -720,6 +1893,9 @@ function VideoPlayer({ streamUrl, torrentInfo, onReset, onBack }) {
           <div className="shortcut-item"><kbd>↑</kbd> / <kbd>↓</kbd> Volume</div>
           <div className="shortcut-item"><kbd>M</kbd> Mute</div>
           <div className="shortcut-item"><kbd>F</kbd> Fullscreen</div>
+          <div className="shortcut-item"><kbd>N</kbd> Next Episode</div>
+          <div className="shortcut-item"><kbd>PgUp</kbd> / <kbd>PgDn</kbd> Chapters</div>
+          <div className="shortcut-item"><kbd>G</kbd> / <kbd>H</kbd> Subtitle Delay</div>
         </div>
       </div>
     </div>
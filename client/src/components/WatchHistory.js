@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { getDeviceId } from './WatchProgress';
+import { formatEpisodeLabel } from './Playlist';
+import './WatchHistory.css';
+
+// Auto-detect API URL: use same origin in production, localhost in development
+const API_URL = process.env.REACT_APP_API_URL ||
+  (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+    ? 'http://localhost:5000'
+    : window.location.origin);
+
+// Entries worth picking up again go in "Continue watching", the rest in "Recently played"
+export const splitHistory = (history) => ({
+  continueWatching: history.filter(entry => !entry.watched && entry.position > 0),
+  recentlyPlayed: history.filter(entry => entry.watched || !(entry.position > 0)),
+});
+
+const formatTimeLeft = (entry) => {
+  const minutes = Math.max(1, Math.round((entry.duration - entry.position) / 60));
+  if (minutes < 60) return `${minutes}m left`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m left`;
+};
+
+// Stable colour per title for the poster placeholder
+const getPosterHue = (title) => {
+  let hash = 0;
+  for (let i = 0; i < title.length; i++) {
+    hash = (hash * 31 + title.charCodeAt(i)) % 360;
+  }
+  return hash;
+};
+
+function HistoryCard({ entry, disabled, onSelect, onRemove }) {
+  const title = entry.title || entry.torrentName || 'Unknown';
+  const episodeLabel = formatEpisodeLabel(entry);
+  const percent = entry.duration > 0 ? Math.min(100, (entry.position / entry.duration) * 100) : 0;
+  const canPlay = Boolean(entry.magnetUrl) && !disabled;
+
+  return (
+    <div
+      className={`history-card ${canPlay ? '' : 'disabled'}`}
+      onClick={() => canPlay && onSelect(entry)}
+      title={entry.fileName || title}
+    >
+      <div className="history-poster" style={{ background: `hsl(${getPosterHue(title)}, 40%, 25%)` }}>
+        <span className="history-poster-letter">{title.charAt(0).toUpperCase()}</span>
+        <span className="history-play-icon">▶</span>
+        <button
+          className="history-remove"
+          title="Remove from history"
+          onClick={(e) => {
+            e.stopPropagation();
+            onRemove(entry);
+          }}
+        >
+          ×
+        </button>
+      </div>
+      <div className="history-progress">
+        <div className="history-progress-fill" style={{ width: `${entry.watched ? 100 : percent}%` }} />
+      </div>
+      <div className="history-info">
+        <span className="history-title">{title}</span>
+        <span className="history-meta">
+          {episodeLabel && `${episodeLabel} · `}
+          {entry.watched ? '✓ Watched' : formatTimeLeft(entry)}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+// "Continue watching" / "Recently played" rows on the home screen
+function WatchHistory({ disabled, onResume }) {
+  const [history, setHistory] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    axios.get(`${API_URL}/api/history`, { headers: { 'X-Device-Id': getDeviceId() } })
+      .then((response) => {
+        if (!cancelled) setHistory(response.data.history);
+      })
+      .catch((error) => {
+        console.warn('Could not load watch history:', error.response?.data?.error || error.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleRemove = async (entry) => {
+    try {
+      await axios.delete(`${API_URL}/api/history/${entry.infoHash}`, { headers: { 'X-Device-Id': getDeviceId() } });
+      setHistory(current => current.filter(other => other.infoHash !== entry.infoHash));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not remove it from the history');
+    }
+  };
+
+  if (history.length === 0) return null;
+
+  const { continueWatching, recentlyPlayed } = splitHistory(history);
+  const rows = [
+    { title: 'Continue watching', entries: continueWatching },
+    { title: 'Recently played', entries: recentlyPlayed },
+  ];
+
+  return (
+    <div className="watch-history">
+      {rows.filter(row => row.entries.length > 0).map(row => (
+        <section key={row.title} className="history-row">
+          <h3 className="history-row-title">{row.title}</h3>
+          <div className="history-row-items">
+            {row.entries.map(entry => (
+              <HistoryCard
+                key={entry.infoHash}
+                entry={entry}
+                disabled={disabled}
+                onSelect={onResume}
+                onRemove={handleRemove}
+              />
+            ))}
+          </div>
+        </section>
+      ))}
+    </div>
+  );
+}
+
+export default WatchHistory;
@@ -0,0 +1,116 @@
+import React from 'react';
+import axios from 'axios';
+import './WatchProgress.css';
+
+// Auto-detect API URL: use same origin in production, localhost in development
+const API_URL = process.env.REACT_APP_API_URL ||
+  (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+    ? 'http://localhost:5000'
+    : window.location.origin);
+
+const DEVICE_ID_KEY = 'magnetstreamer.deviceId';
+const PROGRESS_KEY = 'magnetstreamer.watchProgress';
+// Local copies kept for when the server is unreachable (most recent first)
+const MAX_LOCAL_ENTRIES = 200;
+
+export const WATCHED_FRACTION = 0.9;
+// Positions this close to the start or the end aren't worth offering to resume
+const MIN_RESUME_POSITION = 30; // seconds
+const RESUME_END_MARGIN = 60; // seconds
+
+// Random id that tells this browser's progress apart from other viewers'
+export const getDeviceId = () => {
+  try {
+    let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+    if (!deviceId) {
+      deviceId = window.crypto?.randomUUID
+        ? window.crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+      localStorage.setItem(DEVICE_ID_KEY, deviceId);
+    }
+    return deviceId;
+  } catch (error) {
+    return 'anonymous-device';
+  }
+};
+
+const readLocalProgress = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PROGRESS_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const writeLocalProgress = (entries) => {
+  try {
+    const recent = Object.entries(entries)
+      .sort((a, b) => b[1].updatedAt - a[1].updatedAt)
+      .slice(0, MAX_LOCAL_ENTRIES);
+    localStorage.setItem(PROGRESS_KEY, JSON.stringify(Object.fromEntries(recent)));
+  } catch (error) {
+    console.warn('Could not save watch progress locally:', error);
+  }
+};
+
+const progressUrl = (infoHash, fileIndex) => `${API_URL}/api/torrent/${infoHash}/files/${fileIndex}/progress`;
+const deviceHeaders = () => ({ 'X-Device-Id': getDeviceId() });
+
+// Saved progress of a file ({ position, duration, watched, updatedAt } or null) -
+// the newer of the server's copy and this browser's
+export const loadWatchProgress = async (infoHash, fileIndex) => {
+  const local = readLocalProgress()[`${infoHash}:${fileIndex}`] || null;
+  try {
+    const response = await axios.get(progressUrl(infoHash, fileIndex), { headers: deviceHeaders() });
+    const remote = response.data.progress;
+    if (remote && (!local || remote.updatedAt >= local.updatedAt)) {
+      return remote;
+    }
+  } catch (error) {
+    console.warn('Could not load watch progress, using the local copy:', error.response?.data?.error || error.message);
+  }
+  return local;
+};
+
+// Remember the position reached in a file - locally right away, on the server when reachable
+export const saveWatchProgress = (infoHash, fileIndex, position, duration) => {
+  const entries = readLocalProgress();
+  const key = `${infoHash}:${fileIndex}`;
+  entries[key] = {
+    position,
+    duration,
+    watched: Boolean(entries[key]?.watched) || position / duration >= WATCHED_FRACTION,
+    updatedAt: Date.now(),
+  };
+  writeLocalProgress(entries);
+
+  return axios.put(progressUrl(infoHash, fileIndex), { position, duration }, { headers: deviceHeaders() })
+    .catch((error) => {
+      console.warn('Could not save watch progress:', error.response?.data?.error || error.message);
+    });
+};
+
+// Position to offer resuming from, or null when starting from the beginning makes more sense
+export const getResumePosition = (progress) => {
+  if (!progress || progress.watched) return null;
+  if (progress.position < MIN_RESUME_POSITION || progress.position > progress.duration - RESUME_END_MARGIN) {
+    return null;
+  }
+  return progress.position;
+};
+
+// "Resume from 42:13" offer shown when a file with saved progress starts
+function ResumePrompt({ position, formatTime, onResume, onDismiss }) {
+  return (
+    <div className="resume-prompt">
+      <button className="resume-prompt-btn primary" onClick={onResume}>
+        ▶ Resume from {formatTime(position)}
+      </button>
+      <button className="resume-prompt-btn" onClick={onDismiss}>
+        Start over
+      </button>
+    </div>
+  );
+}
+
+export default ResumePrompt;
@@ -0,0 +1,198 @@
+// Audio fingerprints for finding the same stretch of audio in different files,
+// e.g. the intro shared by every episode of a season.
+//
+// A simplified version of the Haitsma-Kalker robust hash: the audio is cut into
+// overlapping frames and each frame gets a 32-bit sub-fingerprint whose bits are the
+// sign of the energy difference between neighbouring frequency bands, compared to the
+// previous frame. Re-encoding barely changes those bits, so the same intro in two
+// releases matches frame by frame while unrelated audio looks like random noise.
+const transcoder = require('./transcoder');
+
+const SAMPLE_RATE = 8000;
+const FRAME_SIZE = 2048; // samples (256ms)
+const HOP_SIZE = 256; // samples (32ms) - small, so frames of two files line up closely at any offset
+const FRAME_SECONDS = HOP_SIZE / SAMPLE_RATE;
+// 33 log-spaced bands between these frequencies → 32 bits per frame
+const BAND_COUNT = 33;
+const MIN_FREQUENCY = 300;
+const MAX_FREQUENCY = 2000;
+// Frames quieter than this (RMS) carry no usable information - silence matches silence
+const SILENCE_RMS = 0.005;
+// Frames are compared in windows of about a second: the same audio differs in well under
+// a third of the bits on average, unrelated audio in half of them
+const WINDOW_FRAMES = 32;
+const MAX_BIT_ERROR_RATE = 0.3;
+// Silent frames count as unrelated so two quiet stretches don't look alike
+const SILENT_BIT_ERRORS = 16;
+// Matching minutes of audio takes seconds of CPU - hand the event loop back to the
+// streams regularly
+const YIELD_EVERY = 200; // frames / shifts
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+// Decode the first audio stream to mono 16-bit PCM at SAMPLE_RATE
+async function extractAudio(inputUrl, options = {}) {
+  const args = [];
+  if (options.start > 0) args.push('-ss', String(options.start));
+  args.push('-i', inputUrl);
+  if (options.duration) args.push('-t', String(options.duration));
+  args.push('-map', '0:a:0', '-vn', '-sn', '-ac', '1', '-ar', String(SAMPLE_RATE), '-f', 's16le', 'pipe:1');
+
+  const pcm = await transcoder.runFfmpeg(args, { timeout: options.timeout });
+  const samples = new Float32Array(Math.floor(pcm.length / 2));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = pcm.readInt16LE(i * 2) / 32768;
+  }
+  return samples;
+}
+
+// In-place iterative radix-2 FFT (length must be a power of two)
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+}
+
+// FFT bin where each band starts (BAND_COUNT + 1 edges)
+function getBandEdges() {
+  const edges = [];
+  for (let band = 0; band <= BAND_COUNT; band++) {
+    const frequency = MIN_FREQUENCY * Math.pow(MAX_FREQUENCY / MIN_FREQUENCY, band / BAND_COUNT);
+    edges.push(Math.round(frequency * FRAME_SIZE / SAMPLE_RATE));
+  }
+  return edges;
+}
+
+// { hashes: Uint32Array, silent: Uint8Array } - one entry per frame, FRAME_SECONDS apart
+async function computeFingerprint(samples) {
+  const window = new Float64Array(FRAME_SIZE).map((_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FRAME_SIZE - 1)));
+  const edges = getBandEdges();
+  const frameCount = samples.length >= FRAME_SIZE ? Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1 : 0;
+  const hashes = new Uint32Array(Math.max(0, frameCount - 1));
+  const silent = new Uint8Array(hashes.length);
+  const re = new Float64Array(FRAME_SIZE);
+  const im = new Float64Array(FRAME_SIZE);
+  let previous = null;
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    if (frame % YIELD_EVERY === 0) await yieldToEventLoop();
+    const offset = frame * HOP_SIZE;
+    let power = 0;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      const sample = samples[offset + i];
+      power += sample * sample;
+      re[i] = sample * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    const energies = new Float64Array(BAND_COUNT);
+    for (let band = 0; band < BAND_COUNT; band++) {
+      for (let bin = edges[band]; bin < edges[band + 1]; bin++) {
+        energies[band] += re[bin] * re[bin] + im[bin] * im[bin];
+      }
+    }
+
+    if (previous) {
+      let bits = 0;
+      for (let band = 0; band < BAND_COUNT - 1; band++) {
+        const change = (energies[band] - energies[band + 1]) - (previous[band] - previous[band + 1]);
+        if (change > 0) bits |= 1 << band;
+      }
+      hashes[frame - 1] = bits >>> 0;
+      silent[frame - 1] = Math.sqrt(power / FRAME_SIZE) < SILENCE_RMS ? 1 : 0;
+    }
+    previous = energies;
+  }
+
+  return { hashes, silent };
+}
+
+function countBits(value) {
+  value -= (value >>> 1) & 0x55555555;
+  value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+  return Math.imul((value + (value >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
+// Longest stretch of audio present in both fingerprints, at any offset:
+// { a: { start, end }, b: { start, end } } in seconds, or null
+async function findCommonSegment(a, b) {
+  const maxWindowErrors = WINDOW_FRAMES * 32 * MAX_BIT_ERROR_RATE;
+  const errors = new Uint8Array(Math.min(a.hashes.length, b.hashes.length));
+  let best = null;
+
+  // Frame i of `a` lines up with frame i - shift of `b`
+  for (let shift = -(b.hashes.length - 1); shift < a.hashes.length; shift++) {
+    if (shift % YIELD_EVERY === 0) await yieldToEventLoop();
+    const first = Math.max(0, shift);
+    const overlap = Math.min(a.hashes.length, b.hashes.length + shift) - first;
+    if (overlap < WINDOW_FRAMES) continue;
+
+    for (let k = 0; k < overlap; k++) {
+      const i = first + k;
+      const j = i - shift;
+      errors[k] = a.silent[i] || b.silent[j] ? SILENT_BIT_ERRORS : countBits(a.hashes[i] ^ b.hashes[j]);
+    }
+
+    // Slide the window along the overlap - consecutive matching windows form a run
+    let windowErrors = 0;
+    for (let k = 0; k < WINDOW_FRAMES; k++) windowErrors += errors[k];
+    let runStart = -1;
+    for (let k = 0; k + WINDOW_FRAMES <= overlap; k++) {
+      if (k > 0) windowErrors += errors[k + WINDOW_FRAMES - 1] - errors[k - 1];
+
+      if (windowErrors > maxWindowErrors) {
+        runStart = -1;
+        continue;
+      }
+      if (runStart < 0) runStart = k;
+      const length = k - runStart + WINDOW_FRAMES;
+      if (!best || length > best.length) {
+        best = { length, startA: first + runStart, startB: first + runStart - shift };
+      }
+    }
+  }
+
+  if (!best) return null;
+  return {
+    a: { start: best.startA * FRAME_SECONDS, end: (best.startA + best.length) * FRAME_SECONDS },
+    b: { start: best.startB * FRAME_SECONDS, end: (best.startB + best.length) * FRAME_SECONDS }
+  };
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  extractAudio,
+  computeFingerprint,
+  findCommonSegment
+};
@@ -0,0 +1,198 @@
+// Optional on-disk piece cache (CACHE_DIR). Torrents keep their downloaded pieces in
+// CACHE_DIR/<name> - <infoHash prefix>/ after they are destroyed, so adding the same
+// infoHash again (rewatching, resuming tomorrow) verifies and reuses what is already
+// there instead of downloading it again. The cache is kept under CACHE_MAX_GB by
+// deleting the least recently used torrents that are not currently active.
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore } = require('./jsonStore');
+
+const CACHE_DIR = process.env.CACHE_DIR ? path.resolve(process.env.CACHE_DIR) : null;
+const DEFAULT_MAX_GB = 20;
+const MAX_BYTES = (parseFloat(process.env.CACHE_MAX_GB) || DEFAULT_MAX_GB) * 1024 * 1024 * 1024;
+const SWEEP_INTERVAL = 60 * 1000;
+
+const enabled = Boolean(CACHE_DIR);
+const store = enabled ? createJsonStore('disk-cache') : null; // dir name → { infoHash, name, size, lastUsed }
+const activeTorrents = new Map(); // Map<dirName, torrent>
+let sweeping = null;
+
+// Same directory WebTorrent's fs-chunk-store uses with `addUID`
+const getDirName = torrent => `${torrent.name} - ${torrent.infoHash.slice(0, 8)}`;
+
+// Directory of a cache entry, or null unless it is strictly inside CACHE_DIR - the name
+// comes from torrent metadata and may contain "../"
+function resolveEntryPath(dirName) {
+  const target = path.resolve(CACHE_DIR, dirName);
+  const relative = path.relative(CACHE_DIR, target);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+  return target;
+}
+
+// Extra client.add() options that put a torrent's pieces in the cache
+function getTorrentOptions() {
+  return enabled ? { path: CACHE_DIR, addUID: true } : {};
+}
+
+// Bytes actually used on disk - piece files are sparse until fully downloaded
+async function getDiskUsage(target) {
+  let stat;
+  try {
+    stat = await fs.promises.lstat(target);
+  } catch (err) {
+    return 0;
+  }
+
+  if (!stat.isDirectory()) {
+    return stat.blocks !== undefined ? stat.blocks * 512 : stat.size;
+  }
+
+  const children = await fs.promises.readdir(target);
+  let total = 0;
+  for (const child of children) {
+    total += await getDiskUsage(path.join(target, child));
+  }
+  return total;
+}
+
+function touchEntry(dirName, changes) {
+  store.set(dirName, { ...(store.get(dirName) || {}), ...changes, lastUsed: Date.now() });
+}
+
+// Count verified pieces once the existing data has been checked
+function logReusedPieces(torrent) {
+  let cachedPieces = 0;
+  for (let i = 0; i < torrent.pieces.length; i++) {
+    if (torrent.bitfield.get(i)) cachedPieces++;
+  }
+  if (cachedPieces > 0) {
+    const cachedBytes = Math.min(cachedPieces * torrent.pieceLength, torrent.length);
+    console.log(`♻️ Reusing ${(cachedBytes / 1024 / 1024).toFixed(1)}MB from the disk cache for ${torrent.name} (${cachedPieces}/${torrent.pieces.length} pieces)`);
+  }
+}
+
+// Start tracking a freshly added torrent - it can't be evicted while it is active
+function trackTorrent(torrent) {
+  if (!enabled) return;
+
+  torrent.once('metadata', () => {
+    const dirName = getDirName(torrent);
+    activeTorrents.set(dirName, torrent);
+    touchEntry(dirName, { infoHash: torrent.infoHash, name: torrent.name });
+  });
+  torrent.once('ready', () => logReusedPieces(torrent));
+}
+
+// A torrent was destroyed: its pieces stay on disk and become evictable
+function releaseTorrent(torrent) {
+  if (!enabled || !torrent.name) return;
+
+  const dirName = getDirName(torrent);
+  if (activeTorrents.get(dirName) === torrent) {
+    activeTorrents.delete(dirName);
+    touchEntry(dirName, {});
+    sweep();
+  }
+}
+
+// Pick up directories the store doesn't know about (e.g. a lost data file) and
+// forget entries whose directory is gone
+async function reconcileEntries() {
+  const dirNames = await fs.promises.readdir(CACHE_DIR).catch(() => []);
+  const present = new Set(dirNames);
+
+  for (const dirName of dirNames) {
+    if (!store.has(dirName)) {
+      const stat = await fs.promises.stat(path.join(CACHE_DIR, dirName)).catch(() => null);
+      if (stat && stat.isDirectory()) {
+        store.set(dirName, { infoHash: null, name: dirName, size: 0, lastUsed: stat.mtimeMs });
+      }
+    }
+  }
+  store.entries().forEach(([dirName]) => {
+    if (!present.has(dirName) && !activeTorrents.has(dirName)) store.delete(dirName);
+  });
+}
+
+// Measure every cached torrent and delete the least recently used inactive ones
+// until the cache fits its budget again
+async function enforceBudget() {
+  await reconcileEntries();
+
+  let total = 0;
+  for (const [dirName, entry] of store.entries()) {
+    const target = resolveEntryPath(dirName);
+    if (!target) {
+      console.warn(`⚠️ Disk cache: ignoring entry outside the cache directory: ${dirName}`);
+      store.delete(dirName);
+      continue;
+    }
+    const size = await getDiskUsage(target);
+    const lastUsed = activeTorrents.has(dirName) ? Date.now() : entry.lastUsed;
+    store.set(dirName, { ...entry, size, lastUsed });
+    total += size;
+  }
+
+  const evictable = store.entries()
+    .filter(([dirName]) => !activeTorrents.has(dirName))
+    .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+
+  for (const [dirName, entry] of evictable) {
+    if (total <= MAX_BYTES) break;
+    const target = resolveEntryPath(dirName);
+    if (!target) continue;
+    await fs.promises.rm(target, { recursive: true, force: true });
+    store.delete(dirName);
+    total -= entry.size;
+    console.log(`🧹 Disk cache: evicted ${entry.name} (${(entry.size / 1024 / 1024).toFixed(1)}MB)`);
+  }
+
+  if (total > MAX_BYTES) {
+    console.warn(`⚠️ Disk cache is over budget (${(total / 1024 / 1024 / 1024).toFixed(2)}GB) - only active torrents are left`);
+  }
+}
+
+// One sweep at a time
+function sweep() {
+  if (!enabled || sweeping) return sweeping;
+  sweeping = enforceBudget()
+    .catch(err => console.error('❌ Disk cache sweep failed:', err.message))
+    .finally(() => {
+      sweeping = null;
+    });
+  return sweeping;
+}
+
+// Summary for the status endpoint
+function getStatus() {
+  if (!enabled) return { enabled: false };
+  const entries = store.entries().map(([dirName, entry]) => ({
+    name: entry.name,
+    infoHash: entry.infoHash,
+    size: entry.size || 0,
+    lastUsed: entry.lastUsed,
+    active: activeTorrents.has(dirName)
+  }));
+  return {
+    enabled: true,
+    maxSize: MAX_BYTES,
+    size: entries.reduce((sum, entry) => sum + entry.size, 0),
+    torrents: entries.sort((a, b) => b.lastUsed - a.lastUsed)
+  };
+}
+
+if (enabled) {
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  console.log(`💾 Disk cache in ${CACHE_DIR} (max ${(MAX_BYTES / 1024 / 1024 / 1024).toFixed(1)}GB)`);
+  sweep();
+  setInterval(sweep, SWEEP_INTERVAL).unref();
+}
+
+module.exports = {
+  enabled,
+  getTorrentOptions,
+  trackTorrent,
+  releaseTorrent,
+  getStatus,
+  sweep
+};
@@ -0,0 +1,136 @@
+// Fonts attached inside MKV files (used by styled ASS subtitles)
+// Attachments live in the Matroska header, so extracting them only needs the first pieces
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const transcoder = require('./transcoder');
+
+const FONTS_ROOT = path.join(os.tmpdir(), 'magnetstreamer-fonts');
+const FONT_EXTENSIONS = ['.ttf', '.otf', '.ttc'];
+const FONT_MIME_PATTERN = /font|truetype|opentype/i;
+const ATTACHMENT_TIMEOUT = 2 * 60 * 1000;
+
+const extractions = new Map(); // Map<cacheKey, Promise<fonts>>
+
+function isFontAttachment(attachment) {
+  const ext = path.extname(attachment.filename || '').toLowerCase();
+  return FONT_EXTENSIONS.includes(ext) || FONT_MIME_PATTERN.test(attachment.mimetype || '');
+}
+
+function decodeName(buffer, platformId) {
+  // Windows/Unicode names are UTF-16BE, old Mac names are single byte
+  if (platformId === 0 || platformId === 3) {
+    const swapped = Buffer.from(buffer);
+    swapped.swap16();
+    return swapped.toString('utf16le');
+  }
+  return buffer.toString('latin1');
+}
+
+// Read family/full names and style from a TrueType/OpenType font's `name` table
+// ASS styles reference fonts by these names, so they become the CSS font-family
+function parseFontNames(buffer) {
+  try {
+    let offset = 0;
+    if (buffer.toString('latin1', 0, 4) === 'ttcf') {
+      offset = buffer.readUInt32BE(12); // First font of a collection
+    }
+
+    const numTables = buffer.readUInt16BE(offset + 4);
+    let nameTable = null;
+    for (let i = 0; i < numTables; i++) {
+      const record = offset + 12 + i * 16;
+      if (buffer.toString('latin1', record, record + 4) === 'name') {
+        nameTable = buffer.readUInt32BE(record + 8);
+        break;
+      }
+    }
+    if (nameTable === null) return null;
+
+    const count = buffer.readUInt16BE(nameTable + 2);
+    const stringOffset = nameTable + buffer.readUInt16BE(nameTable + 4);
+    const names = { 1: new Set(), 2: new Set(), 4: new Set() };
+
+    for (let i = 0; i < count; i++) {
+      const record = nameTable + 6 + i * 12;
+      const platformId = buffer.readUInt16BE(record);
+      const nameId = buffer.readUInt16BE(record + 6);
+      const length = buffer.readUInt16BE(record + 8);
+      const start = stringOffset + buffer.readUInt16BE(record + 10);
+      if (names[nameId] && start + length <= buffer.length) {
+        const value = decodeName(buffer.subarray(start, start + length), platformId).trim();
+        if (value) names[nameId].add(value);
+      }
+    }
+
+    const subfamily = Array.from(names[2]).join(' ').toLowerCase();
+    return {
+      families: Array.from(new Set([...names[1], ...names[4]])),
+      weight: /bold|black|heavy/.test(subfamily) ? 'bold' : 'normal',
+      style: /italic|oblique/.test(subfamily) ? 'italic' : 'normal'
+    };
+  } catch (err) {
+    // Truncated or unknown font format
+    return null;
+  }
+}
+
+// Extract every font attachment of a file to disk and describe it
+// Resolves with [{ index, filename, path, families, weight, style }]
+function extractFonts(inputUrl, attachments, cacheKey) {
+  if (extractions.has(cacheKey)) {
+    return extractions.get(cacheKey);
+  }
+
+  const dir = path.join(FONTS_ROOT, cacheKey.replace(/[^a-zA-Z0-9_-]/g, '_'));
+  const fontAttachments = attachments.filter(isFontAttachment);
+
+  const extraction = (async () => {
+    if (fontAttachments.length === 0) return [];
+    fs.mkdirSync(dir, { recursive: true });
+
+    const args = ['-y'];
+    fontAttachments.forEach((attachment) => {
+      args.push(`-dump_attachment:${attachment.index}`, path.join(dir, `${attachment.index}.font`));
+    });
+    // Nothing to transcode - ffmpeg only has to read the header to dump attachments
+    args.push('-i', inputUrl, '-t', '0', '-f', 'null', '-');
+
+    try {
+      await transcoder.runFfmpeg(args, { timeout: ATTACHMENT_TIMEOUT });
+    } catch (err) {
+      // ffmpeg reports an error for `-t 0` on some builds even though the dump worked
+    }
+
+    return fontAttachments
+      .map((attachment) => {
+        const fontPath = path.join(dir, `${attachment.index}.font`);
+        if (!fs.existsSync(fontPath)) return null;
+        const names = parseFontNames(fs.readFileSync(fontPath));
+        return names && names.families.length > 0
+          ? { index: attachment.index, filename: attachment.filename, path: fontPath, ...names }
+          : null;
+      })
+      .filter(Boolean);
+  })();
+
+  extractions.set(cacheKey, extraction);
+  extraction.catch(() => extractions.delete(cacheKey));
+  return extraction;
+}
+
+// Remove extracted fonts for a torrent (e.g. when it is destroyed)
+function clearFonts(prefix) {
+  for (const key of Array.from(extractions.keys())) {
+    if (key.startsWith(prefix)) {
+      extractions.delete(key);
+      fs.rm(path.join(FONTS_ROOT, key.replace(/[^a-zA-Z0-9_-]/g, '_')), { recursive: true, force: true }, () => {});
+    }
+  }
+}
+
+module.exports = {
+  parseFontNames,
+  extractFonts,
+  clearFonts
+};
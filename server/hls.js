@@ -0,0 +1,246 @@
+// On-demand HLS output for torrent files
+// The playlist is generated up front from the probed duration; segments are only
+// produced when requested. A seek far ahead restarts ffmpeg at that segment, so
+// only the torrent pieces around the new position are fetched and transcoded.
+// Video is always re-encoded with a keyframe at every segment boundary: copied video
+// can only be cut at the source's own keyframes, so the segments wouldn't match the
+// playlist's fixed durations and restarts would snap to an earlier keyframe.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const transcoder = require('./transcoder');
+
+const SEGMENT_DURATION = 6; // seconds
+const MAX_SEGMENTS_AHEAD = 10; // Pause ffmpeg when this far ahead of the viewer
+const SEEK_RESTART_DISTANCE = 3; // Restart ffmpeg if the requested segment is further than this
+const SEGMENT_WAIT_TIMEOUT = 90 * 1000; // Pieces may have to come from slow peers
+const SESSION_IDLE_TIMEOUT = 2 * 60 * 1000;
+const HLS_ROOT = path.join(os.tmpdir(), 'magnetstreamer-hls');
+
+const sessions = new Map(); // Map<"<infoHash>:<fileIndex>:<audio stream>", session>
+
+// Build a VOD playlist covering the whole file
+// segmentQuery ("?audio=1") is appended to the segment URLs so they reach the same session
+function buildPlaylist(duration, segmentQuery = '') {
+  const segmentCount = Math.ceil(duration / SEGMENT_DURATION);
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${SEGMENT_DURATION}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD'
+  ];
+
+  for (let i = 0; i < segmentCount; i++) {
+    const length = Math.min(SEGMENT_DURATION, duration - i * SEGMENT_DURATION);
+    lines.push(`#EXTINF:${length.toFixed(3)},`);
+    lines.push(`segment-${i}.ts${segmentQuery}`);
+  }
+
+  lines.push('#EXT-X-ENDLIST');
+  return lines.join('\n') + '\n';
+}
+
+// MPEG-TS segments: H.264 video (always encoded, see above), AAC/MP3 audio is copied
+// options.audioTrack selects another audio stream than the first (index into summary.audio)
+function createHlsPlan(summary, options = {}) {
+  const audioStream = transcoder.selectAudioStream(summary, options.audioTrack);
+  const audioCodec = audioStream ? audioStream.codec : null;
+
+  return {
+    mode: 'transcode',
+    video: 'h264',
+    audio: !audioCodec || ['aac', 'mp3'].includes(audioCodec) ? 'copy' : 'aac',
+    audioStream: options.audioTrack !== undefined && audioStream ? audioStream.index : undefined
+  };
+}
+
+function segmentPath(session, index) {
+  return path.join(session.dir, `segment-${index}.ts`);
+}
+
+// Highest segment index ffmpeg has finished writing in the current run
+function latestSegment(session) {
+  let index = session.startSegment - 1;
+  while (fs.existsSync(segmentPath(session, index + 1))) {
+    index++;
+  }
+  return index;
+}
+
+function stopFfmpeg(session) {
+  if (session.ffmpeg) {
+    transcoder.stopTranscode(session.ffmpeg);
+    session.ffmpeg = null;
+  }
+  session.paused = false;
+}
+
+// (Re)start ffmpeg so it produces segments from `segmentIndex` onwards
+function startFfmpeg(session, segmentIndex) {
+  stopFfmpeg(session);
+
+  const start = segmentIndex * SEGMENT_DURATION;
+  const args = [
+    '-hide_banner', '-loglevel', 'error',
+    '-ss', String(start),
+    '-i', session.inputUrl,
+    '-map', '0:v:0',
+    '-map', session.audioStream !== undefined ? `0:${session.audioStream}` : '0:a:0?',
+    ...transcoder.buildCodecArgs(session.plan, { keyframeInterval: SEGMENT_DURATION }),
+    // Keep timestamps aligned with the playlist position after a restart
+    '-output_ts_offset', String(start),
+    '-f', 'hls',
+    '-hls_time', String(SEGMENT_DURATION),
+    '-hls_playlist_type', 'event',
+    '-hls_flags', 'temp_file',
+    '-start_number', String(segmentIndex),
+    '-hls_segment_filename', path.join(session.dir, 'segment-%d.ts'),
+    path.join(session.dir, 'ffmpeg.m3u8')
+  ];
+
+  session.ffmpeg = transcoder.spawnFfmpeg(args);
+  session.startSegment = segmentIndex;
+  session.failed = false;
+
+  const proc = session.ffmpeg;
+  proc.on('close', (code) => {
+    if (session.ffmpeg === proc) {
+      session.ffmpeg = null;
+      session.failed = code !== 0 && code !== null;
+    }
+  });
+
+  console.log(`📼 HLS ${session.key}: generating from segment ${segmentIndex} (${start}s, ${session.plan.mode})`);
+}
+
+// Pause ffmpeg when it has run far enough ahead of the viewer, resume when they catch up
+function throttle(session) {
+  if (!session.ffmpeg) return;
+
+  const ahead = latestSegment(session) - session.lastRequested;
+  try {
+    if (!session.paused && ahead > MAX_SEGMENTS_AHEAD) {
+      session.ffmpeg.kill('SIGSTOP');
+      session.paused = true;
+    } else if (session.paused && ahead <= MAX_SEGMENTS_AHEAD / 2) {
+      session.ffmpeg.kill('SIGCONT');
+      session.paused = false;
+    }
+  } catch (err) {
+    // Signals aren't supported everywhere (e.g. Windows) - just let ffmpeg run
+  }
+}
+
+function destroySession(session) {
+  stopFfmpeg(session);
+  clearInterval(session.timer);
+  sessions.delete(session.key);
+  fs.rm(session.dir, { recursive: true, force: true }, () => {});
+  console.log(`🧹 HLS ${session.key}: session closed`);
+}
+
+// Get or create the HLS session for a file ("<infoHash>:<fileIndex>") and the plan's audio
+// stream. Each audio stream gets its own session, so viewers on different tracks (or a tab
+// still fetching old segments after a switch) don't restart each other's ffmpeg - the
+// sessions nobody requests any more are closed once idle
+function getSession(fileKey, inputUrl, plan) {
+  const key = `${fileKey}:${plan.audioStream !== undefined ? plan.audioStream : 'default'}`;
+  let session = sessions.get(key);
+
+  if (session && session.plan.mode !== plan.mode) {
+    destroySession(session);
+    session = null;
+  }
+
+  if (!session) {
+    session = {
+      key,
+      inputUrl,
+      plan,
+      audioStream: plan.audioStream,
+      dir: path.join(HLS_ROOT, key.replace(/[^a-zA-Z0-9_-]/g, '_')),
+      ffmpeg: null,
+      paused: false,
+      failed: false,
+      startSegment: 0,
+      lastRequested: 0,
+      lastAccessed: Date.now()
+    };
+    fs.rmSync(session.dir, { recursive: true, force: true });
+    fs.mkdirSync(session.dir, { recursive: true });
+
+    session.timer = setInterval(() => {
+      if (Date.now() - session.lastAccessed > SESSION_IDLE_TIMEOUT) {
+        destroySession(session);
+      } else {
+        throttle(session);
+      }
+    }, 2000);
+
+    sessions.set(key, session);
+  }
+
+  session.lastAccessed = Date.now();
+  return session;
+}
+
+// Resolve with the path of a segment, generating it (and restarting ffmpeg on seeks) as needed
+function getSegment(session, index) {
+  session.lastAccessed = Date.now();
+  session.lastRequested = index;
+
+  const file = segmentPath(session, index);
+  if (fs.existsSync(file)) {
+    throttle(session);
+    return Promise.resolve(file);
+  }
+
+  // Seek outside what the running ffmpeg will reach soon - restart at the requested segment
+  const latest = latestSegment(session);
+  const running = session.ffmpeg && !session.failed;
+  if (!running || index < session.startSegment || index > latest + SEEK_RESTART_DISTANCE) {
+    try {
+      startFfmpeg(session, index);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  } else {
+    throttle(session);
+  }
+
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const check = () => {
+      if (fs.existsSync(file)) {
+        resolve(file);
+      } else if (session.failed || !session.ffmpeg) {
+        reject(new Error('Segment generation failed'));
+      } else if (Date.now() - startedAt > SEGMENT_WAIT_TIMEOUT) {
+        reject(new Error('Timed out waiting for segment'));
+      } else {
+        session.lastAccessed = Date.now();
+        setTimeout(check, 250);
+      }
+    };
+    check();
+  });
+}
+
+// Close every session for a torrent (called when the torrent is destroyed)
+function closeSessions(prefix) {
+  for (const session of Array.from(sessions.values())) {
+    if (session.key.startsWith(prefix)) {
+      destroySession(session);
+    }
+  }
+}
+
+module.exports = {
+  SEGMENT_DURATION,
+  buildPlaylist,
+  createHlsPlan,
+  getSession,
+  getSegment,
+  closeSessions
+};
@@ -6,8 +6,27 @@ const cors = require('cors');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
 const multer = require('multer');
 const WebTorrent = require('webtorrent');
+const { parseTitle, parseEpisode, isSampleFile } = require('./mediaName');
+const transcoder = require('./transcoder');
+const hls = require('./hls');
+const subtitles = require('./subtitles');
+const subtitleConverter = require('./subtitleConverter');
+const fonts = require('./fonts');
+const subtitleSearch = require('./subtitleSearch');
+const subtitleIndex = require('./subtitleIndex');
+const skipMarkers = require('./skipMarkers');
+const thumbnails = require('./thumbnails');
+const piecePriority = require('./piecePriority');
+const diskCache = require('./diskCache');
+const watchProgress = require('./watchProgress');
+const watchHistory = require('./watchHistory');
+const library = require('./library');
+const { toTorrentId } = require('./magnetLink');
+const jsonStore = require('./jsonStore');
 
 const app = express();
 const server = http.createServer(app);
@@ -22,7 +41,10 @@ const PORT = process.env.PORT || 5000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Library imports can be large - that route parses its body with a higher limit itself
+const LARGE_BODY_ROUTES = ['/api/library/import'];
+const jsonParser = express.json();
+app.use((req, res, next) => (LARGE_BODY_ROUTES.includes(req.path) ? next() : jsonParser(req, res, next)));
 app.use(express.static(path.join(__dirname, '../client/build')));
 
 // Configure multer for subtitle uploads
@@ -30,18 +52,33 @@ const upload = multer({
   dest: 'uploads/subtitles/',
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['.srt', '.vtt', '.ass', '.ssa'];
+    const allowedTypes = ['.srt', '.vtt', '.ass', '.ssa', '.sub'];
     const ext = path.extname(file.originalname).toLowerCase();
     if (allowedTypes.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new Error('Only subtitle files (.srt, .vtt, .ass, .ssa) are allowed'));
+      cb(new Error('Only subtitle files (.srt, .vtt, .ass, .ssa, .sub) are allowed'));
+    }
+  }
+});
+
+// .torrent uploads are parsed straight from memory - nothing is written to uploads/
+const torrentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.torrent') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .torrent files are allowed'));
     }
   }
 });
 
 // Store active torrents with metadata for cleanup
 const activeTorrents = new Map(); // Map<magnetUrl, { torrent, lastAccessed, createdAt }>
+// Uploaded .torrent files have no magnet link of their own and are stored under this prefix + infoHash
+const TORRENT_FILE_KEY_PREFIX = 'torrent-file:';
 
 // Auto-cleanup: Remove inactive torrents after 30 minutes
 const TORRENT_TIMEOUT = 30 * 60 * 1000; // 30 minutes
@@ -62,6 +99,15 @@ function destroyTorrent(magnetUrl, data, reason = 'cleanup') {
     });
   }
   
+  transcoder.clearProbeCache(`${data.torrent.infoHash}:`);
+  hls.closeSessions(`${data.torrent.infoHash}:`);
+  thumbnails.closeSessions(`${data.torrent.infoHash}:`);
+  piecePriority.clearReaders(data.torrent.infoHash);
+  diskCache.releaseTorrent(data.torrent);
+  subtitles.clearExtractCache(`${data.torrent.infoHash}:`);
+  fonts.clearFonts(`${data.torrent.infoHash}:`);
+  subtitleSearch.clearHashCache(`${data.torrent.infoHash}:`);
+  skipMarkers.clearDetectionCache(`${data.torrent.infoHash}:`);
   activeTorrents.delete(magnetUrl);
 }
 
@@ -97,6 +143,152 @@ function cleanupOldTorrents(newMagnetUrl) {
   }
 }
 
+// Magnet a torrent was added with (WebTorrent's own magnet URI as a fallback)
+function getMagnetUrl(torrent) {
+  for (const [magnetUrl, data] of activeTorrents.entries()) {
+    if (data.torrent === torrent && !magnetUrl.startsWith(TORRENT_FILE_KEY_PREFIX)) return magnetUrl;
+  }
+  return torrent.magnetURI || null;
+}
+
+// Find the stored entry for a torrent and mark it as recently used
+function touchTorrent(torrentId) {
+  for (const data of activeTorrents.values()) {
+    if (data.torrent.infoHash === torrentId) {
+      data.lastAccessed = Date.now();
+      return data;
+    }
+  }
+  return null;
+}
+
+// File type detection for torrent contents
+const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.avi', '.webm'];
+const AUDIO_EXTENSIONS = ['.mp3', '.m4a', '.aac'];
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt', '.ass', '.ssa', '.sub'];
+
+function getFileType(file) {
+  const ext = path.extname(file.name).toLowerCase();
+  if (VIDEO_EXTENSIONS.includes(ext)) return 'video';
+  if (AUDIO_EXTENSIONS.includes(ext)) return 'audio';
+  if (SUBTITLE_EXTENSIONS.includes(ext)) return 'subtitle';
+  return 'other';
+}
+
+function isVideoFile(file) {
+  return getFileType(file) === 'video';
+}
+
+// Default video file when the client didn't pick one (first video in the torrent)
+function findVideoFile(torrent) {
+  return torrent.files.find(isVideoFile);
+}
+
+// Look up a file by its index in torrent.files
+function getTorrentFile(torrent, fileIndex) {
+  const index = parseInt(fileIndex, 10);
+  if (isNaN(index) || index < 0 || index >= torrent.files.length) {
+    return null;
+  }
+  return torrent.files[index];
+}
+
+// Map a byte range inside a file to the torrent pieces that hold it
+function getFilePieceRange(torrent, file, start = 0, end = file.length - 1) {
+  const pieceLength = torrent.pieceLength;
+  return {
+    startPiece: Math.floor((file.offset + start) / pieceLength),
+    endPiece: Math.min(
+      Math.floor((file.offset + end) / pieceLength),
+      torrent.pieces.length - 1
+    )
+  };
+}
+
+// Subtitle files shipped alongside a video in the same torrent
+function getSidecarSubtitles(torrent, videoFile) {
+  const filePaths = new Set(torrent.files.map(file => file.path.toLowerCase()));
+  const subtitleFiles = torrent.files.filter((file) => {
+    if (getFileType(file) !== 'subtitle') return false;
+    // A .sub next to an .idx is an image-based VobSub, not MicroDVD text
+    return !/\.sub$/i.test(file.path) || !filePaths.has(file.path.toLowerCase().replace(/\.sub$/, '.idx'));
+  });
+  if (subtitleFiles.length === 0) return [];
+
+  const videoFiles = torrent.files.filter(file => isVideoFile(file) && !isSampleFile(file.path));
+  return subtitles.findSidecarSubtitles(videoFile, subtitleFiles, videoFiles);
+}
+
+// Resolve the :torrentId / :fileIndex route params (or a ?file= query, defaulting to the main video)
+// Sends the error response and returns null when either can't be found
+function resolveTorrentFile(req, res) {
+  const torrentId = req.params.torrentId || req.query.torrentId;
+  const fileIndex = req.params.fileIndex !== undefined ? req.params.fileIndex : req.query.file;
+  
+  const torrent = client.torrents.find(t => t.infoHash === torrentId);
+  
+  if (!torrent) {
+    res.status(404).json({ error: 'Torrent not found' });
+    return null;
+  }
+
+  // Check if torrent is still active
+  if (torrent.destroyed) {
+    res.status(410).json({ error: 'Torrent has been destroyed' });
+    return null;
+  }
+
+  const file = fileIndex !== undefined ? getTorrentFile(torrent, fileIndex) : findVideoFile(torrent);
+
+  if (!file) {
+    res.status(404).json({ error: 'File not found in torrent' });
+    return null;
+  }
+
+  // Update last accessed time for cleanup tracking
+  touchTorrent(torrentId);
+
+  return { torrent, file };
+}
+
+// Only download the file being watched - deselect everything else
+// so WebTorrent doesn't waste bandwidth on the rest of a season pack
+function focusFile(torrent, file) {
+  const data = touchTorrent(torrent.infoHash);
+  const fileIndex = torrent.files.indexOf(file);
+
+  if (!torrent.ready || (data && data.focusedFileIndex === fileIndex)) {
+    return;
+  }
+
+  try {
+    // Drop the initial "whole torrent" selection made on metadata
+    torrent.deselect(0, torrent.pieces.length - 1, false);
+    torrent.files.forEach((f) => {
+      if (f !== file) f.deselect();
+    });
+    file.select();
+
+    // Sidecar subtitles are tiny - fetch them before anything else
+    if (isVideoFile(file)) {
+      getSidecarSubtitles(torrent, file).forEach((subtitleFile) => {
+        const { startPiece, endPiece } = getFilePieceRange(torrent, subtitleFile);
+        subtitleFile.select(1);
+        torrent.critical(startPiece, endPiece);
+      });
+    }
+    console.log(`🎯 Focused ${torrent.infoHash} on file #${fileIndex}: ${file.name}`);
+  } catch (err) {
+    console.warn(`Could not update file selection for ${torrent.infoHash}:`, err.message);
+  }
+
+  if (data) {
+    data.focusedFileIndex = fileIndex;
+    // The selection was reset - external audio files get selected again when requested
+    data.selectedAudioFiles.clear();
+  }
+}
+
 console.log('🧹 Auto-cleanup enabled: Torrents inactive for 30+ minutes will be removed');
 console.log(`📊 Max active torrents: ${MAX_ACTIVE_TORRENTS} (old ones cleaned when new stream starts)`);
 
@@ -129,18 +321,31 @@ client.on('error', (err) => {
 
 console.log('🌐 WebTorrent client initialized with DHT and tracker support');
 
-// Routes
-app.post('/api/stream', (req, res) => {
-  const { magnetUrl } = req.body;
-  
-  if (!magnetUrl) {
-    return res.status(400).json({ error: 'Magnet URL is required' });
+// Active entry for a torrent id, matched by infoHash - the same torrent added as a
+// magnet link, a bare infoHash or a .torrent file is only downloaded once
+function findActiveTorrent(torrentId) {
+  let torrent = null;
+  try {
+    torrent = client.get(torrentId);
+  } catch (err) {
+    return null;
+  }
+  if (!torrent) return null;
+
+  for (const entry of activeTorrents.entries()) {
+    if (entry[1].torrent === torrent) return entry;
   }
+  return null;
+}
 
+// Add a torrent and start streaming it. `torrentId` is a magnet link, a .torrent URL or
+// the contents of a .torrent file; `magnetUrl` is the activeTorrents key (null for files)
+function addTorrent(torrentId, magnetUrl, res) {
   try {
     // Check if torrent already exists
-    if (activeTorrents.has(magnetUrl)) {
-      const data = activeTorrents.get(magnetUrl);
+    const existing = findActiveTorrent(torrentId);
+    if (existing) {
+      const [existingKey, data] = existing;
       const torrent = data.torrent;
       
       // Update last accessed time
@@ -148,14 +353,9 @@ app.post('/api/stream', (req, res) => {
       
       // Check if torrent was destroyed
       if (torrent.destroyed) {
-        activeTorrents.delete(magnetUrl);
+        activeTorrents.delete(existingKey);
       } else {
-        const videoFile = torrent.files.find(file => 
-          file.name.endsWith('.mp4') || 
-          file.name.endsWith('.mkv') || 
-          file.name.endsWith('.avi') ||
-          file.name.endsWith('.webm')
-        );
+        const videoFile = findVideoFile(torrent);
         
         if (videoFile) {
           return res.json({ 
@@ -172,26 +372,20 @@ app.post('/api/stream', (req, res) => {
     cleanupOldTorrents(magnetUrl);
 
     // Add new torrent with STREAM-FIRST optimization
-    // 🎯 Key: No storage path = memory-only streaming!
     // Don't override announce - let WebTorrent use trackers from magnet link!
-    const torrent = client.add(magnetUrl, {
+    const torrent = client.add(torrentId, {
       // Don't set announce: [] - this would override magnet link trackers!
       // WebTorrent will automatically extract trackers from the magnet URL
       maxWebConns: 4,
-      // 🚀 STREAM-FIRST: Don't specify path - keeps data in memory only!
-      // Pieces are downloaded to RAM and streamed directly, then discarded
-      // This is true "streaming" without permanent storage
+      // 💾 With CACHE_DIR set, pieces go to the disk cache and are reused when the
+      // same torrent is added again - otherwise WebTorrent's temporary storage is used
+      ...diskCache.getTorrentOptions()
     }, (torrent) => {
       // 🎬 Prioritize sequential download for smooth streaming
       // Download pieces in order (0, 1, 2, 3...) instead of random
       // This allows streaming to start immediately
       if (torrent.files && torrent.files.length > 0) {
-        const videoFile = torrent.files.find(file => 
-          file.name.endsWith('.mp4') || 
-          file.name.endsWith('.mkv') || 
-          file.name.endsWith('.avi') ||
-          file.name.endsWith('.webm')
-        );
+        const videoFile = findVideoFile(torrent);
         
         if (videoFile && torrent.pieces) {
           // Prioritize pieces sequentially for streaming
@@ -214,11 +408,20 @@ app.post('/api/stream', (req, res) => {
       }
     });
 
+    // .torrent files are parsed synchronously - no infoHash means it wasn't a torrent
+    if (Buffer.isBuffer(torrentId) && !torrent.infoHash) {
+      torrent.destroy();
+      return res.status(400).json({ error: 'Not a valid .torrent file' });
+    }
+
+    diskCache.trackTorrent(torrent);
+
     // Store torrent with metadata for cleanup
-    activeTorrents.set(magnetUrl, {
+    activeTorrents.set(magnetUrl || `${TORRENT_FILE_KEY_PREFIX}${torrent.infoHash}`, {
       torrent: torrent,
       lastAccessed: Date.now(),
-      createdAt: Date.now()
+      createdAt: Date.now(),
+      selectedAudioFiles: new Set() // External audio files selected for download
     });
 
     // Set timeout for metadata loading (30 seconds)
@@ -242,12 +445,7 @@ app.post('/api/stream', (req, res) => {
       console.log(`✅ Torrent ready: ${torrent.name}`);
       clearTimeout(metadataTimeout);
       
-      const videoFile = torrent.files.find(file => 
-        file.name.endsWith('.mp4') || 
-        file.name.endsWith('.mkv') || 
-        file.name.endsWith('.avi') ||
-        file.name.endsWith('.webm')
-      );
+      const videoFile = findVideoFile(torrent);
 
       if (videoFile) {
         io.emit('torrent-ready', {
@@ -294,191 +492,1296 @@ app.post('/api/stream', (req, res) => {
       if (torrent.progress > 0 && torrent.progress % 0.1 < 0.01) {
         console.log(`⬇️ Stream progress: ${(torrent.progress * 100).toFixed(1)}% - ${torrent.downloadSpeed} B/s`);
       }
-      
-      // 🚀 STREAM-FIRST: Prioritize sequential pieces for smooth playback
-      // Once we have enough pieces to start, prioritize next pieces in sequence
-      if (torrent.files && torrent.files.length > 0 && torrent.progress > 0.01) {
-        const videoFile = torrent.files.find(file => 
-          file.name.endsWith('.mp4') || 
-          file.name.endsWith('.mkv') || 
-          file.name.endsWith('.avi') ||
-          file.name.endsWith('.webm')
-        );
-        
-        if (videoFile) {
-          // Calculate which piece we're currently "watching"
-          const currentPiece = Math.floor((torrent.progress * torrent.pieces.length));
-          const bufferAhead = 20; // Keep 20 pieces ahead for smooth playback
-          
-          // Prioritize pieces sequentially (streaming order)
-          for (let i = currentPiece; i < Math.min(currentPiece + bufferAhead, torrent.pieces.length); i++) {
-            if (torrent.pieces[i] && !torrent.pieces[i].done && typeof torrent.pieces[i].priority === 'function') {
-              try {
-                torrent.pieces[i].priority(1); // High priority
-              } catch (err) {
-                // Ignore errors if piece priority can't be set
-                console.warn(`Could not set priority for piece ${i}:`, err.message);
-              }
-            }
+    });
+
+    res.json({ 
+      success: true,
+      torrentId: torrent.infoHash,
+      message: 'Torrent added, connecting to peers...'
+    });
+  } catch (error) {
+    console.error('Error adding torrent:', error);
+    res.status(500).json({ error: 'Failed to add torrent' });
+  }
+}
+
+// Routes
+// Magnet link, bare infoHash (40 hex / 32 base32 chars) or http(s) .torrent URL
+app.post('/api/stream', (req, res) => {
+  const magnetUrl = toTorrentId(req.body.magnetUrl);
+  
+  if (!magnetUrl) {
+    return res.status(400).json({ error: 'A magnet link, infoHash or http(s) .torrent URL is required' });
+  }
+
+  addTorrent(magnetUrl, magnetUrl, res);
+});
+
+// Uploaded or dropped .torrent file (multipart field "torrent")
+app.post('/api/stream/torrent-file', (req, res) => {
+  torrentUpload.single('torrent')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'No .torrent file uploaded' });
+    }
+
+    console.log(`📄 Adding torrent from file: ${req.file.originalname}`);
+    addTorrent(req.file.buffer, null, res);
+  });
+});
+
+// Get torrent stream URL - STREAM-FIRST approach
+// 🚀 This streams directly from memory without saving to disk!
+app.get('/api/torrent/:torrentId/stream', (req, res) => {
+  const { torrentId } = req.params;
+  
+  const torrent = client.torrents.find(t => t.infoHash === torrentId);
+  
+  if (!torrent) {
+    return res.status(404).json({ error: 'Torrent not found' });
+  }
+
+  const videoFile = findVideoFile(torrent);
+
+  if (!videoFile) {
+    return res.status(404).json({ error: 'No video file found in torrent' });
+  }
+
+  // Check if torrent is still active
+  if (torrent.destroyed) {
+    return res.status(410).json({ error: 'Torrent has been destroyed' });
+  }
+
+  streamVideoFile(req, res, torrent, videoFile);
+});
+
+// Stream a specific file from the torrent (season packs, multi-part releases)
+app.get('/api/torrent/:torrentId/files/:fileIndex/stream', (req, res) => {
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  // Stop downloading the other files - only this one is being watched
+  focusFile(resolved.torrent, resolved.file);
+
+  streamVideoFile(req, res, resolved.torrent, resolved.file);
+});
+
+// Same stream for server-side ffmpeg jobs (probes, subtitle/font extraction, thumbnails,
+// intro fingerprinting). Reading a file here doesn't make it the focused file, so a job
+// on another episode never takes the download away from the one being watched, and
+// isn't a playhead for piece priority. ?background=1 - don't prioritize the pieces at all
+app.get('/api/torrent/:torrentId/files/:fileIndex/internal', (req, res) => {
+  if (!isLoopbackRequest(req)) {
+    return res.status(403).json({ error: 'Only available to the server itself' });
+  }
+
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  streamVideoFile(req, res, resolved.torrent, resolved.file, {
+    trackReader: false,
+    background: req.query.background === '1'
+  });
+});
+
+// Stream an external audio file (e.g. a dub shipped next to the video), played in sync
+// with the video by the client
+app.get('/api/torrent/:torrentId/files/:fileIndex/audio', (req, res) => {
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  const { torrent, file } = resolved;
+  if (getFileType(file) !== 'audio') {
+    return res.status(415).json({ error: 'File is not a supported audio format' });
+  }
+
+  // Download it alongside the focused video instead of replacing the selection
+  // (once - every seek is a new range request)
+  const data = touchTorrent(torrent.infoHash);
+  const fileIndex = torrent.files.indexOf(file);
+  if (data && !data.selectedAudioFiles.has(fileIndex)) {
+    file.select(1);
+    data.selectedAudioFiles.add(fileIndex);
+  }
+
+  streamVideoFile(req, res, torrent, file);
+});
+
+// Pre-download the start of a file (e.g. the next episode) so it starts instantly
+const PREFETCH_BYTES = 20 * 1024 * 1024; // First 20MB
+
+app.post('/api/torrent/:torrentId/files/:fileIndex/prefetch', (req, res) => {
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  const { torrent, file } = resolved;
+
+  if (!torrent.ready) {
+    return res.status(409).json({ error: 'Torrent is not ready yet' });
+  }
+
+  const { startPiece, endPiece } = getFilePieceRange(
+    torrent,
+    file,
+    0,
+    Math.min(file.length, PREFETCH_BYTES) - 1
+  );
+
+  try {
+    // Priority 1 - ahead of the low-priority background selection, behind active streams
+    torrent.select(startPiece, endPiece, 1);
+    console.log(`⏭️ Prefetching ${file.name} (pieces ${startPiece}-${endPiece})`);
+  } catch (err) {
+    console.warn(`Could not prefetch ${file.name}:`, err.message);
+    return res.status(500).json({ error: 'Failed to prefetch file', message: err.message });
+  }
+
+  res.json({
+    success: true,
+    fileIndex: torrent.files.indexOf(file),
+    pieces: { start: startPiece, end: endPiece }
+  });
+});
+
+// Content type for a video file based on its extension
+function getVideoContentType(file) {
+  switch (path.extname(file.name).toLowerCase()) {
+    case '.mkv':
+      return 'video/x-matroska';
+    case '.avi':
+      return 'video/x-msvideo';
+    case '.webm':
+      return 'video/webm';
+    // External audio tracks shipped next to the video
+    case '.mp3':
+      return 'audio/mpeg';
+    case '.m4a':
+      return 'audio/mp4';
+    case '.aac':
+      return 'audio/aac';
+    default:
+      return 'video/mp4';
+  }
+}
+
+// Pipe a torrent file to the response, honouring range requests for seeking
+// options: { trackReader } - prioritize pieces ahead of this request (viewer requests, default)
+//          { background } - read without prioritizing anything (server-side jobs)
+function streamVideoFile(req, res, torrent, videoFile, options = {}) {
+  const { trackReader = true, background = false } = options;
+
+  // 🎬 STREAM-FIRST: Create read stream directly from memory
+  // WebTorrent stores pieces in RAM, we stream them as they arrive
+  // No permanent disk storage - true streaming!
+  
+  // Set headers for streaming
+  const contentType = getVideoContentType(videoFile);
+  
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Content-Length', videoFile.length);
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+  res.setHeader('Connection', 'keep-alive');
+
+  // Handle range requests for seeking
+  const range = req.headers.range;
+  
+  // Helper function to create stream with error handling
+  const createStream = (start, end) => {
+    try {
+      // Validate range
+      if (start < 0) start = 0;
+      if (end >= videoFile.length) end = videoFile.length - 1;
+      if (start > end) {
+        if (!res.headersSent) {
+          res.status(416).json({ error: 'Range Not Satisfiable' });
+        }
+        return;
+      }
+
+      // Check if torrent is still valid
+      if (torrent.destroyed || !videoFile) {
+        if (!res.headersSent) {
+          res.status(410).json({ error: 'Torrent no longer available' });
+        }
+        return;
+      }
+
+      const stream = background
+        ? piecePriority.createBackgroundStream(torrent, videoFile, start, end)
+        : videoFile.createReadStream({ start, end });
+
+      // Keep the pieces ahead of this request's position downloading first
+      if (trackReader) {
+        const reader = piecePriority.trackReader(torrent, videoFile, start);
+        stream.on('data', chunk => reader.advance(chunk.length));
+        stream.on('close', () => reader.close());
+        getKnownSummary(torrent, videoFile).then((summary) => {
+          if (summary && summary.duration > 0) {
+            reader.setBytesPerSecond(videoFile.length / summary.duration);
           }
+        });
+      }
+
+      // Handle stream errors gracefully
+      stream.on('error', (err) => {
+        // Only log if it's not a client disconnect
+        if (err.code !== 'ECONNRESET' && err.code !== 'EPIPE') {
+          console.error(`Stream error for ${torrent.infoHash} (${start}-${end}):`, err.message);
+        }
+        // Don't send error if headers already sent (client disconnected)
+        if (!res.headersSent) {
+          res.status(500).json({ error: 'Stream error', message: err.message });
+        } else if (!res.destroyed) {
+          res.destroy();
+        }
+      });
+
+      // Handle response finish
+      res.on('finish', () => {
+        if (stream && !stream.destroyed) {
+          stream.destroy();
+        }
+      });
+
+      // Handle client disconnect
+      req.on('close', () => {
+        if (stream && !stream.destroyed) {
+          stream.destroy();
+        }
+      });
+
+      req.on('aborted', () => {
+        if (stream && !stream.destroyed) {
+          stream.destroy();
         }
+      });
+
+      // Pipe stream to response
+      stream.pipe(res);
+    } catch (err) {
+      console.error(`Error creating stream for ${torrent.infoHash}:`, err.message);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to create stream', message: err.message });
       }
-    });
+    }
+  };
+
+  if (range) {
+    const parts = range.replace(/bytes=/, '').split('-');
+    const start = parseInt(parts[0], 10);
+    const end = parts[1] ? parseInt(parts[1], 10) : videoFile.length - 1;
+    
+    // Validate range
+    if (isNaN(start) || isNaN(end)) {
+      res.status(400).json({ error: 'Invalid range' });
+      return;
+    }
+
+    const chunksize = (end - start) + 1;
+    
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${videoFile.length}`);
+    res.setHeader('Content-Length', chunksize);
+    res.setHeader('Connection', 'keep-alive');
+
+    createStream(start, end);
+  } else {
+    // No range request - stream from beginning
+    res.setHeader('Connection', 'keep-alive');
+    createStream(0, videoFile.length - 1);
+  }
+}
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+function isLoopbackRequest(req) {
+  return LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress);
+}
+
+// Loopback URL of a file's internal stream route - ffmpeg reads through it so range
+// requests (and therefore seeking) work exactly like they do for the browser
+function getInternalStreamUrl(torrent, file) {
+  return `http://127.0.0.1:${PORT}/api/torrent/${torrent.infoHash}/files/${torrent.files.indexOf(file)}/internal`;
+}
+
+// Internal stream that waits for pieces instead of prioritizing them - for jobs that
+// read a lot of the file and whose results can wait for the download
+function getBackgroundStreamUrl(torrent, file) {
+  return `${getInternalStreamUrl(torrent, file)}?background=1`;
+}
+
+// Loopback URL of the viewer's stream route, for ffmpeg processes that feed the player
+// (remux, HLS) - their reads are the playback position, so they focus the file like
+// the browser's own requests do
+function getPlaybackStreamUrl(torrent, file) {
+  return `http://127.0.0.1:${PORT}/api/torrent/${torrent.infoHash}/files/${torrent.files.indexOf(file)}/stream`;
+}
+
+// ?audio=<n> - audio track to play, an index into the probed audio streams
+function parseAudioTrack(value) {
+  const index = parseInt(value, 10);
+  return isNaN(index) || index < 0 ? undefined : index;
+}
+
+const CHANNEL_LAYOUTS = { 1: 'Mono', 2: 'Stereo', 6: '5.1', 8: '7.1' };
+
+// Audio tracks of a probed file with display labels ("Japanese · AC3 5.1")
+function describeAudioTracks(summary) {
+  return transcoder.listAudioTracks(summary).map(track => ({
+    ...track,
+    label: [
+      subtitles.languageName(track.language) || track.title || `Track ${track.trackIndex + 1}`,
+      track.codec ? track.codec.toUpperCase() : null,
+      CHANNEL_LAYOUTS[track.channels] || (track.channels ? `${track.channels}ch` : null)
+    ].filter(Boolean).join(' · ')
+  }));
+}
+
+// Parse "h264,hevc" style capability lists sent by the client
+function parseCodecList(value) {
+  if (!value || typeof value !== 'string') return undefined;
+  return value.split(',').map(codec => codec.trim().toLowerCase()).filter(Boolean);
+}
+
+// Capability probe: decide how the browser should play a file
+// (direct play, remux to fragmented MP4, or full transcode)
+app.get('/api/torrent/:torrentId/files/:fileIndex/playback', async (req, res) => {
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  const { torrent, file } = resolved;
+  const fileIndex = torrent.files.indexOf(file);
+  const directUrl = `/api/torrent/${torrent.infoHash}/files/${fileIndex}/stream`;
+
+  const hasFfmpeg = await transcoder.checkFfmpeg();
+  if (!hasFfmpeg) {
+    return res.json({
+      mode: 'direct',
+      url: directUrl,
+      transcoding: false,
+      reason: 'ffmpeg is not installed on the server'
+    });
+  }
+
+  try {
+    const probe = await transcoder.probeMedia(
+      getInternalStreamUrl(torrent, file),
+      `${torrent.infoHash}:${fileIndex}`
+    );
+    const summary = transcoder.summarizeProbe(probe);
+    const audioTrack = parseAudioTrack(req.query.audio);
+    const plan = transcoder.choosePlaybackMode(summary, file.name, {
+      videoCodecs: parseCodecList(req.query.videoCodecs),
+      audioCodecs: parseCodecList(req.query.audioCodecs)
+    }, audioTrack);
+
+    console.log(`🔬 Playback plan for ${file.name}: ${plan.mode} (${plan.reason})`);
+
+    res.json({
+      mode: plan.mode,
+      url: plan.mode === 'direct'
+        ? directUrl
+        : `/api/torrent/${torrent.infoHash}/files/${fileIndex}/remux?mode=${plan.mode}${audioTrack !== undefined ? `&audio=${audioTrack}` : ''}`,
+      hlsUrl: `/api/torrent/${torrent.infoHash}/files/${fileIndex}/hls/index.m3u8`,
+      transcoding: true,
+      reason: plan.reason,
+      duration: summary.duration,
+      media: summary,
+      // Browsers rarely expose audio tracks themselves - pick one with ?audio=<trackIndex>
+      audioTracks: describeAudioTracks(summary)
+    });
+  } catch (err) {
+    console.warn(`⚠️ Could not probe ${file.name}:`, err.message);
+    res.status(502).json({ error: 'Failed to probe media', message: err.message });
+  }
+});
+
+// ffprobe reads the container header from the start of the file - fetch those pieces first
+const PROBE_HEADER_BYTES = 4 * 1024 * 1024;
+
+const RESOLUTION_LABELS = [[2160, '4K'], [1440, '1440p'], [1080, '1080p'], [720, '720p'], [480, '480p']];
+
+// "1080p" style label; widescreen encodes are often cropped below the nominal height
+function getResolutionLabel(video) {
+  if (!video || !video.width || !video.height) return null;
+  const match = RESOLUTION_LABELS.find(([height]) => video.height >= height * 0.9 || video.width >= height * 16 / 9 * 0.9);
+  return match ? match[1] : `${video.height}p`;
+}
+
+// Media details for a file before playback starts: duration, codecs, resolution,
+// HDR, frame rate, audio/subtitle streams and chapters
+// ?videoCodecs / ?audioCodecs - include how this browser would play it
+app.get('/api/torrent/:torrentId/files/:fileIndex/probe', async (req, res) => {
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  const { torrent, file } = resolved;
+  const fileIndex = torrent.files.indexOf(file);
+
+  if (!torrent.ready) {
+    return res.status(409).json({ error: 'Torrent is not ready yet' });
+  }
+
+  if (!(await transcoder.checkFfmpeg())) {
+    return res.status(501).json({ error: 'ffmpeg is not installed on the server' });
+  }
+
+  try {
+    const { startPiece, endPiece } = getFilePieceRange(
+      torrent,
+      file,
+      0,
+      Math.min(file.length, PROBE_HEADER_BYTES) - 1
+    );
+    torrent.critical(startPiece, endPiece);
+  } catch (err) {
+    console.warn(`Could not prioritize header of ${file.name}:`, err.message);
+  }
+
+  try {
+    const probe = await transcoder.probeMedia(
+      getInternalStreamUrl(torrent, file),
+      `${torrent.infoHash}:${fileIndex}`
+    );
+    const summary = transcoder.summarizeProbe(probe);
+    const videoCodecs = parseCodecList(req.query.videoCodecs);
+    const audioCodecs = parseCodecList(req.query.audioCodecs);
+    const plan = videoCodecs || audioCodecs
+      ? transcoder.choosePlaybackMode(summary, file.name, { videoCodecs, audioCodecs })
+      : null;
+
+    res.json({
+      fileIndex,
+      name: file.name,
+      size: file.length,
+      duration: summary.duration,
+      format: summary.format,
+      video: summary.video ? { ...summary.video, resolution: getResolutionLabel(summary.video) } : null,
+      audio: describeAudioTracks(summary),
+      subtitles: summary.subtitles.map(track => ({
+        ...track,
+        label: subtitles.languageName(track.language) || track.title || track.codec
+      })),
+      chapters: summary.chapters,
+      playback: plan ? { mode: plan.mode, reason: plan.reason } : null
+    });
+  } catch (err) {
+    console.warn(`⚠️ Could not probe ${file.name}:`, err.message);
+    res.status(502).json({ error: 'Failed to probe media', message: err.message });
+  }
+});
+
+// Other episodes of the same season in a torrent, nearest episode first
+function getSeasonEpisodes(torrent, file) {
+  const current = parseEpisode(file.name, file.path);
+  if (!current) return [];
+
+  return torrent.files
+    .filter(other => other !== file && isVideoFile(other) && !isSampleFile(other.path))
+    .map(other => ({ file: other, episode: parseEpisode(other.name, other.path) }))
+    .filter(({ episode }) => episode && episode.season === current.season && episode.episode !== current.episode)
+    .sort((a, b) => Math.abs(a.episode.episode - current.episode) - Math.abs(b.episode.episode - current.episode))
+    .map(({ file: other }) => other);
+}
+
+// Skip intro / skip credits markers of a file
+app.get('/api/torrent/:torrentId/files/:fileIndex/markers', (req, res) => {
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  const { torrent, file } = resolved;
+  res.json(skipMarkers.getMarkers(torrent.infoHash, torrent.files.indexOf(file)));
+});
+
+// Mark ranges by hand: { intro: { start, end } | null, credits: { start, end } | null }
+// Types left out of the body are kept as they are
+app.put('/api/torrent/:torrentId/files/:fileIndex/markers', (req, res) => {
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  const { torrent, file } = resolved;
+  try {
+    res.json(skipMarkers.setMarkers(torrent.infoHash, torrent.files.indexOf(file), req.body || {}));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Start looking for the intro by comparing the audio with other episodes of the season
+// Poll the markers route for the result (detection: running → done / not-found / failed)
+const INTRO_DETECTION_EPISODES = 2; // Other episodes compared against, at most
+
+// Share of an episode assumed to hold the intro scan window when it can't be probed
+// (five minutes of a 20 minute episode)
+const INTRO_SCAN_FALLBACK_SHARE = 0.25;
+
+// Select the start of an episode covering the intro scan window. The header is fetched
+// first so the probe can tell the duration, then the window's size is estimated from it
+async function selectIntroScanRange(torrent, episode) {
+  const selectBytes = (bytes) => {
+    const { startPiece, endPiece } = getFilePieceRange(torrent, episode, 0, Math.min(episode.length, bytes) - 1);
+    torrent.select(startPiece, endPiece, 1);
+  };
+
+  try {
+    selectBytes(PREFETCH_BYTES);
+    let share = INTRO_SCAN_FALLBACK_SHARE;
+    try {
+      const probe = await transcoder.probeMedia(
+        getInternalStreamUrl(torrent, episode),
+        `${torrent.infoHash}:${torrent.files.indexOf(episode)}`
+      );
+      const { duration } = transcoder.summarizeProbe(probe);
+      if (duration) share = Math.min(1, skipMarkers.INTRO_SCAN_SECONDS / duration);
+    } catch (err) {
+      console.warn(`⚠️ Could not probe ${episode.name}, guessing its intro scan range:`, err.message);
+    }
+    // A little extra for bitrate swings within the window
+    selectBytes(Math.ceil(episode.length * share * 1.2));
+  } catch (err) {
+    console.warn(`Could not prefetch ${episode.name}:`, err.message);
+  }
+}
+
+app.post('/api/torrent/:torrentId/files/:fileIndex/markers/detect', async (req, res) => {
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  const { torrent, file } = resolved;
+  const fileIndex = torrent.files.indexOf(file);
+
+  if (!torrent.ready) {
+    return res.status(409).json({ error: 'Torrent is not ready yet' });
+  }
+  if (!(await transcoder.checkFfmpeg())) {
+    return res.status(501).json({ error: 'ffmpeg is not installed on the server' });
+  }
+
+  const others = getSeasonEpisodes(torrent, file).slice(0, INTRO_DETECTION_EPISODES);
+  if (others.length === 0) {
+    return res.status(422).json({ error: 'Intro detection needs other episodes of the same season in this torrent' });
+  }
+
+  // The episodes' first minutes are fingerprinted - ask for them ahead of the background download
+  [file, ...others].forEach((episode) => {
+    selectIntroScanRange(torrent, episode);
+  });
+
+  console.log(`⏭️ Detecting intro of ${file.name} against ${others.map(other => other.name).join(', ')}`);
+  skipMarkers.detectIntro(torrent.infoHash, [file, ...others].map(episode => ({
+    fileIndex: torrent.files.indexOf(episode),
+    inputUrl: getBackgroundStreamUrl(torrent, episode)
+  })));
+
+  res.status(202).json(skipMarkers.getMarkers(torrent.infoHash, fileIndex));
+});
+
+// Where a viewer (X-Device-Id header) stopped watching a file: { progress: { position, duration, watched, ... } | null }
+app.get('/api/torrent/:torrentId/files/:fileIndex/progress', (req, res) => {
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  const { torrent, file } = resolved;
+  try {
+    const deviceId = watchProgress.parseDeviceId(req.get('X-Device-Id'));
+    res.json({ progress: watchProgress.getProgress(deviceId, torrent.infoHash, torrent.files.indexOf(file)) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Save the playback position: { position, duration } in seconds
+app.put('/api/torrent/:torrentId/files/:fileIndex/progress', (req, res) => {
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  const { torrent, file } = resolved;
+  try {
+    const deviceId = watchProgress.parseDeviceId(req.get('X-Device-Id'));
+    const fileIndex = torrent.files.indexOf(file);
+    const progress = watchProgress.saveProgress(deviceId, torrent.infoHash, fileIndex, req.body || {}, {
+      fileName: file.name,
+      torrentName: torrent.name
+    });
+    watchHistory.recordPlayback(deviceId, {
+      infoHash: torrent.infoHash,
+      magnetUrl: getMagnetUrl(torrent),
+      title: parseTitle(torrent.name).title || torrent.name,
+      torrentName: torrent.name,
+      fileIndex,
+      fileName: file.name,
+      episode: parseEpisode(file.name, file.path),
+      position: progress.position,
+      duration: progress.duration,
+      watched: progress.watched
+    });
+    res.json({ progress });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Watch history of a viewer (X-Device-Id header), most recently played first
+app.get('/api/history', (req, res) => {
+  try {
+    const deviceId = watchProgress.parseDeviceId(req.get('X-Device-Id'));
+    res.json({ history: watchHistory.listHistory(deviceId) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/history/:infoHash', (req, res) => {
+  try {
+    const deviceId = watchProgress.parseDeviceId(req.get('X-Device-Id'));
+    if (!watchHistory.removeEntry(deviceId, req.params.infoHash)) {
+      return res.status(404).json({ error: 'Not in the watch history' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/history', (req, res) => {
+  try {
+    const deviceId = watchProgress.parseDeviceId(req.get('X-Device-Id'));
+    res.json({ success: true, removed: watchHistory.clearHistory(deviceId) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// A repeated (?tag=a&tag=b) or nested query parameter isn't a string - use its first value
+function getQueryString(value) {
+  const first = Array.isArray(value) ? value[0] : value;
+  return typeof first === 'string' ? first : undefined;
+}
+
+// Saved library: { items, folders, tags } - ?folder= / ?tag= to filter the items
+app.get('/api/library', (req, res) => {
+  const folder = getQueryString(req.query.folder);
+  const tag = getQueryString(req.query.tag);
+  res.json({
+    items: library.listItems({ folder, tag }),
+    folders: library.getFolders(),
+    tags: library.getTags()
+  });
+});
+
+// Save a magnet: { magnetUrl, name, folder, tags } - or { torrentId } for a torrent that
+// is playing right now. 409 with the existing item when it's already in the library
+app.post('/api/library', (req, res) => {
+  const body = { ...(req.body || {}) };
+
+  if (body.torrentId) {
+    const torrent = client.torrents.find(t => t.infoHash === body.torrentId);
+    if (!torrent) {
+      return res.status(404).json({ error: 'Torrent not found' });
+    }
+    body.magnetUrl = getMagnetUrl(torrent);
+    body.name = body.name || torrent.name;
+  }
+
+  try {
+    const { item, created } = library.addItem(body);
+    if (!created) {
+      return res.status(409).json({ error: 'Already in the library', item });
+    }
+    console.log(`📚 Saved to library: ${item.name}`);
+    res.status(201).json(item);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Rename, move to another folder or retag: { name, folder, tags }
+app.put('/api/library/:id', (req, res) => {
+  try {
+    const item = library.updateItem(req.params.id, req.body || {});
+    if (!item) {
+      return res.status(404).json({ error: 'Library item not found' });
+    }
+    res.json(item);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/library/:id', (req, res) => {
+  if (!library.removeItem(req.params.id)) {
+    return res.status(404).json({ error: 'Library item not found' });
+  }
+  res.json({ success: true });
+});
+
+app.get('/api/library/export', (req, res) => {
+  res.setHeader('Content-Disposition', 'attachment; filename="magnetstreamer-library.json"');
+  res.json(library.exportLibrary());
+});
+
+// Import a library export ({ items: [...] }) - returns how many items were added / updated / skipped
+app.post('/api/library/import', express.json({ limit: '5mb' }), (req, res) => {
+  try {
+    const result = library.importLibrary(req.body);
+    console.log(`📚 Library import: ${result.added} added, ${result.updated} updated, ${result.skipped} skipped`);
+    res.json(result);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// On-the-fly remux/transcode to fragmented MP4
+// ?mode=remux|transcode  ?start=<seconds> to begin at a seek position  ?audio=<track>
+app.get('/api/torrent/:torrentId/files/:fileIndex/remux', async (req, res) => {
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  const { torrent, file } = resolved;
+  const fileIndex = torrent.files.indexOf(file);
+  const start = Math.max(0, parseFloat(req.query.start) || 0);
+
+  if (!(await transcoder.checkFfmpeg())) {
+    return res.status(501).json({ error: 'ffmpeg is not installed on the server' });
+  }
+
+  const inputUrl = getInternalStreamUrl(torrent, file);
+  let plan;
+  try {
+    const summary = transcoder.summarizeProbe(
+      await transcoder.probeMedia(inputUrl, `${torrent.infoHash}:${fileIndex}`)
+    );
+    plan = transcoder.choosePlaybackMode(summary, file.name, {
+      videoCodecs: parseCodecList(req.query.videoCodecs),
+      audioCodecs: parseCodecList(req.query.audioCodecs)
+    }, parseAudioTrack(req.query.audio));
+  } catch (err) {
+    return res.status(502).json({ error: 'Failed to probe media', message: err.message });
+  }
+
+  // Client can force a full transcode (e.g. remuxed stream still failed to decode)
+  if (req.query.mode === 'transcode' && plan.mode !== 'transcode') {
+    plan = { ...plan, mode: 'transcode', video: 'h264' };
+  } else if (plan.mode === 'direct') {
+    plan = { ...plan, mode: 'remux' };
+  }
+
+  let ffmpeg;
+  try {
+    ffmpeg = transcoder.startTranscode(getPlaybackStreamUrl(torrent, file), plan, { start, audioStream: plan.audioStream });
+  } catch (err) {
+    const status = err.code === 'TRANSCODE_LIMIT' ? 503 : 500;
+    return res.status(status).json({ error: 'Failed to start transcoder', message: err.message });
+  }
+
+  console.log(`🎞️ ${plan.mode === 'transcode' ? 'Transcoding' : 'Remuxing'} ${file.name} from ${start}s`);
+
+  res.setHeader('Content-Type', 'video/mp4');
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+
+  ffmpeg.stdout.pipe(res);
+
+  ffmpeg.on('error', (err) => {
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Transcoder error', message: err.message });
+    } else if (!res.destroyed) {
+      res.destroy();
+    }
+  });
+
+  // Viewer went away (seek, episode change, closed tab) - stop ffmpeg
+  req.on('close', () => {
+    transcoder.stopTranscode(ffmpeg);
+  });
+});
+
+// Probe a file and get (or create) its HLS session
+// options: { audioTrack } - each audio stream has its own session
+async function getHlsSession(torrent, file, options = {}) {
+  const fileIndex = torrent.files.indexOf(file);
+  const inputUrl = getInternalStreamUrl(torrent, file);
+  const key = `${torrent.infoHash}:${fileIndex}`;
+  const summary = transcoder.summarizeProbe(await transcoder.probeMedia(inputUrl, key));
+  const plan = hls.createHlsPlan(summary, options);
+
+  return {
+    session: hls.getSession(key, getPlaybackStreamUrl(torrent, file), plan),
+    duration: summary.duration
+  };
+}
+
+// HLS playlist - segments are generated on demand, so seeking to minute 80
+// only fetches and converts the torrent pieces around minute 80
+app.get('/api/torrent/:torrentId/files/:fileIndex/hls/index.m3u8', async (req, res) => {
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  const { torrent, file } = resolved;
+
+  if (!(await transcoder.checkFfmpeg())) {
+    return res.status(501).json({ error: 'ffmpeg is not installed on the server' });
+  }
+
+  try {
+    const audioTrack = parseAudioTrack(req.query.audio);
+    const { duration } = await getHlsSession(torrent, file, { audioTrack });
+
+    if (!duration) {
+      return res.status(422).json({ error: 'Could not determine media duration' });
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(hls.buildPlaylist(duration, audioTrack !== undefined ? `?audio=${audioTrack}` : ''));
+  } catch (err) {
+    console.warn(`⚠️ Could not create HLS playlist for ${file.name}:`, err.message);
+    res.status(502).json({ error: 'Failed to create HLS playlist', message: err.message });
+  }
+});
+
+// HLS segment (segment-<n>.ts)
+app.get('/api/torrent/:torrentId/files/:fileIndex/hls/:segment', async (req, res) => {
+  const match = req.params.segment.match(/^segment-(\d+)\.ts$/);
+  if (!match) {
+    return res.status(404).json({ error: 'Segment not found' });
+  }
+
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  const { torrent, file } = resolved;
+
+  try {
+    const audioTrack = parseAudioTrack(req.query.audio);
+    // The probe is cached - this finds the audio stream's session, or recreates it
+    // if it has expired (idle viewer, server restart)
+    const { session } = await getHlsSession(torrent, file, { audioTrack });
+    const segmentFile = await hls.getSegment(session, parseInt(match[1], 10));
+
+    res.setHeader('Content-Type', 'video/mp2t');
+    res.sendFile(segmentFile);
+  } catch (err) {
+    const status = err.code === 'TRANSCODE_LIMIT' ? 503 : 500;
+    if (!res.headersSent) {
+      res.status(status).json({ error: 'Failed to generate segment', message: err.message });
+    }
+  }
+});
+
+// Downloaded parts of a file as byte ranges: runs of pieces the torrent already has,
+// clipped to the file (its first and last piece are shared with neighbouring files)
+function getDownloadedRanges(torrent, file) {
+  const { startPiece, endPiece } = getFilePieceRange(torrent, file);
+  const ranges = [];
+  let runStart = null;
+
+  for (let piece = startPiece; piece <= endPiece + 1; piece++) {
+    const have = piece <= endPiece && torrent.bitfield.get(piece);
+    if (have && runStart === null) {
+      runStart = piece;
+    } else if (!have && runStart !== null) {
+      ranges.push({
+        start: Math.max(0, runStart * torrent.pieceLength - file.offset),
+        end: Math.min(file.length, piece * torrent.pieceLength - file.offset)
+      });
+      runStart = null;
+    }
+  }
+  return ranges;
+}
+
+// Which parts of a file are downloaded - seeking into them is instant, elsewhere it waits
+// for peers. Times assume a roughly constant bitrate and are only given once the
+// duration is known (the file has been probed)
+app.get('/api/torrent/:torrentId/files/:fileIndex/pieces', async (req, res) => {
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  const { torrent, file } = resolved;
+
+  if (!torrent.ready) {
+    return res.status(409).json({ error: 'Torrent is not ready yet' });
+  }
+
+  const ranges = getDownloadedRanges(torrent, file);
+  const summary = await getKnownSummary(torrent, file);
+  const duration = summary ? summary.duration : null;
+  const { startPiece, endPiece } = getFilePieceRange(torrent, file);
+
+  res.json({
+    fileIndex: torrent.files.indexOf(file),
+    length: file.length,
+    downloaded: file.downloaded,
+    progress: file.progress,
+    pieceLength: torrent.pieceLength,
+    pieces: { start: startPiece, end: endPiece },
+    duration,
+    ranges,
+    timeRanges: duration ? ranges.map(range => ({
+      start: (range.start / file.length) * duration,
+      end: (range.end / file.length) * duration
+    })) : null
+  });
+});
+
+// Bytes a thumbnail grab reads from its position - enough for a keyframe at typical bitrates
+const THUMBNAIL_READ_BYTES = 2 * 1024 * 1024;
+// Matroska keeps its seek index (Cues) near the end of the file - ffmpeg reads it for -ss
+const MATROSKA_INDEX_BYTES = 1024 * 1024;
+
+function isRangeDownloaded(torrent, file, start, end) {
+  const { startPiece, endPiece } = getFilePieceRange(torrent, file, start, end);
+  for (let piece = startPiece; piece <= endPiece; piece++) {
+    if (!torrent.bitfield.get(piece)) return false;
+  }
+  return true;
+}
+
+// Whether everything a thumbnail grab at a playback position reads is already downloaded
+// (the position is mapped to bytes assuming a roughly constant bitrate)
+function isTimeDownloaded(torrent, file, duration, time) {
+  if (torrent.destroyed) return false;
+  const offset = Math.floor((time / duration) * file.length);
+  if (!isRangeDownloaded(torrent, file, offset, Math.min(file.length - 1, offset + THUMBNAIL_READ_BYTES))) {
+    return false;
+  }
+  if (['.mkv', '.webm'].includes(path.extname(file.name).toLowerCase())) {
+    return isRangeDownloaded(torrent, file, Math.max(0, file.length - MATROSKA_INDEX_BYTES), file.length - 1);
+  }
+  return true;
+}
+
+// Seek preview thumbnails as a WebVTT thumbnail track - lists what has been grabbed so far,
+// re-request it to pick up thumbnails for newly downloaded parts of the file
+app.get('/api/torrent/:torrentId/files/:fileIndex/thumbnails.vtt', async (req, res) => {
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  const { torrent, file } = resolved;
+  const fileIndex = torrent.files.indexOf(file);
+
+  if (!torrent.ready) {
+    return res.status(409).json({ error: 'Torrent is not ready yet' });
+  }
+  if (!(await transcoder.checkFfmpeg())) {
+    return res.status(501).json({ error: 'ffmpeg is not installed on the server' });
+  }
+
+  try {
+    const inputUrl = getInternalStreamUrl(torrent, file);
+    const probe = await transcoder.probeMedia(inputUrl, `${torrent.infoHash}:${fileIndex}`);
+    const summary = transcoder.summarizeProbe(probe);
+    if (!summary.duration || !summary.video) {
+      return res.status(422).json({ error: 'No video stream to take thumbnails from' });
+    }
+
+    const session = thumbnails.getSession(`${torrent.infoHash}:${fileIndex}`, {
+      inputUrl: getBackgroundStreamUrl(torrent, file),
+      duration: summary.duration,
+      isDownloaded: time => isTimeDownloaded(torrent, file, summary.duration, time)
+    });
+
+    res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(thumbnails.buildThumbnailTrack(session, 'thumbnails/'));
+  } catch (err) {
+    console.warn(`⚠️ Could not prepare thumbnails for ${file.name}:`, err.message);
+    res.status(502).json({ error: 'Failed to prepare thumbnails', message: err.message });
+  }
+});
+
+// Thumbnail sprite sheet (sprite-<n>.jpg) referenced by the thumbnail track
+app.get('/api/torrent/:torrentId/files/:fileIndex/thumbnails/:sheet', async (req, res) => {
+  const match = req.params.sheet.match(/^sprite-(\d+)\.jpg$/);
+  if (!match) {
+    return res.status(404).json({ error: 'Sprite sheet not found' });
+  }
+
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  const { torrent, file } = resolved;
+  const session = thumbnails.findSession(`${torrent.infoHash}:${torrent.files.indexOf(file)}`);
+  if (!session) {
+    return res.status(404).json({ error: 'No thumbnails for this file - request thumbnails.vtt first' });
+  }
+
+  try {
+    const sheetFile = await thumbnails.getSheet(session, parseInt(match[1], 10));
+    if (!sheetFile || !fs.existsSync(sheetFile)) {
+      return res.status(404).json({ error: 'Sprite sheet not found' });
+    }
+    res.setHeader('Content-Type', 'image/jpeg');
+    // Versioned by the ?v= in the thumbnail track
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.sendFile(sheetFile);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to build sprite sheet', message: err.message });
+  }
+});
+
+// List subtitles for a torrent file (?file=index, defaults to the main video):
+// sidecar subtitle files shipped in the torrent plus text tracks embedded in the video.
+// Embedded tracks are `ready` once they have been extracted
+app.get('/api/torrent/:torrentId/subtitles', async (req, res) => {
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  const { torrent, file } = resolved;
+  const fileIndex = torrent.files.indexOf(file);
+
+  const sidecarTracks = getSidecarSubtitles(torrent, file).map((subtitleFile) => {
+    const subtitleFileIndex = torrent.files.indexOf(subtitleFile);
+    const description = subtitles.describeSidecar(subtitleFile);
+    return {
+      source: 'sidecar',
+      fileIndex: subtitleFileIndex,
+      path: subtitleFile.path,
+      ...description,
+      url: `/api/torrent/${torrent.infoHash}/files/${subtitleFileIndex}/subtitle.vtt`,
+      assUrl: description.styled
+        ? `/api/torrent/${torrent.infoHash}/files/${subtitleFileIndex}/subtitle.ass`
+        : null
+    };
+  });
+
+  const hasFfmpeg = await transcoder.checkFfmpeg();
+  if (!hasFfmpeg) {
+    return res.json({ tracks: sidecarTracks, reason: 'ffmpeg is not installed on the server' });
+  }
+
+  try {
+    const probe = await transcoder.probeMedia(
+      getInternalStreamUrl(torrent, file),
+      `${torrent.infoHash}:${fileIndex}`
+    );
+    const embeddedTracks = subtitles.listEmbeddedTracks(transcoder.summarizeProbe(probe))
+      .filter(track => track.supported)
+      .map(track => ({
+        source: 'embedded',
+        ...track,
+        ready: subtitles.isTrackExtracted(`${torrent.infoHash}:${fileIndex}:${track.trackIndex}`),
+        url: `/api/torrent/${torrent.infoHash}/subtitles/${track.trackIndex}.vtt?file=${fileIndex}`,
+        assUrl: track.styled
+          ? `/api/torrent/${torrent.infoHash}/subtitles/${track.trackIndex}.ass?file=${fileIndex}`
+          : null
+      }));
+
+    res.json({
+      tracks: [...sidecarTracks, ...embeddedTracks],
+      // Fonts attached to the video, used when rendering styled ASS subtitles
+      fontsUrl: probe.streams && probe.streams.some(s => s.codec_type === 'attachment')
+        ? `/api/torrent/${torrent.infoHash}/files/${fileIndex}/fonts`
+        : null
+    });
+  } catch (err) {
+    console.warn(`⚠️ Could not probe ${file.name}:`, err.message);
+    res.status(502).json({ error: 'Failed to probe media', message: err.message });
+  }
+});
+
+// Serve a subtitle file from the torrent converted to WebVTT, or as UTF-8 ASS for the styled renderer
+function sendSidecarSubtitle(req, res, outputFormat) {
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  const { torrent, file } = resolved;
+  const format = path.extname(file.name).slice(1).toLowerCase();
+  const allowedFormats = outputFormat === 'ass'
+    ? subtitles.STYLED_SUBTITLE_FORMATS
+    : subtitleConverter.CONVERTIBLE_FORMATS;
+
+  if (getFileType(file) !== 'subtitle' || !allowedFormats.includes(format)) {
+    return res.status(415).json({ error: 'File is not a supported subtitle format' });
+  }
+
+  // Make sure the pieces are requested even if the file isn't part of the current selection
+  const { startPiece, endPiece } = getFilePieceRange(torrent, file);
+  torrent.critical(startPiece, endPiece);
+
+  file.getBuffer((err, buffer) => {
+    if (err) {
+      console.warn(`⚠️ Could not read subtitle ${file.name}:`, err.message);
+      return res.status(500).json({ error: 'Failed to read subtitle file', message: err.message });
+    }
+
+    if (outputFormat === 'ass') {
+      res.setHeader('Content-Type', 'text/x-ssa; charset=utf-8');
+      return res.send(subtitleConverter.decodeSubtitleBuffer(buffer).text);
+    }
+
+    try {
+      const { vtt } = subtitleConverter.convertBufferToWebVtt(buffer, format);
+      res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+      res.send(vtt);
+    } catch (convertErr) {
+      res.status(422).json({ error: 'Failed to convert subtitle', message: convertErr.message });
+    }
+  });
+}
 
-    res.json({ 
-      success: true,
-      torrentId: torrent.infoHash,
-      message: 'Torrent added, connecting to peers...'
-    });
-  } catch (error) {
-    console.error('Error adding torrent:', error);
-    res.status(500).json({ error: 'Failed to add torrent' });
-  }
+app.get('/api/torrent/:torrentId/files/:fileIndex/subtitle.vtt', (req, res) => {
+  sendSidecarSubtitle(req, res, 'vtt');
 });
 
-// Get torrent stream URL - STREAM-FIRST approach
-// 🚀 This streams directly from memory without saving to disk!
-app.get('/api/torrent/:torrentId/stream', (req, res) => {
-  const { torrentId } = req.params;
-  
-  const torrent = client.torrents.find(t => t.infoHash === torrentId);
-  
-  if (!torrent) {
-    return res.status(404).json({ error: 'Torrent not found' });
-  }
+app.get('/api/torrent/:torrentId/files/:fileIndex/subtitle.ass', (req, res) => {
+  sendSidecarSubtitle(req, res, 'ass');
+});
 
-  const videoFile = torrent.files.find(file => 
-    file.name.endsWith('.mp4') || 
-    file.name.endsWith('.mkv') || 
-    file.name.endsWith('.avi') ||
-    file.name.endsWith('.webm')
-  );
+// Extract (once) the font attachments of the :fileIndex video
+async function getAttachedFonts(req, res) {
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return null;
 
-  if (!videoFile) {
-    return res.status(404).json({ error: 'No video file found in torrent' });
+  const { torrent, file } = resolved;
+  const fileIndex = torrent.files.indexOf(file);
+
+  const hasFfmpeg = await transcoder.checkFfmpeg();
+  if (!hasFfmpeg) {
+    res.status(501).json({ error: 'ffmpeg is not installed on the server' });
+    return null;
   }
 
-  // Check if torrent is still active
-  if (torrent.destroyed) {
-    return res.status(410).json({ error: 'Torrent has been destroyed' });
+  try {
+    const inputUrl = getInternalStreamUrl(torrent, file);
+    const probe = await transcoder.probeMedia(inputUrl, `${torrent.infoHash}:${fileIndex}`);
+    const { attachments } = transcoder.summarizeProbe(probe);
+    const extracted = await fonts.extractFonts(inputUrl, attachments, `${torrent.infoHash}:${fileIndex}`);
+    return { torrent, fileIndex, extracted };
+  } catch (err) {
+    console.warn(`⚠️ Could not extract fonts from ${file.name}:`, err.message);
+    res.status(502).json({ error: 'Failed to extract fonts', message: err.message });
+    return null;
   }
+}
 
-  // 🎬 STREAM-FIRST: Create read stream directly from memory
-  // WebTorrent stores pieces in RAM, we stream them as they arrive
-  // No permanent disk storage - true streaming!
-  
-  // Set headers for streaming
-  const contentType = videoFile.name.endsWith('.mkv') ? 'video/x-matroska' :
-                      videoFile.name.endsWith('.avi') ? 'video/x-msvideo' :
-                      videoFile.name.endsWith('.webm') ? 'video/webm' :
-                      'video/mp4';
-  
-  res.setHeader('Content-Type', contentType);
-  res.setHeader('Accept-Ranges', 'bytes');
-  res.setHeader('Content-Length', videoFile.length);
-  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-  res.setHeader('Pragma', 'no-cache');
-  res.setHeader('Expires', '0');
-  res.setHeader('Connection', 'keep-alive');
+// Fonts attached to a video file (MKV attachments), described by family name
+app.get('/api/torrent/:torrentId/files/:fileIndex/fonts', async (req, res) => {
+  const fontList = await getAttachedFonts(req, res);
+  if (!fontList) return;
 
-  // Handle range requests for seeking
-  const range = req.headers.range;
-  
-  // Helper function to create stream with error handling
-  const createStream = (start, end) => {
-    try {
-      // Validate range
-      if (start < 0) start = 0;
-      if (end >= videoFile.length) end = videoFile.length - 1;
-      if (start > end) {
-        if (!res.headersSent) {
-          res.status(416).json({ error: 'Range Not Satisfiable' });
-        }
-        return;
-      }
+  const { torrent, fileIndex, extracted } = fontList;
+  res.json({
+    fonts: extracted.map(font => ({
+      index: font.index,
+      filename: font.filename,
+      families: font.families,
+      weight: font.weight,
+      style: font.style,
+      url: `/api/torrent/${torrent.infoHash}/files/${fileIndex}/fonts/${font.index}`
+    }))
+  });
+});
 
-      // Check if torrent is still valid
-      if (torrent.destroyed || !videoFile) {
-        if (!res.headersSent) {
-          res.status(410).json({ error: 'Torrent no longer available' });
-        }
-        return;
-      }
+app.get('/api/torrent/:torrentId/files/:fileIndex/fonts/:attachmentIndex', async (req, res) => {
+  const fontList = await getAttachedFonts(req, res);
+  if (!fontList) return;
 
-      const stream = videoFile.createReadStream({ start, end });
-      
-      // Handle stream errors gracefully
-      stream.on('error', (err) => {
-        // Only log if it's not a client disconnect
-        if (err.code !== 'ECONNRESET' && err.code !== 'EPIPE') {
-          console.error(`Stream error for ${torrentId} (${start}-${end}):`, err.message);
-        }
-        // Don't send error if headers already sent (client disconnected)
-        if (!res.headersSent) {
-          res.status(500).json({ error: 'Stream error', message: err.message });
-        } else if (!res.destroyed) {
-          res.destroy();
-        }
-      });
+  const font = fontList.extracted.find(f => f.index === parseInt(req.params.attachmentIndex, 10));
+  if (!font) {
+    return res.status(404).json({ error: 'Font not found' });
+  }
 
-      // Handle response finish
-      res.on('finish', () => {
-        if (stream && !stream.destroyed) {
-          stream.destroy();
-        }
-      });
+  res.setHeader('Cache-Control', 'public, max-age=86400');
+  res.sendFile(font.path, { headers: { 'Content-Type': 'font/ttf' } });
+});
 
-      // Handle client disconnect
-      req.on('close', () => {
-        if (stream && !stream.destroyed) {
-          stream.destroy();
-        }
-      });
+// Embedded text subtitle track as WebVTT, or as ASS for the styled renderer. The first
+// request starts extracting it in the background - until that has read the whole file
+// the answer is 202, so the player can ask again later
+const EXTRACT_RETRY_SECONDS = 15;
 
-      req.on('aborted', () => {
-        if (stream && !stream.destroyed) {
-          stream.destroy();
-        }
-      });
+async function sendEmbeddedSubtitle(req, res, outputFormat) {
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
 
-      // Pipe stream to response
-      stream.pipe(res);
-    } catch (err) {
-      console.error(`Error creating stream for ${torrentId}:`, err.message);
-      if (!res.headersSent) {
-        res.status(500).json({ error: 'Failed to create stream', message: err.message });
-      }
+  const { torrent, file } = resolved;
+  const fileIndex = torrent.files.indexOf(file);
+  const trackIndex = parseInt(req.params.trackIndex, 10);
+
+  if (isNaN(trackIndex) || trackIndex < 0) {
+    return res.status(400).json({ error: 'Invalid subtitle track' });
+  }
+
+  const hasFfmpeg = await transcoder.checkFfmpeg();
+  if (!hasFfmpeg) {
+    return res.status(501).json({ error: 'ffmpeg is not installed on the server' });
+  }
+
+  try {
+    const inputUrl = getInternalStreamUrl(torrent, file);
+    const probe = await transcoder.probeMedia(inputUrl, `${torrent.infoHash}:${fileIndex}`);
+    const track = subtitles.listEmbeddedTracks(transcoder.summarizeProbe(probe))[trackIndex];
+
+    if (!track) {
+      return res.status(404).json({ error: 'Subtitle track not found' });
+    }
+    if (!track.supported) {
+      return res.status(415).json({ error: `Image-based subtitles (${track.codec}) can't be converted to WebVTT` });
+    }
+    if (outputFormat === 'ass' && !track.styled) {
+      return res.status(415).json({ error: `Subtitle track ${trackIndex} is not an ASS/SSA track` });
     }
-  };
 
-  if (range) {
-    const parts = range.replace(/bytes=/, '').split('-');
-    const start = parseInt(parts[0], 10);
-    const end = parts[1] ? parseInt(parts[1], 10) : videoFile.length - 1;
-    
-    // Validate range
-    if (isNaN(start) || isNaN(end)) {
-      res.status(400).json({ error: 'Invalid range' });
-      return;
+    const cacheKey = `${torrent.infoHash}:${fileIndex}:${trackIndex}`;
+    const { text, error, started } = subtitles.extractTrack(
+      getBackgroundStreamUrl(torrent, file),
+      trackIndex,
+      cacheKey,
+      outputFormat === 'ass' ? 'ass' : 'webvtt'
+    );
+    if (error) throw error;
+    if (started) {
+      console.log(`💬 Extracting subtitle track ${trackIndex} (${track.label}) from ${file.name} as ${outputFormat}`);
     }
 
-    const chunksize = (end - start) + 1;
-    
-    res.status(206);
-    res.setHeader('Content-Range', `bytes ${start}-${end}/${videoFile.length}`);
-    res.setHeader('Content-Length', chunksize);
-    res.setHeader('Connection', 'keep-alive');
+    if (typeof text !== 'string') {
+      res.setHeader('Retry-After', EXTRACT_RETRY_SECONDS);
+      return res.status(202).json({
+        status: 'extracting',
+        message: 'Subtitles are extracted as the video downloads - try again later',
+        retryAfter: EXTRACT_RETRY_SECONDS
+      });
+    }
 
-    createStream(start, end);
-  } else {
-    // No range request - stream from beginning
-    res.setHeader('Connection', 'keep-alive');
-    createStream(0, videoFile.length - 1);
+    res.setHeader('Content-Type', outputFormat === 'ass' ? 'text/x-ssa; charset=utf-8' : 'text/vtt; charset=utf-8');
+    res.send(text);
+  } catch (err) {
+    console.warn(`⚠️ Could not extract subtitle track ${trackIndex} from ${file.name}:`, err.message);
+    if (!res.headersSent) {
+      res.status(502).json({ error: 'Failed to extract subtitles', message: err.message });
+    }
   }
+}
+
+app.get('/api/torrent/:torrentId/subtitles/:trackIndex.vtt', (req, res) => {
+  sendEmbeddedSubtitle(req, res, 'vtt');
 });
 
-// Get torrent info
-app.get('/api/torrent/:torrentId/info', (req, res) => {
+app.get('/api/torrent/:torrentId/subtitles/:trackIndex.ass', (req, res) => {
+  sendEmbeddedSubtitle(req, res, 'ass');
+});
+
+// Probe summary of a file once something (usually the player's playback probe) has probed it
+async function getKnownSummary(torrent, file) {
+  const cacheKey = `${torrent.infoHash}:${torrent.files.indexOf(file)}`;
+  if (!transcoder.hasCachedProbe(cacheKey)) return null;
+
+  try {
+    const probe = await transcoder.probeMedia(getInternalStreamUrl(torrent, file), cacheKey);
+    return transcoder.summarizeProbe(probe);
+  } catch (err) {
+    return null;
+  }
+}
+
+// ?file=<index> - also include that file's chapters (null until it has been probed)
+app.get('/api/torrent/:torrentId/info', async (req, res) => {
   const { torrentId } = req.params;
   
   const torrent = client.torrents.find(t => t.infoHash === torrentId);
@@ -488,28 +1791,20 @@ app.get('/api/torrent/:torrentId/info', (req, res) => {
   }
 
   // Update last accessed time for cleanup tracking
-  for (const [magnetUrl, data] of activeTorrents.entries()) {
-    if (data.torrent.infoHash === torrentId) {
-      data.lastAccessed = Date.now();
-      break;
-    }
-  }
+  touchTorrent(torrentId);
 
   // Check if metadata is loaded (files array will be populated)
   const hasMetadata = torrent.files && torrent.files.length > 0;
 
-  const videoFile = hasMetadata ? torrent.files.find(file => 
-    file.name.endsWith('.mp4') || 
-    file.name.endsWith('.mkv') || 
-    file.name.endsWith('.avi') ||
-    file.name.endsWith('.webm')
-  ) : null;
+  const videoFile = hasMetadata ? findVideoFile(torrent) : null;
 
-  const audioFiles = hasMetadata ? torrent.files.filter(file => 
-    file.name.endsWith('.mp3') || 
-    file.name.endsWith('.m4a') ||
-    file.name.endsWith('.aac')
-  ) : [];
+  const audioFiles = hasMetadata ? torrent.files.filter(file => getFileType(file) === 'audio') : [];
+
+  const subtitleFiles = hasMetadata ? torrent.files.filter(file => getFileType(file) === 'subtitle') : [];
+
+  const chapterFile = hasMetadata && req.query.file !== undefined ? getTorrentFile(torrent, req.query.file) : null;
+  const chapterSummary = chapterFile ? await getKnownSummary(torrent, chapterFile) : null;
+  const chapters = chapterSummary ? chapterSummary.chapters : null;
 
   // Get tracker information - try multiple sources
   let trackers = [];
@@ -554,20 +1849,32 @@ app.get('/api/torrent/:torrentId/info', (req, res) => {
     received: torrent.received || 0,
     length: torrent.length || 0,
     videoFile: videoFile ? {
+      index: torrent.files.indexOf(videoFile),
       name: videoFile.name,
       length: videoFile.length,
       path: videoFile.path
     } : null,
     audioFiles: audioFiles.map(file => ({
+      index: torrent.files.indexOf(file),
       name: file.name,
       length: file.length,
       path: file.path
     })),
-    files: hasMetadata ? torrent.files.map(file => ({
+    subtitleFiles: subtitleFiles.map(file => ({
+      index: torrent.files.indexOf(file),
       name: file.name,
       length: file.length,
-      path: file.path
+      path: file.path,
+      ...subtitles.describeSidecar(file)
+    })),
+    files: hasMetadata ? torrent.files.map((file, index) => ({
+      index: index,
+      name: file.name,
+      length: file.length,
+      path: file.path,
+      type: getFileType(file)
     })) : [],
+    chapters,
     trackers: trackers.length > 0 ? trackers : announce,
     // Enhanced diagnostic info
     diagnostic: {
@@ -589,25 +1896,227 @@ app.get('/api/torrent/:torrentId/info', (req, res) => {
   });
 });
 
-// Upload subtitle
+// List every file in the torrent so the client can pick what to play
+app.get('/api/torrent/:torrentId/files', (req, res) => {
+  const { torrentId } = req.params;
+  
+  const torrent = client.torrents.find(t => t.infoHash === torrentId);
+  
+  if (!torrent) {
+    return res.status(404).json({ error: 'Torrent not found' });
+  }
+
+  const data = touchTorrent(torrentId);
+
+  // Metadata not loaded yet - no file list available
+  if (!torrent.files || torrent.files.length === 0) {
+    return res.json({
+      infoHash: torrent.infoHash,
+      name: torrent.name || 'Loading...',
+      hasMetadata: false,
+      files: []
+    });
+  }
+
+  res.json({
+    infoHash: torrent.infoHash,
+    name: torrent.name,
+    hasMetadata: true,
+    files: torrent.files.map((file, index) => ({
+      index: index,
+      name: file.name,
+      path: file.path,
+      length: file.length,
+      type: getFileType(file),
+      progress: file.progress,
+      selected: data ? data.focusedFileIndex === index : false,
+      episode: parseEpisode(file.name, file.path),
+      sample: isSampleFile(file.path)
+    }))
+  });
+});
+
+// Convert a stored subtitle file to WebVTT in place - ASS/SSA originals are kept
+// next to it (as UTF-8) for the styled renderer
+function storeSubtitle(filePath, originalName) {
+  const filename = path.basename(filePath);
+  const { vtt, format, encoding } = subtitleConverter.convertBufferToWebVtt(
+    fs.readFileSync(filePath),
+    path.extname(originalName)
+  );
+  const styled = subtitles.STYLED_SUBTITLE_FORMATS.includes(format);
+  if (styled) {
+    const { text } = subtitleConverter.decodeSubtitleBuffer(fs.readFileSync(filePath));
+    fs.writeFileSync(`${filePath}.ass`, text);
+  }
+  fs.writeFileSync(filePath, vtt);
+  console.log(`💬 Converted subtitle ${originalName} (${format}, ${encoding}) to WebVTT`);
+
+  return {
+    success: true,
+    filename: filename,
+    originalName: originalName,
+    format: format,
+    encoding: encoding,
+    path: `/api/subtitles/${filename}`,
+    assPath: styled ? `/api/subtitles/${filename}/ass` : null
+  };
+}
+
+// Disk cache usage: budget, total size and the cached torrents (most recently used first)
+app.get('/api/cache', (req, res) => {
+  res.json(diskCache.getStatus());
+});
+
+// Search the configured subtitle providers for the playing file
+// (?torrentId=&file=index) by movie hash and parsed title/year - or by ?title=&year= alone
+app.get('/api/subtitles/search', async (req, res) => {
+  let query = {};
+  let file = null;
+
+  if (req.query.torrentId) {
+    const resolved = resolveTorrentFile(req, res);
+    if (!resolved) return;
+    file = resolved.file;
+
+    const parsed = parseTitle(file.name);
+    // Season packs: "Show Name S01/Episode 02.mkv" has the title in the folder
+    const folderTitle = file.path.includes('/') ? parseTitle(file.path.split('/')[0]) : {};
+    const episode = parseEpisode(file.name, file.path);
+    query = {
+      title: parsed.title || folderTitle.title || null,
+      year: parsed.year || folderTitle.year || null,
+      season: episode ? episode.season : null,
+      episode: episode ? episode.episode : null,
+      size: file.length
+    };
+
+    try {
+      query.hash = await subtitleSearch.computeMovieHash(file, `${resolved.torrent.infoHash}:${resolved.torrent.files.indexOf(file)}`);
+    } catch (err) {
+      // Still search by title
+      console.warn(`⚠️ Could not hash ${file.name}:`, err.message);
+    }
+  }
+
+  // A corrected title from the search box wins over the parsed one
+  if (req.query.title) {
+    query.title = req.query.title;
+    query.year = parseInt(req.query.year, 10) || null;
+  }
+
+  if (!query.title && !query.hash) {
+    return res.status(400).json({ error: 'torrentId or title is required' });
+  }
+
+  const providers = subtitleSearch.listProviders();
+  if (providers.length === 0) {
+    return res.json({ query, providers, results: [], reason: 'No subtitle index is configured on the server' });
+  }
+
+  const results = await subtitleSearch.searchSubtitles(query);
+  console.log(`💬 Subtitle search for ${query.title || query.hash}: ${results.length} results`);
+  res.json({ query, providers, results });
+});
+
+// Load a search result - stored and converted like an uploaded subtitle
+app.post('/api/subtitles/search/load', async (req, res) => {
+  const { provider, id } = req.body || {};
+  if (!provider || !id) {
+    return res.status(400).json({ error: 'provider and id are required' });
+  }
+
+  let subtitle;
+  try {
+    subtitle = await subtitleSearch.fetchSubtitle(provider, String(id));
+  } catch (err) {
+    return res.status(404).json({ error: 'Subtitle not found', message: err.message });
+  }
+
+  const filePath = path.join(__dirname, '../uploads/subtitles', crypto.randomBytes(16).toString('hex'));
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, subtitle.buffer);
+    res.json(storeSubtitle(filePath, subtitle.fileName));
+  } catch (err) {
+    fs.unlink(filePath, () => {});
+    res.status(422).json({ error: 'Failed to convert subtitle', message: err.message });
+  }
+});
+
+// Upload subtitle - stored converted to WebVTT so <track> elements can render it
 app.post('/api/subtitles/upload', upload.single('subtitle'), (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No subtitle file uploaded' });
   }
 
-  res.json({
-    success: true,
-    filename: req.file.filename,
-    originalName: req.file.originalname,
-    path: `/api/subtitles/${req.file.filename}`
-  });
+  try {
+    res.json(storeSubtitle(req.file.path, req.file.originalname));
+  } catch (err) {
+    fs.unlink(req.file.path, () => {});
+    res.status(422).json({ error: 'Failed to convert subtitle', message: err.message });
+  }
+});
+
+// Save a timing correction (delay in seconds, scale factor) into an uploaded subtitle
+app.post('/api/subtitles/:filename/timing', (req, res) => {
+  const filename = path.basename(req.params.filename);
+  const filePath = path.join(__dirname, '../uploads/subtitles', filename);
+  const delay = parseFloat(req.body.delay) || 0;
+  const scale = parseFloat(req.body.scale) || 1;
+
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Subtitle not found' });
+  }
+  if (scale <= 0 || Math.abs(delay) > 24 * 60 * 60) {
+    return res.status(400).json({ error: 'Invalid timing correction' });
+  }
+
+  try {
+    const { vtt } = subtitleConverter.convertBufferToWebVtt(fs.readFileSync(filePath), '.vtt');
+    fs.writeFileSync(filePath, subtitleConverter.retimeWebVtt(vtt, { delay, scale }));
+
+    if (fs.existsSync(`${filePath}.ass`)) {
+      const ass = fs.readFileSync(`${filePath}.ass`, 'utf8');
+      fs.writeFileSync(`${filePath}.ass`, subtitleConverter.retimeAss(ass, { delay, scale }));
+    }
+
+    console.log(`💬 Saved timing for subtitle ${filename} (delay ${delay}s, scale ${scale})`);
+    res.json({ success: true, path: `/api/subtitles/${filename}` });
+  } catch (err) {
+    res.status(422).json({ error: 'Failed to update subtitle timing', message: err.message });
+  }
+});
+
+// Serve the original of an uploaded ASS/SSA subtitle
+app.get('/api/subtitles/:filename/ass', (req, res) => {
+  const filename = path.basename(req.params.filename);
+  const filePath = path.join(__dirname, '../uploads/subtitles', `${filename}.ass`);
+
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Subtitle not found' });
+  }
+  res.sendFile(filePath, { headers: { 'Content-Type': 'text/x-ssa; charset=utf-8' } });
 });
 
-// Serve subtitle files
+// Serve subtitle files (always WebVTT - older uploads are converted on the fly)
 app.get('/api/subtitles/:filename', (req, res) => {
-  const { filename } = req.params;
+  const filename = path.basename(req.params.filename);
   const filePath = path.join(__dirname, '../uploads/subtitles', filename);
-  res.sendFile(filePath);
+
+  fs.readFile(filePath, (err, buffer) => {
+    if (err) {
+      return res.status(404).json({ error: 'Subtitle not found' });
+    }
+
+    try {
+      const { vtt } = subtitleConverter.convertBufferToWebVtt(buffer, path.extname(filename));
+      res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+      res.send(vtt);
+    } catch (convertErr) {
+      res.status(422).json({ error: 'Failed to convert subtitle', message: convertErr.message });
+    }
+  });
 });
 
 // Download torrent video file
@@ -621,19 +2130,9 @@ app.get('/api/torrent/:torrentId/download', (req, res) => {
   }
 
   // Update last accessed time for cleanup tracking
-  for (const [magnetUrl, data] of activeTorrents.entries()) {
-    if (data.torrent.infoHash === torrentId) {
-      data.lastAccessed = Date.now();
-      break;
-    }
-  }
+  touchTorrent(torrentId);
 
-  const videoFile = torrent.files.find(file => 
-    file.name.endsWith('.mp4') || 
-    file.name.endsWith('.mkv') || 
-    file.name.endsWith('.avi') ||
-    file.name.endsWith('.webm')
-  );
+  const videoFile = findVideoFile(torrent);
 
   if (!videoFile) {
     return res.status(404).json({ error: 'No video file found in torrent' });
@@ -644,11 +2143,24 @@ app.get('/api/torrent/:torrentId/download', (req, res) => {
     return res.status(410).json({ error: 'Torrent has been destroyed' });
   }
 
+  sendFileDownload(req, res, torrent, videoFile);
+});
+
+// Download a specific file from the torrent
+app.get('/api/torrent/:torrentId/files/:fileIndex/download', (req, res) => {
+  const resolved = resolveTorrentFile(req, res);
+  if (!resolved) return;
+
+  sendFileDownload(req, res, resolved.torrent, resolved.file);
+});
+
+// Send a torrent file as an attachment, supporting resumable range requests
+function sendFileDownload(req, res, torrent, file) {
   // Set headers for file download
-  const fileName = videoFile.name.replace(/[^a-zA-Z0-9.-]/g, '_'); // Sanitize filename
+  const fileName = file.name.replace(/[^a-zA-Z0-9.-]/g, '_'); // Sanitize filename
   res.setHeader('Content-Type', 'application/octet-stream');
   res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
-  res.setHeader('Content-Length', videoFile.length);
+  res.setHeader('Content-Length', file.length);
   res.setHeader('Accept-Ranges', 'bytes');
 
   // Handle range requests for resumable downloads
@@ -657,7 +2169,7 @@ app.get('/api/torrent/:torrentId/download', (req, res) => {
   if (range) {
     const parts = range.replace(/bytes=/, '').split('-');
     const start = parseInt(parts[0], 10);
-    const end = parts[1] ? parseInt(parts[1], 10) : videoFile.length - 1;
+    const end = parts[1] ? parseInt(parts[1], 10) : file.length - 1;
     
     if (isNaN(start) || isNaN(end) || start > end) {
       res.status(416).json({ error: 'Range Not Satisfiable' });
@@ -667,10 +2179,10 @@ app.get('/api/torrent/:torrentId/download', (req, res) => {
     const chunksize = (end - start) + 1;
     
     res.status(206);
-    res.setHeader('Content-Range', `bytes ${start}-${end}/${videoFile.length}`);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${file.length}`);
     res.setHeader('Content-Length', chunksize);
 
-    const stream = videoFile.createReadStream({ start, end });
+    const stream = file.createReadStream({ start, end });
     
     stream.on('error', (err) => {
       if (!res.headersSent) {
@@ -683,10 +2195,10 @@ app.get('/api/torrent/:torrentId/download', (req, res) => {
     stream.pipe(res);
   } else {
     // Full file download
-    const stream = videoFile.createReadStream();
+    const stream = file.createReadStream();
     
     stream.on('error', (err) => {
-      console.error(`Download error for ${torrentId}:`, err.message);
+      console.error(`Download error for ${torrent.infoHash}:`, err.message);
       if (!res.headersSent) {
         res.status(500).json({ error: 'Download error', message: err.message });
       } else {
@@ -706,7 +2218,7 @@ app.get('/api/torrent/:torrentId/download', (req, res) => {
 
     stream.pipe(res);
   }
-});
+}
 
 // Torrent Search API
 app.get('/api/search', async (req, res) => {
@@ -921,7 +2433,21 @@ io.on('connection', (socket) => {
   });
 });
 
+// Write pending data (skip markers etc.) before exiting
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.on(signal, () => {
+    jsonStore.flushAll();
+    process.exit(0);
+  });
+});
+
 server.listen(PORT, () => {
   console.log(`🚀 MagnetStreamer server running on port ${PORT}`);
+  transcoder.checkFfmpeg().then((available) => {
+    console.log(available
+      ? '🎞️ ffmpeg found - remux/transcode fallback enabled'
+      : '⚠️ ffmpeg not found - MKV/AVI files will only play if the browser supports them');
+  });
+  subtitleIndex.registerLocalProviders();
   console.log(`📺 Built by ProbotisOP - https://github.com/ProbotisOP`);
 });
@@ -0,0 +1,76 @@
+// Small key/value stores backed by JSON files in DATA_DIR, for data that has to
+// survive a restart. Writes are batched and go through a temp file + rename so a
+// crash mid-write never leaves a truncated file behind.
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const SAVE_DELAY = 1000; // ms
+
+const stores = new Set();
+
+function createJsonStore(name) {
+  const filePath = path.join(DATA_DIR, `${name}.json`);
+  let entries = new Map();
+  let saveTimer = null;
+
+  try {
+    if (fs.existsSync(filePath)) {
+      entries = new Map(Object.entries(JSON.parse(fs.readFileSync(filePath, 'utf8'))));
+    }
+  } catch (err) {
+    console.warn(`⚠️ Could not read ${filePath}, starting empty:`, err.message);
+  }
+
+  const save = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(entries), null, 2));
+      fs.renameSync(tempPath, filePath);
+    } catch (err) {
+      console.error(`❌ Could not save ${filePath}:`, err.message);
+    }
+  };
+
+  const scheduleSave = () => {
+    if (!saveTimer) {
+      saveTimer = setTimeout(save, SAVE_DELAY);
+    }
+  };
+
+  const store = {
+    get: key => entries.get(key),
+    has: key => entries.has(key),
+    set(key, value) {
+      entries.set(key, value);
+      scheduleSave();
+      return value;
+    },
+    delete(key) {
+      const existed = entries.delete(key);
+      if (existed) scheduleSave();
+      return existed;
+    },
+    entries: () => Array.from(entries.entries()),
+    // Write pending changes now (on shutdown)
+    flush() {
+      if (saveTimer) save();
+    }
+  };
+
+  stores.add(store);
+  return store;
+}
+
+function flushAll() {
+  stores.forEach(store => store.flush());
+}
+
+module.exports = {
+  DATA_DIR,
+  createJsonStore,
+  flushAll
+};
@@ -0,0 +1,163 @@
+// Saved library of magnet links, shared by everyone using this server - the team's
+// list instead of a spreadsheet. Items are sorted into folders and tagged, and the
+// whole library can be exported to / imported from a JSON file.
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { parseMagnetInfoHash, parseMagnetName } = require('./magnetLink');
+
+const MAX_NAME_LENGTH = 300;
+const MAX_FOLDER_LENGTH = 100;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const EXPORT_VERSION = 1;
+
+const store = createJsonStore('library'); // id → { id, infoHash, magnetUrl, name, folder, tags, addedAt, updatedAt }
+
+function parseName(name) {
+  if (name === undefined || name === null) return null;
+  const text = String(name).trim();
+  if (text.length > MAX_NAME_LENGTH) throw new Error(`Names can be at most ${MAX_NAME_LENGTH} characters`);
+  return text || null;
+}
+
+// No folder ('' or null) keeps the item at the top level
+function parseFolder(folder) {
+  if (folder === undefined || folder === null) return null;
+  const text = String(folder).trim();
+  if (text.length > MAX_FOLDER_LENGTH) throw new Error(`Folder names can be at most ${MAX_FOLDER_LENGTH} characters`);
+  return text || null;
+}
+
+// Array or comma separated string → unique, trimmed tags
+function parseTags(tags) {
+  if (tags === undefined || tags === null) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  const unique = [];
+  list.forEach((tag) => {
+    const text = String(tag).trim();
+    if (!text) return;
+    if (text.length > MAX_TAG_LENGTH) throw new Error(`Tags can be at most ${MAX_TAG_LENGTH} characters`);
+    if (!unique.some(other => other.toLowerCase() === text.toLowerCase())) unique.push(text);
+  });
+  if (unique.length > MAX_TAGS) throw new Error(`An item can have at most ${MAX_TAGS} tags`);
+  return unique;
+}
+
+function findByInfoHash(infoHash) {
+  const entry = store.entries().find(([, item]) => item.infoHash === infoHash);
+  return entry ? entry[1] : null;
+}
+
+// Items sorted by folder and name, optionally only those in `folder` / tagged `tag`
+function listItems({ folder, tag } = {}) {
+  return store.entries()
+    .map(([, item]) => item)
+    .filter(item => folder === undefined || item.folder === (folder || null))
+    .filter(item => !tag || item.tags.some(other => other.toLowerCase() === tag.toLowerCase()))
+    .sort((a, b) => (a.folder || '').localeCompare(b.folder || '') || a.name.localeCompare(b.name));
+}
+
+function getFolders() {
+  const folders = new Set(store.entries().map(([, item]) => item.folder).filter(Boolean));
+  return Array.from(folders).sort((a, b) => a.localeCompare(b));
+}
+
+function getTags() {
+  const tags = new Map(); // lower case → first spelling seen
+  store.entries().forEach(([, item]) => item.tags.forEach((tag) => {
+    if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+  }));
+  return Array.from(tags.values()).sort((a, b) => a.localeCompare(b));
+}
+
+// Save a magnet: { magnetUrl, name, folder, tags } → { item, created }.
+// A torrent that is already in the library (same infoHash) isn't added twice
+function addItem({ magnetUrl, name, folder, tags }) {
+  const infoHash = parseMagnetInfoHash(magnetUrl);
+  if (!infoHash) {
+    throw new Error('A magnet link (magnet:?xt=urn:btih:...) is required');
+  }
+
+  const existing = findByInfoHash(infoHash);
+  if (existing) return { item: existing, created: false };
+
+  const now = Date.now();
+  const item = {
+    id: crypto.randomBytes(8).toString('hex'),
+    infoHash,
+    magnetUrl: magnetUrl.trim(),
+    name: parseName(name) || parseMagnetName(magnetUrl) || infoHash,
+    folder: parseFolder(folder),
+    tags: parseTags(tags),
+    addedAt: now,
+    updatedAt: now
+  };
+  store.set(item.id, item);
+  return { item, created: true };
+}
+
+// Rename, move or retag an item - only the fields present in `changes` are touched
+function updateItem(id, changes) {
+  const item = store.get(id);
+  if (!item) return null;
+
+  const updated = { ...item };
+  if (changes.name !== undefined) updated.name = parseName(changes.name) || item.name;
+  if (changes.folder !== undefined) updated.folder = parseFolder(changes.folder);
+  if (changes.tags !== undefined) updated.tags = parseTags(changes.tags);
+  updated.updatedAt = Date.now();
+  return store.set(id, updated);
+}
+
+function removeItem(id) {
+  return store.delete(id);
+}
+
+function exportLibrary() {
+  return {
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    items: listItems().map(({ magnetUrl, name, folder, tags, addedAt }) => ({ magnetUrl, name, folder, tags, addedAt }))
+  };
+}
+
+// Import an export file (or a plain array of items). Torrents already in the library
+// keep their name and folder and gain the imported tags
+function importLibrary(data) {
+  const items = Array.isArray(data) ? data : data && data.items;
+  if (!Array.isArray(items)) {
+    throw new Error('Expected a library export ({ items: [...] }) or an array of items');
+  }
+
+  const result = { added: 0, updated: 0, skipped: 0 };
+  items.forEach((entry) => {
+    try {
+      const { item, created } = addItem(entry || {});
+      if (created) {
+        result.added++;
+        return;
+      }
+      const tags = parseTags([...item.tags, ...parseTags(entry.tags)]);
+      if (tags.length > item.tags.length) {
+        updateItem(item.id, { tags });
+        result.updated++;
+      } else {
+        result.skipped++;
+      }
+    } catch (err) {
+      result.skipped++;
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  listItems,
+  getFolders,
+  getTags,
+  addItem,
+  updateItem,
+  removeItem,
+  exportLibrary,
+  importLibrary
+};
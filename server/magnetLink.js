@@ -0,0 +1,67 @@
+// Magnet link helpers: the infoHash identifies a torrent no matter which trackers or
+// display name a particular copy of its magnet link carries.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32ToHex(value) {
+  let bits = '';
+  for (const char of value.toUpperCase()) {
+    bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+  }
+  let hex = '';
+  for (let i = 0; i + 4 <= bits.length; i += 4) {
+    hex += parseInt(bits.slice(i, i + 4), 2).toString(16);
+  }
+  return hex;
+}
+
+// 40-char hex or 32-char base32 infoHash → lower-case hex, null for anything else
+function normalizeInfoHash(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  if (/^[0-9a-f]{40}$/i.test(text)) return text.toLowerCase();
+  if (/^[a-z2-7]{32}$/i.test(text)) return base32ToHex(text);
+  return null;
+}
+
+function getMagnetParams(magnetUrl) {
+  if (typeof magnetUrl !== 'string' || !/^magnet:\?/i.test(magnetUrl.trim())) return null;
+  return new URLSearchParams(magnetUrl.trim().slice('magnet:?'.length));
+}
+
+// infoHash of a magnet link (xt=urn:btih:...), or null when it isn't one
+function parseMagnetInfoHash(magnetUrl) {
+  const params = getMagnetParams(magnetUrl);
+  if (!params) return null;
+  for (const topic of params.getAll('xt')) {
+    const match = topic.match(/^urn:btih:(.+)$/i);
+    const infoHash = match && normalizeInfoHash(match[1]);
+    if (infoHash) return infoHash;
+  }
+  return null;
+}
+
+// Display name (dn) of a magnet link, if it has one
+function parseMagnetName(magnetUrl) {
+  const params = getMagnetParams(magnetUrl);
+  return (params && params.get('dn')) || null;
+}
+
+// A bare infoHash becomes a magnet link (peers then come from DHT, as there are no
+// trackers to ask); magnet links and http(s) .torrent URLs are passed through unchanged.
+// Anything else is null - WebTorrent would read other strings as a local file path
+function toTorrentId(value) {
+  if (typeof value !== 'string') return null;
+  const infoHash = normalizeInfoHash(value);
+  if (infoHash) return `magnet:?xt=urn:btih:${infoHash}`;
+
+  const text = value.trim();
+  if (/^magnet:\?/i.test(text) || /^https?:\/\//i.test(text)) return text;
+  return null;
+}
+
+module.exports = {
+  normalizeInfoHash,
+  toTorrentId,
+  parseMagnetInfoHash,
+  parseMagnetName
+};
@@ -0,0 +1,166 @@
+// Release name parsing helpers (titles, season/episode numbers, sample detection, subtitle languages)
+
+// Ordered from most to least specific - first match wins
+const EPISODE_PATTERNS = [
+  // Show.Name.S01E02 / s01e02e03 / S01.E02
+  { regex: /\bS(\d{1,2})[ ._-]?E(\d{1,3})/i, season: 1, episode: 2 },
+  // Show Name 1x02
+  { regex: /\b(\d{1,2})x(\d{2,3})\b/i, season: 1, episode: 2 },
+  // Season 1 Episode 2
+  { regex: /\bSeason[ ._-]?(\d{1,2})[ ._-]*Episode[ ._-]?(\d{1,3})/i, season: 1, episode: 2 },
+  // Episode 2 / Ep.02 / E02 (season taken from the folder if present)
+  { regex: /\b(?:Episode|Ep)[ ._-]?(\d{1,3})\b/i, episode: 1 },
+  { regex: /\bE(\d{2,3})\b/i, episode: 1 },
+  // Anime style: [Group] Show Name - 02 [1080p]
+  { regex: /\s-\s(\d{1,3})(?:v\d)?(?:\s|\.|\[|\(|$)/, episode: 1 },
+];
+
+const SEASON_FOLDER_PATTERN = /\b(?:Season|S)[ ._-]?(\d{1,2})\b/i;
+
+// Parse season/episode numbers from a file name (and optionally its path)
+// Returns { season, episode } or null when nothing looks like an episode
+function parseEpisode(name, filePath = '') {
+  for (const pattern of EPISODE_PATTERNS) {
+    const match = name.match(pattern.regex);
+    if (match) {
+      let season = pattern.season ? parseInt(match[pattern.season], 10) : null;
+
+      // Fall back to a "Season 2" / "S02" folder name
+      if (season === null && filePath) {
+        const folderMatch = filePath.match(SEASON_FOLDER_PATTERN);
+        season = folderMatch ? parseInt(folderMatch[1], 10) : null;
+      }
+
+      return {
+        season: season,
+        episode: parseInt(match[pattern.episode], 10)
+      };
+    }
+  }
+  return null;
+}
+
+// Everything from the first of these on is release info, not part of the title
+const RELEASE_TAG_PATTERN = /\b(?:\d{3,4}p|[248]k|uhd|hdr|bluray|blu-ray|bdrip|brrip|web-?dl|webrip|web|hdtv|dvdrip|dvd|remux|x26[45]|h\.?26[45]|hevc|xvid|aac|ac3|dts|proper|repack|extended|unrated|remastered)\b/i;
+
+// Parse a movie/show title and year from a release name,
+// e.g. "The.Matrix.1999.1080p.BluRay.x264.mkv" → { title: 'The Matrix', year: 1999 }
+function parseTitle(name) {
+  let text = name.split(/[\\/]/).pop()
+    .replace(/\.[a-z0-9]{2,4}$/i, '')
+    .replace(/^\[[^\]]*\]\s*/, '') // [Group] prefix
+    .replace(/[._]/g, ' ');
+
+  let year = null;
+  // The last plausible year wins ("2001 A Space Odyssey 1968")
+  const years = [...text.matchAll(/[([]?\b((?:19|20)\d{2})\b[)\]]?/g)].filter(match => match.index > 0 && parseInt(match[1], 10) <= new Date().getFullYear() + 1);
+  if (years.length > 0) {
+    const match = years[years.length - 1];
+    year = parseInt(match[1], 10);
+    text = text.slice(0, match.index);
+  }
+
+  for (const pattern of [RELEASE_TAG_PATTERN, ...EPISODE_PATTERNS.map(p => p.regex)]) {
+    const match = text.match(pattern);
+    if (match && match.index > 0) text = text.slice(0, match.index);
+  }
+
+  const title = text.replace(/[([\]{}]/g, ' ').replace(/\s+-?\s*$/, '').replace(/\s+/g, ' ').trim();
+  return { title: title || null, year };
+}
+
+// Samples are short preview clips shipped alongside the real video
+function isSampleFile(filePath) {
+  return /(^|[\\/ ._-])sample([\\/ ._-]|$)/i.test(filePath);
+}
+
+// Language names/codes commonly used in subtitle file names → [code, label]
+const SUBTITLE_LANGUAGES = [
+  [['english', 'en', 'eng'], 'en', 'English'],
+  [['spanish', 'espanol', 'es', 'spa'], 'es', 'Spanish'],
+  [['latino', 'es419'], 'es-419', 'Spanish (Latin America)'],
+  [['french', 'francais', 'fr', 'fre', 'fra'], 'fr', 'French'],
+  [['german', 'deutsch', 'de', 'ger', 'deu'], 'de', 'German'],
+  [['italian', 'italiano', 'it', 'ita'], 'it', 'Italian'],
+  [['portuguese', 'pt', 'por'], 'pt', 'Portuguese'],
+  [['brazilian', 'ptbr', 'pob'], 'pt-BR', 'Portuguese (Brazil)'],
+  [['russian', 'ru', 'rus'], 'ru', 'Russian'],
+  [['ukrainian', 'uk', 'ukr'], 'uk', 'Ukrainian'],
+  [['polish', 'pl', 'pol'], 'pl', 'Polish'],
+  [['czech', 'cs', 'cze', 'ces'], 'cs', 'Czech'],
+  [['hungarian', 'hu', 'hun'], 'hu', 'Hungarian'],
+  [['romanian', 'ro', 'rum', 'ron'], 'ro', 'Romanian'],
+  [['bulgarian', 'bg', 'bul'], 'bg', 'Bulgarian'],
+  [['croatian', 'hr', 'hrv'], 'hr', 'Croatian'],
+  [['serbian', 'sr', 'srp'], 'sr', 'Serbian'],
+  [['greek', 'el', 'gre', 'ell'], 'el', 'Greek'],
+  [['turkish', 'tr', 'tur'], 'tr', 'Turkish'],
+  [['dutch', 'nl', 'dut', 'nld'], 'nl', 'Dutch'],
+  [['swedish', 'sv', 'swe'], 'sv', 'Swedish'],
+  [['norwegian', 'no', 'nor', 'nob'], 'no', 'Norwegian'],
+  [['danish', 'da', 'dan'], 'da', 'Danish'],
+  [['finnish', 'fi', 'fin'], 'fi', 'Finnish'],
+  [['arabic', 'ar', 'ara'], 'ar', 'Arabic'],
+  [['hebrew', 'he', 'heb'], 'he', 'Hebrew'],
+  [['persian', 'farsi', 'fa', 'per', 'fas'], 'fa', 'Persian'],
+  [['hindi', 'hi', 'hin'], 'hi', 'Hindi'],
+  [['thai', 'th', 'tha'], 'th', 'Thai'],
+  [['vietnamese', 'vi', 'vie'], 'vi', 'Vietnamese'],
+  [['indonesian', 'id', 'ind'], 'id', 'Indonesian'],
+  [['malay', 'ms', 'may', 'msa'], 'ms', 'Malay'],
+  [['chinese', 'zh', 'chi', 'zho', 'chs', 'cht'], 'zh', 'Chinese'],
+  [['japanese', 'ja', 'jp', 'jpn'], 'ja', 'Japanese'],
+  [['korean', 'ko', 'kor'], 'ko', 'Korean']
+];
+
+const SUBTITLE_LANGUAGE_LOOKUP = new Map();
+SUBTITLE_LANGUAGES.forEach(([aliases, code, label]) => {
+  aliases.forEach(alias => SUBTITLE_LANGUAGE_LOOKUP.set(alias, { code, label }));
+});
+
+// Parse the language of a subtitle file from its name, e.g. "Movie.2019.eng.forced.srt",
+// "Subs/2_English.srt" or "Show.S01E02.pt-BR.srt"
+// Returns { language, label, forced, hearingImpaired } - language is null when unknown
+function parseSubtitleLanguage(filePath) {
+  const baseName = filePath.split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+  const tokens = baseName.toLowerCase()
+    .replace(/\b(pt|es)[ ._-](br|419)\b/g, '$1$2')
+    .split(/[ ._\-[\]()]+/)
+    .filter(Boolean);
+
+  let language = null;
+  // Language tags sit near the end - scan backwards, but short codes never as the first word
+  for (let i = tokens.length - 1; i >= 0 && !language; i--) {
+    const isShortCode = tokens[i].length <= 3;
+    // "Movie.en.hi.srt" - English for the hearing impaired, not Hindi
+    if (tokens[i] === 'hi' && tokens.slice(1, i).some(token => token !== 'hi' && SUBTITLE_LANGUAGE_LOOKUP.has(token))) {
+      continue;
+    }
+    if (SUBTITLE_LANGUAGE_LOOKUP.has(tokens[i]) && (!isShortCode || i > 0 || tokens.length === 1)) {
+      language = SUBTITLE_LANGUAGE_LOOKUP.get(tokens[i]);
+    }
+  }
+
+  const forced = tokens.includes('forced');
+  // "hi" is both Hindi and "hearing impaired" - it's the latter when another language was found
+  const hearingImpaired = tokens.includes('sdh') || tokens.includes('cc') ||
+    (tokens.includes('hi') && language !== null && language.code !== 'hi');
+
+  let label = language ? language.label : null;
+  if (label && forced) label += ' (Forced)';
+  if (label && hearingImpaired) label += ' (SDH)';
+
+  return {
+    language: language ? language.code : null,
+    label,
+    forced,
+    hearingImpaired
+  };
+}
+
+module.exports = {
+  parseTitle,
+  parseEpisode,
+  isSampleFile,
+  parseSubtitleLanguage
+};
@@ -0,0 +1,232 @@
+// Playhead-aware piece priority: every open range request on a stream route is a
+// reader whose byte offset advances as data is sent. A sliding window ahead of each
+// reader is selected with deadline-based priority - pieces needed within seconds are
+// critical, the next minute comes right after - and pieces behind the reader lose
+// their urgency so a seek doesn't keep pulling the old position.
+// Server-side jobs (subtitle extraction, thumbnails, fingerprinting) read through
+// background streams instead, which never make a piece urgent.
+const { Readable } = require('stream');
+
+const TICK_INTERVAL = 1000;
+const URGENT_SECONDS = 10; // Needed before the player's buffer runs dry
+const LOOKAHEAD_SECONDS = 60;
+// Higher than the priority FileStream gives its own range (1) and the focused file (0)
+const URGENT_PRIORITY = 10;
+const LOOKAHEAD_PRIORITY = 5;
+// Below the focused file (0) - background reads only get pieces nothing else wants
+const BACKGROUND_PRIORITY = -1;
+// Used until the file has been probed and its real bitrate is known
+const DEFAULT_BYTES_PER_SECOND = 1024 * 1024;
+
+const readers = new Map(); // Map<infoHash, Set<reader>>
+let tickTimer = null;
+
+function getPieceAt(torrent, file, position) {
+  const offset = Math.min(Math.max(position, 0), file.length - 1);
+  return Math.min(Math.floor((file.offset + offset) / torrent.pieceLength), torrent.pieces.length - 1);
+}
+
+// Pieces from the reader's position up to `seconds` of playback ahead of it
+function getWindow(reader, seconds) {
+  const { torrent, file } = reader;
+  return {
+    from: getPieceAt(torrent, file, reader.position),
+    to: getPieceAt(torrent, file, reader.position + reader.bytesPerSecond * seconds)
+  };
+}
+
+function dropSelections(reader) {
+  if (!reader.torrent.destroyed) {
+    reader.selections.forEach(s => reader.torrent.deselect(s.from, s.to, s.priority));
+  }
+  reader.selections = [];
+}
+
+// Move the reader's windows to its current position (only when they actually moved)
+function updateReader(reader) {
+  const { torrent } = reader;
+  const urgent = getWindow(reader, URGENT_SECONDS);
+  const lookahead = getWindow(reader, LOOKAHEAD_SECONDS);
+  const windowKey = `${urgent.from}-${urgent.to}-${lookahead.to}`;
+  if (windowKey === reader.windowKey) return;
+
+  dropSelections(reader);
+  reader.selections.push({ ...urgent, priority: URGENT_PRIORITY });
+  if (lookahead.to > urgent.to) {
+    reader.selections.push({ from: urgent.to + 1, to: lookahead.to, priority: LOOKAHEAD_PRIORITY });
+  }
+  reader.selections.forEach(s => torrent.select(s.from, s.to, s.priority));
+  torrent.critical(urgent.from, urgent.to);
+  reader.windowKey = windowKey;
+}
+
+// Critical pieces of a file that no reader needs soon anymore (behind a playhead,
+// or left over from before a seek) go back to normal priority.
+// WebTorrent has no API for this - `_critical` is the flag array critical() sets
+function releaseCriticalPieces(torrent, torrentReaders) {
+  const files = new Set(Array.from(torrentReaders, reader => reader.file));
+
+  files.forEach((file) => {
+    const urgentWindows = Array.from(torrentReaders)
+      .filter(reader => reader.file === file)
+      .map(reader => getWindow(reader, URGENT_SECONDS));
+    const firstPiece = getPieceAt(torrent, file, 0);
+    const lastPiece = getPieceAt(torrent, file, file.length - 1);
+
+    for (let i = firstPiece; i <= lastPiece; i++) {
+      if (!torrent._critical[i] || torrent.bitfield.get(i)) continue;
+      if (urgentWindows.some(w => i >= w.from && i <= w.to)) continue;
+      torrent._critical[i] = false;
+    }
+  });
+}
+
+function tick() {
+  for (const [infoHash, torrentReaders] of readers.entries()) {
+    const torrent = torrentReaders.values().next().value.torrent;
+    if (torrent.destroyed) {
+      readers.delete(infoHash);
+      continue;
+    }
+
+    try {
+      torrentReaders.forEach(updateReader);
+      releaseCriticalPieces(torrent, torrentReaders);
+    } catch (err) {
+      console.warn(`⚠️ Could not update piece priority for ${infoHash}:`, err.message);
+    }
+  }
+
+  if (readers.size === 0) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+}
+
+// Start tracking a range request that reads `file` from byte `start`.
+// Returns { advance(bytes), setBytesPerSecond(bytesPerSecond), close() }
+function trackReader(torrent, file, start) {
+  const reader = {
+    torrent,
+    file,
+    position: start,
+    bytesPerSecond: DEFAULT_BYTES_PER_SECOND,
+    selections: [],
+    windowKey: null,
+    closed: false
+  };
+
+  if (!readers.has(torrent.infoHash)) {
+    readers.set(torrent.infoHash, new Set());
+  }
+  readers.get(torrent.infoHash).add(reader);
+  updateReader(reader);
+
+  if (!tickTimer) {
+    tickTimer = setInterval(tick, TICK_INTERVAL);
+    tickTimer.unref();
+  }
+
+  return {
+    advance: (bytes) => {
+      reader.position += bytes;
+    },
+    setBytesPerSecond: (bytesPerSecond) => {
+      if (bytesPerSecond > 0) reader.bytesPerSecond = bytesPerSecond;
+    },
+    close: () => {
+      if (reader.closed) return;
+      reader.closed = true;
+      dropSelections(reader);
+
+      const torrentReaders = readers.get(torrent.infoHash);
+      if (torrentReaders) {
+        torrentReaders.delete(reader);
+        if (torrentReaders.size === 0) readers.delete(torrent.infoHash);
+      }
+    }
+  };
+}
+
+// Forget every reader of a destroyed torrent
+function clearReaders(infoHash) {
+  readers.delete(infoHash);
+}
+
+// Read bytes `start`-`end` of `file` without prioritizing anything: the range is
+// selected below every other selection and the stream simply waits for missing
+// pieces to arrive, unlike WebTorrent's own file streams which mark them critical
+function createBackgroundStream(torrent, file, start, end) {
+  const { pieceLength } = torrent;
+  const startPiece = Math.floor((file.offset + start) / pieceLength);
+  const endPiece = Math.floor((file.offset + end) / pieceLength);
+  let piece = startPiece;
+  let offset = file.offset + start - startPiece * pieceLength;
+  let missing = end - start + 1;
+  let wanted = false;
+  let reading = false;
+
+  const readNext = () => {
+    if (!wanted || reading || stream.destroyed || missing === 0) return;
+    if (torrent.destroyed) {
+      stream.destroy(new Error('Torrent removed'));
+      return;
+    }
+    if (!torrent.bitfield.get(piece)) return; // The selection notifies once it arrives
+
+    reading = true;
+    const getOptions = piece === torrent.pieces.length - 1 ? { length: torrent.lastPieceLength } : {};
+    torrent.store.get(piece, getOptions, (err, buffer) => {
+      reading = false;
+      if (stream.destroyed) return;
+      if (err) {
+        stream.destroy(err);
+        return;
+      }
+
+      if (offset) {
+        buffer = buffer.slice(offset);
+        offset = 0;
+      }
+      if (missing < buffer.length) buffer = buffer.slice(0, missing);
+      missing -= buffer.length;
+      piece++;
+
+      wanted = stream.push(buffer);
+      if (missing === 0) {
+        stream.push(null);
+      } else {
+        readNext();
+      }
+    });
+  };
+
+  const stream = new Readable({
+    read() {
+      wanted = true;
+      readNext();
+    }
+  });
+
+  torrent.select(startPiece, endPiece, BACKGROUND_PRIORITY, readNext);
+  // deselect() drops the first selection with the same range, which may belong to another
+  // background reader of the file - remove exactly the one made here (its notify is ours),
+  // unless WebTorrent already dropped it once the range was complete
+  const selection = torrent._selections.find(s => s.notify === readNext);
+  stream.on('close', () => {
+    if (torrent.destroyed) return;
+    const index = torrent._selections.indexOf(selection);
+    if (index !== -1) {
+      torrent._selections.splice(index, 1);
+      torrent._updateSelections();
+    }
+  });
+
+  return stream;
+}
+
+module.exports = {
+  trackReader,
+  clearReaders,
+  createBackgroundStream
+};
@@ -0,0 +1,150 @@
+// "Skip intro" / "skip credits" ranges per torrent file (infoHash + file index).
+// Marked by hand from the player, or found automatically: the opening minutes of
+// episodes from the same season are fingerprinted and the longest stretch of audio
+// they share is taken to be the intro.
+const { createJsonStore } = require('./jsonStore');
+const audioFingerprint = require('./audioFingerprint');
+
+const MARKER_TYPES = ['intro', 'credits'];
+const INTRO_SCAN_SECONDS = 300; // Intros are looked for in the first five minutes
+const MIN_INTRO_SECONDS = 10;
+const MAX_INTRO_SECONDS = 180;
+// The start of each episode has to be downloaded first
+const EXTRACT_TIMEOUT = 10 * 60 * 1000;
+
+const store = createJsonStore('skip-markers');
+const detections = new Map(); // Map<markerKey, 'running' | 'done' | 'not-found' | 'failed'>
+const fingerprintCache = new Map(); // Map<markerKey, Promise<fingerprint>>
+
+function markerKey(infoHash, fileIndex) {
+  return `${infoHash}:${fileIndex}`;
+}
+
+function getMarkers(infoHash, fileIndex) {
+  const key = markerKey(infoHash, fileIndex);
+  const saved = store.get(key) || {};
+  return {
+    intro: saved.intro || null,
+    credits: saved.credits || null,
+    detection: detections.get(key) || 'idle'
+  };
+}
+
+// { start, end } from a request body - null clears the marker
+function parseRange(range) {
+  if (range === null) return null;
+  const start = Number(range && range.start);
+  const end = Number(range && range.end);
+  if (!isFinite(start) || !isFinite(end) || start < 0 || end <= start) {
+    throw new Error('A marker needs a start and an end after it (in seconds)');
+  }
+  return { start, end };
+}
+
+// Save hand-made markers - only the types present in `changes` are touched
+function setMarkers(infoHash, fileIndex, changes) {
+  const key = markerKey(infoHash, fileIndex);
+  const saved = { ...(store.get(key) || {}) };
+
+  MARKER_TYPES.forEach((type) => {
+    if (changes[type] === undefined) return;
+    const range = parseRange(changes[type]);
+    if (range) {
+      saved[type] = { ...range, source: 'manual' };
+    } else {
+      delete saved[type];
+    }
+  });
+
+  if (saved.intro || saved.credits) {
+    store.set(key, { ...saved, updatedAt: Date.now() });
+  } else {
+    store.delete(key);
+  }
+  return getMarkers(infoHash, fileIndex);
+}
+
+// Store a detected intro unless the viewer already marked one by hand
+function saveDetectedIntro(infoHash, fileIndex, range) {
+  const key = markerKey(infoHash, fileIndex);
+  const saved = store.get(key) || {};
+  if (saved.intro && saved.intro.source === 'manual') return;
+
+  store.set(key, {
+    ...saved,
+    intro: { start: Math.round(range.start * 10) / 10, end: Math.round(range.end * 10) / 10, source: 'auto' },
+    updatedAt: Date.now()
+  });
+}
+
+function getFingerprint(infoHash, episode) {
+  const key = markerKey(infoHash, episode.fileIndex);
+  if (!fingerprintCache.has(key)) {
+    const computation = audioFingerprint
+      .extractAudio(episode.inputUrl, { duration: INTRO_SCAN_SECONDS, timeout: EXTRACT_TIMEOUT })
+      .then(samples => audioFingerprint.computeFingerprint(samples));
+    fingerprintCache.set(key, computation);
+    computation.catch(() => fingerprintCache.delete(key));
+  }
+  return fingerprintCache.get(key);
+}
+
+const isIntroLength = range => range.end - range.start >= MIN_INTRO_SECONDS &&
+  range.end - range.start <= MAX_INTRO_SECONDS;
+
+// Find the intro of episodes[0] by comparing it with the other episodes of its season
+// (nearest first). Episodes: [{ fileIndex, inputUrl }]. Runs in the background -
+// progress shows up in getMarkers().detection
+async function detectIntro(infoHash, episodes) {
+  const [target, ...others] = episodes;
+  const key = markerKey(infoHash, target.fileIndex);
+  if (detections.get(key) === 'running') return;
+  detections.set(key, 'running');
+
+  try {
+    const targetFingerprint = await getFingerprint(infoHash, target);
+
+    // Episodes are fingerprinted one at a time - each needs its first minutes downloaded
+    for (const other of others) {
+      const common = await audioFingerprint.findCommonSegment(
+        targetFingerprint,
+        await getFingerprint(infoHash, other)
+      );
+
+      if (common && isIntroLength(common.a) && isIntroLength(common.b)) {
+        saveDetectedIntro(infoHash, target.fileIndex, common.a);
+        saveDetectedIntro(infoHash, other.fileIndex, common.b);
+        detections.set(markerKey(infoHash, other.fileIndex), 'done');
+        detections.set(key, 'done');
+        console.log(`⏭️ Intro found: ${common.a.start.toFixed(1)}s-${common.a.end.toFixed(1)}s in file ${target.fileIndex} (matched file ${other.fileIndex})`);
+        return;
+      }
+    }
+
+    detections.set(key, 'not-found');
+    console.log(`⏭️ No shared intro found for file ${target.fileIndex} of ${infoHash}`);
+  } catch (err) {
+    detections.set(key, 'failed');
+    console.warn(`⚠️ Intro detection failed for file ${target.fileIndex} of ${infoHash}:`, err.message);
+  }
+}
+
+// Forget fingerprints and detection state of a torrent (saved markers are kept)
+function clearDetectionCache(prefix) {
+  [fingerprintCache, detections].forEach((cache) => {
+    for (const key of cache.keys()) {
+      if (key.startsWith(prefix)) {
+        cache.delete(key);
+      }
+    }
+  });
+}
+
+module.exports = {
+  MARKER_TYPES,
+  INTRO_SCAN_SECONDS,
+  getMarkers,
+  setMarkers,
+  detectIntro,
+  clearDetectionCache
+};
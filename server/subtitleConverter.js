@@ -0,0 +1,424 @@
+// Subtitle format conversion - browsers only render WebVTT in <track> elements
+// Handles SRT, ASS/SSA (basic styling and positioning), MicroDVD .sub and legacy encodings
+
+const CONVERTIBLE_FORMATS = ['vtt', 'srt', 'ass', 'ssa', 'sub'];
+const MICRODVD_DEFAULT_FPS = 23.976;
+
+// Normalize line endings and drop a byte order mark
+function normalizeText(text) {
+  return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+// Decode a subtitle file, guessing the encoding for files that aren't UTF-8
+// Old SRTs are commonly Windows-1251 (Cyrillic) or Latin-1/Windows-1252 (Western European)
+function decodeSubtitleBuffer(buffer) {
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return { text: new TextDecoder('utf-16le').decode(buffer), encoding: 'utf-16le' };
+  }
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return { text: new TextDecoder('utf-16be').decode(buffer), encoding: 'utf-16be' };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch (err) {
+    // Not valid UTF-8 - fall through to single-byte encodings
+  }
+
+  // Cyrillic text is mostly letters in 0xC0-0xFF, while Western text only has
+  // the occasional accented letter between plain ASCII ones
+  let letters = 0;
+  let cyrillic = 0;
+  for (const byte of buffer) {
+    if ((byte >= 0x41 && byte <= 0x5A) || (byte >= 0x61 && byte <= 0x7A)) {
+      letters++;
+    } else if (byte >= 0xC0) {
+      letters++;
+      cyrillic++;
+    }
+  }
+
+  const encoding = letters > 0 && cyrillic / letters > 0.3 ? 'windows-1251' : 'windows-1252';
+  return { text: new TextDecoder(encoding).decode(buffer), encoding };
+}
+
+// Guess the subtitle format from its content (falls back to the file extension)
+function detectFormat(text, ext = '') {
+  const content = normalizeText(text).trimStart();
+  if (/^WEBVTT/.test(content)) return 'vtt';
+  if (/^\[Script Info\]/im.test(content) || /^Dialogue:/m.test(content)) return 'ass';
+  if (/^\{\d+\}\{\d*\}/m.test(content)) return 'sub';
+  if (/-->/.test(content)) return 'srt';
+  return ext.replace(/^\./, '').toLowerCase() || null;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+// Seconds → "HH:MM:SS.mmm"
+function formatTimestamp(seconds) {
+  const totalMillis = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMillis / 3600000);
+  const minutes = Math.floor((totalMillis % 3600000) / 60000);
+  const secs = Math.floor((totalMillis % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(totalMillis % 1000, 3)}`;
+}
+
+// "0:01:02,5" / "0:01:02.50" → seconds
+function parseTimestamp(timestamp) {
+  const match = timestamp.trim().match(/^(\d+):(\d{1,2}):(\d{1,2})(?:[,.](\d{1,3}))?$/);
+  if (!match) return null;
+  const [, hours, minutes, seconds, fraction = '0'] = match;
+  return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10) +
+    parseInt(fraction.padEnd(3, '0'), 10) / 1000;
+}
+
+function buildVtt(cues) {
+  const body = cues
+    .filter(cue => cue.text.trim() && cue.end > cue.start)
+    .sort((a, b) => a.start - b.start)
+    .map(cue => {
+      const settings = cue.settings ? ` ${cue.settings}` : '';
+      return `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${settings}\n${cue.text.trim()}`;
+    });
+  return `WEBVTT\n\n${body.join('\n\n')}\n`;
+}
+
+// Numpad-style \an alignment (1-9) → WebVTT cue settings
+function alignmentSettings(alignment) {
+  const row = Math.ceil(alignment / 3); // 1 bottom, 2 middle, 3 top
+  const column = (alignment - 1) % 3; // 0 left, 1 center, 2 right
+  const settings = [];
+
+  if (row === 3) settings.push('line:5%');
+  if (row === 2) settings.push('line:50%');
+  if (column === 0) settings.push('position:10%', 'align:start');
+  if (column === 2) settings.push('position:90%', 'align:end');
+
+  return settings.join(' ');
+}
+
+// Legacy SSA \a alignment (1-3 bottom, 5-7 top, 9-11 middle) → numpad style
+function legacyAlignment(value) {
+  const column = ((value - 1) % 4) + 1;
+  if (value >= 9) return 3 + column;
+  if (value >= 5) return 6 + column;
+  return column;
+}
+
+// Escape characters that would otherwise be read as WebVTT markup
+function escapeCueText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// SRT may contain <font> tags and ASS-style {\an8} positioning
+function srtToVtt(text) {
+  const blocks = normalizeText(text).trim().split(/\n{2,}/);
+  const cues = [];
+
+  blocks.forEach((block) => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) return;
+
+    const [start, end] = lines[timingIndex].split('-->');
+    const startTime = parseTimestamp(start);
+    const endTime = parseTimestamp(end.trim().split(/\s+/)[0]);
+    if (startTime === null || endTime === null) return;
+
+    let cueText = lines.slice(timingIndex + 1).join('\n');
+    let settings = '';
+
+    const positionMatch = cueText.match(/\{\\an?(\d+)\}/);
+    if (positionMatch) {
+      const value = parseInt(positionMatch[1], 10);
+      settings = alignmentSettings(positionMatch[0].startsWith('{\\an') ? value : legacyAlignment(value));
+    }
+
+    // Escape everything, then bring back the <b>/<i>/<u> tags WebVTT understands
+    cueText = escapeCueText(cueText
+      .replace(/\{\\[^}]*\}/g, '')
+      .replace(/<\/?font[^>]*>/gi, ''))
+      .replace(/&lt;(\/?)([biu])&gt;/gi, (match, slash, tag) => `<${slash}${tag.toLowerCase()}>`);
+
+    cues.push({ start: startTime, end: endTime, text: cueText, settings });
+  });
+
+  return buildVtt(cues);
+}
+
+// Split an ASS "Format:"-driven line into fields (the last field may contain commas)
+function splitAssFields(value, fieldCount) {
+  const parts = value.split(',');
+  if (parts.length <= fieldCount) return parts.map(part => part.trim());
+  return [
+    ...parts.slice(0, fieldCount - 1).map(part => part.trim()),
+    parts.slice(fieldCount - 1).join(',')
+  ];
+}
+
+// Convert ASS override tags in one dialogue line to WebVTT text + cue settings
+function convertAssText(rawText, style, playRes) {
+  let alignment = style ? style.alignment : 2;
+  let position = null;
+  let text = '';
+  let open = [];
+  let drawing = false;
+
+  const closeAll = () => {
+    const closing = open.slice().reverse().map(tag => `</${tag}>`).join('');
+    open = [];
+    return closing;
+  };
+  const setTag = (tag, enabled) => {
+    if (enabled && !open.includes(tag)) {
+      text += `<${tag}>`;
+      open.push(tag);
+    } else if (!enabled && open.includes(tag)) {
+      // WebVTT tags must nest - close everything after it and reopen the rest
+      const index = open.indexOf(tag);
+      const reopen = open.slice(index + 1);
+      text += open.slice(index).reverse().map(t => `</${t}>`).join('');
+      open = open.slice(0, index);
+      reopen.forEach(t => setTag(t, true));
+    }
+  };
+
+  if (style && style.bold) setTag('b', true);
+  if (style && style.italic) setTag('i', true);
+  if (style && style.underline) setTag('u', true);
+
+  const tokens = rawText.split(/(\{[^}]*\})/);
+  tokens.forEach((token) => {
+    if (token.startsWith('{') && token.endsWith('}')) {
+      const tags = token.slice(1, -1).split('\\').filter(Boolean);
+      tags.forEach((tag) => {
+        let match;
+        if ((match = tag.match(/^an(\d)$/))) {
+          alignment = parseInt(match[1], 10);
+        } else if ((match = tag.match(/^a(\d{1,2})$/))) {
+          alignment = legacyAlignment(parseInt(match[1], 10));
+        } else if ((match = tag.match(/^pos\(\s*([\d.-]+)\s*,\s*([\d.-]+)\s*\)/))) {
+          position = { x: parseFloat(match[1]), y: parseFloat(match[2]) };
+        } else if ((match = tag.match(/^([biu])(\d*)$/))) {
+          setTag(match[1], match[2] !== '0' && match[2] !== '');
+        } else if ((match = tag.match(/^p(\d+)$/))) {
+          drawing = match[1] !== '0';
+        } else if (tag === 'r') {
+          text += closeAll();
+        }
+        // Colours, fonts, transforms etc. have no WebVTT equivalent
+      });
+    } else if (!drawing) {
+      text += escapeCueText(token)
+        .replace(/\\N/g, '\n')
+        .replace(/\\n/g, ' ')
+        .replace(/\\h/g, ' ');
+    }
+  });
+  text += closeAll();
+
+  let settings = alignmentSettings(alignment);
+  if (position && playRes.x > 0 && playRes.y > 0) {
+    const x = Math.min(100, Math.max(0, (position.x / playRes.x) * 100));
+    const y = Math.min(100, Math.max(0, (position.y / playRes.y) * 100));
+    const column = (alignment - 1) % 3;
+    const align = column === 0 ? 'start' : column === 2 ? 'end' : 'center';
+    settings = `line:${y.toFixed(1)}% position:${x.toFixed(1)}% align:${align}`;
+  }
+
+  // Empty once the tags are stripped - nothing to show
+  if (!text.replace(/<\/?[biu]>/g, '').trim()) {
+    return null;
+  }
+  return { text: text.replace(/ *\n */g, '\n'), settings };
+}
+
+function assToVtt(text) {
+  const lines = normalizeText(text).split('\n');
+  const playRes = { x: 384, y: 288 }; // ASS defaults when PlayResX/Y are missing
+  const styles = new Map();
+  const cues = [];
+  let section = '';
+  let styleFormat = null;
+  let eventFormat = null;
+
+  lines.forEach((line) => {
+    const trimmed = line.trim();
+    const sectionMatch = trimmed.match(/^\[(.+)\]$/);
+    if (sectionMatch) {
+      section = sectionMatch[1].toLowerCase();
+      return;
+    }
+
+    const separator = trimmed.indexOf(':');
+    if (separator === -1) return;
+    const key = trimmed.slice(0, separator).trim().toLowerCase();
+    const value = trimmed.slice(separator + 1).trim();
+
+    if (section === 'script info') {
+      if (key === 'playresx') playRes.x = parseFloat(value);
+      if (key === 'playresy') playRes.y = parseFloat(value);
+    } else if (section === 'v4+ styles' || section === 'v4 styles') {
+      if (key === 'format') {
+        styleFormat = value.split(',').map(field => field.trim().toLowerCase());
+      } else if (key === 'style' && styleFormat) {
+        const fields = splitAssFields(value, styleFormat.length);
+        const get = (name) => fields[styleFormat.indexOf(name)];
+        const alignment = parseInt(get('alignment'), 10) || 2;
+        styles.set(get('name'), {
+          bold: get('bold') === '-1' || get('bold') === '1',
+          italic: get('italic') === '-1' || get('italic') === '1',
+          underline: get('underline') === '-1' || get('underline') === '1',
+          alignment: section === 'v4 styles' ? legacyAlignment(alignment) : alignment
+        });
+      }
+    } else if (section === 'events') {
+      if (key === 'format') {
+        eventFormat = value.split(',').map(field => field.trim().toLowerCase());
+      } else if (key === 'dialogue') {
+        const format = eventFormat || ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+        const fields = splitAssFields(value, format.length);
+        const get = (name) => fields[format.indexOf(name)];
+
+        const start = parseTimestamp(get('start') || '');
+        const end = parseTimestamp(get('end') || '');
+        if (start === null || end === null) return;
+
+        const styleName = (get('style') || '').replace(/^\*/, '');
+        const converted = convertAssText(get('text') || '', styles.get(styleName) || styles.get('Default'), playRes);
+        if (converted) {
+          cues.push({ start, end, ...converted });
+        }
+      }
+    }
+  });
+
+  // Simultaneous lines with identical timing and placement read better as one cue
+  const merged = [];
+  cues.forEach((cue) => {
+    const previous = merged.find(other => other.start === cue.start && other.end === cue.end && other.settings === cue.settings);
+    if (previous) {
+      previous.text += `\n${cue.text}`;
+    } else {
+      merged.push({ ...cue });
+    }
+  });
+
+  return buildVtt(merged);
+}
+
+// MicroDVD: {startFrame}{endFrame}Line one|Line two, with an optional {1}{1}23.976 fps header
+function microDvdToVtt(text, fps = MICRODVD_DEFAULT_FPS) {
+  const lines = normalizeText(text).split('\n');
+  const cues = [];
+  let frameRate = fps;
+
+  lines.forEach((line, index) => {
+    const match = line.trim().match(/^\{(\d+)\}\{(\d*)\}(.*)$/);
+    if (!match) return;
+
+    const [, startFrame, endFrame, content] = match;
+    if (index === 0 && /^\d+(\.\d+)?$/.test(content.trim()) && parseFloat(content) > 0) {
+      frameRate = parseFloat(content);
+      return;
+    }
+
+    let italic = false;
+    let bold = false;
+    const body = content
+      .replace(/\{[yY]:([^}]*)\}/g, (tag, styles) => {
+        italic = italic || /i/i.test(styles);
+        bold = bold || /b/i.test(styles);
+        return '';
+      })
+      .replace(/\{[^}]*\}/g, '')
+      .split('|')
+      .map(part => {
+        // A leading "/" italicises a single line
+        const lineItalic = part.startsWith('/');
+        const lineText = escapeCueText(lineItalic ? part.slice(1) : part);
+        return lineItalic && !italic ? `<i>${lineText}</i>` : lineText;
+      })
+      .join('\n');
+
+    let cueText = body;
+    if (italic) cueText = `<i>${cueText}</i>`;
+    if (bold) cueText = `<b>${cueText}</b>`;
+
+    const start = parseInt(startFrame, 10) / frameRate;
+    // Missing end frame - show for a few seconds
+    const end = endFrame ? parseInt(endFrame, 10) / frameRate : start + 3;
+    cues.push({ start, end, text: cueText });
+  });
+
+  if (cues.length === 0) {
+    throw new Error('Not a MicroDVD subtitle file');
+  }
+  return buildVtt(cues);
+}
+
+// Convert subtitle text in `format` (file extension without the dot) to WebVTT
+function convertToWebVtt(text, format) {
+  switch (format) {
+    case 'vtt':
+      return normalizeText(text);
+    case 'srt':
+      return srtToVtt(text);
+    case 'ass':
+    case 'ssa':
+      return assToVtt(text);
+    case 'sub':
+      return microDvdToVtt(text);
+    default:
+      throw new Error(`Unsupported subtitle format: ${format}`);
+  }
+}
+
+// Shift/stretch a time: time * scale + delay (never before 0)
+function retime(seconds, timing) {
+  return Math.max(0, seconds * (timing.scale || 1) + (timing.delay || 0));
+}
+
+// Apply a timing correction to every cue of a WebVTT file
+function retimeWebVtt(text, timing) {
+  return normalizeText(text).replace(
+    /^((?:\d+:)?\d{1,2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}\.\d{3})/gm,
+    (match, start, end) => {
+      const startTime = parseTimestamp(start.split(':').length === 2 ? `0:${start}` : start);
+      const endTime = parseTimestamp(end.split(':').length === 2 ? `0:${end}` : end);
+      return `${formatTimestamp(retime(startTime, timing))} --> ${formatTimestamp(retime(endTime, timing))}`;
+    }
+  );
+}
+
+// Apply a timing correction to every Dialogue line of an ASS/SSA script
+function retimeAss(text, timing) {
+  return normalizeText(text).replace(/^(Dialogue:[^,]*,)([^,]+),([^,]+),/gm, (match, prefix, start, end) => {
+    const format = (seconds) => {
+      const centiseconds = Math.round(seconds * 100);
+      const hours = Math.floor(centiseconds / 360000);
+      const minutes = Math.floor((centiseconds % 360000) / 6000);
+      return `${hours}:${pad(minutes)}:${((centiseconds % 6000) / 100).toFixed(2).padStart(5, '0')}`;
+    };
+    return `${prefix}${format(retime(parseTimestamp(start), timing))},${format(retime(parseTimestamp(end), timing))},`;
+  });
+}
+
+// Decode and convert a subtitle file - the format is taken from the content when recognisable
+function convertBufferToWebVtt(buffer, ext) {
+  const { text, encoding } = decodeSubtitleBuffer(buffer);
+  const format = detectFormat(text, ext);
+  return { vtt: convertToWebVtt(text, format), format, encoding };
+}
+
+module.exports = {
+  CONVERTIBLE_FORMATS,
+  decodeSubtitleBuffer,
+  detectFormat,
+  convertToWebVtt,
+  convertBufferToWebVtt,
+  retimeWebVtt,
+  retimeAss
+};
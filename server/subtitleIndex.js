@@ -0,0 +1,215 @@
+// Local subtitle search providers - a directory of subtitle files or a SQLite index,
+// so subtitle search works without internet access
+const fs = require('fs');
+const path = require('path');
+const { parseTitle, parseEpisode } = require('./mediaName');
+const { CONVERTIBLE_FORMATS } = require('./subtitleConverter');
+const subtitleSearch = require('./subtitleSearch');
+
+// Re-scan the directory at most this often so newly added files show up
+const INDEX_TTL = 5 * 60 * 1000;
+const MOVIE_HASH_PATTERN = /^[0-9a-f]{16}$/i;
+const MANIFEST_FILE = 'index.json';
+
+async function walk(dir) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(entries
+    .filter(entry => !entry.name.startsWith('.'))
+    .map((entry) => {
+      const fullPath = path.join(dir, entry.name);
+      return entry.isDirectory() ? walk(fullPath) : [fullPath];
+    }));
+  return files.flat();
+}
+
+// Title/episode info for a subtitle from its file name and, for names like
+// "Subs/English.srt", from the folders above it
+function describeIndexedFile(relativePath) {
+  const parts = relativePath.split(path.sep);
+  const episode = parseEpisode(parts[parts.length - 1], relativePath);
+  return {
+    titles: parts.slice(-3).reverse().map(part => parseTitle(part)).filter(parsed => parsed.title),
+    season: episode ? episode.season : null,
+    episode: episode ? episode.episode : null,
+    // "8e245d9679d31e12.eng.srt" or "8e245d9679d31e12/English.srt"
+    hash: parts.flatMap(part => part.split('.')).find(token => MOVIE_HASH_PATTERN.test(token)) || null
+  };
+}
+
+// Subtitle files under `root`, optionally described by an index.json manifest:
+// [{ "file": "relative/path.srt", "hash": "8e245d9679d31e12", "title": "...", "year": 1999,
+//    "season": 1, "episode": 2, "language": "en" }]
+async function buildDirectoryIndex(root) {
+  const files = (await walk(root)).filter(filePath =>
+    CONVERTIBLE_FORMATS.includes(path.extname(filePath).slice(1).toLowerCase())
+  );
+  const index = new Map(files.map((filePath) => {
+    const relativePath = path.relative(root, filePath);
+    return [relativePath, describeIndexedFile(relativePath)];
+  }));
+
+  const manifestPath = path.join(root, MANIFEST_FILE);
+  if (fs.existsSync(manifestPath)) {
+    try {
+      JSON.parse(fs.readFileSync(manifestPath, 'utf8')).forEach((entry) => {
+        const relativePath = path.normalize(entry.file || '');
+        if (!index.has(relativePath)) return;
+        const described = index.get(relativePath);
+        index.set(relativePath, {
+          ...described,
+          titles: entry.title ? [{ title: entry.title, year: entry.year || null }] : described.titles,
+          season: entry.season || described.season,
+          episode: entry.episode || described.episode,
+          hash: entry.hash ? entry.hash.toLowerCase() : described.hash,
+          language: entry.language || null
+        });
+      });
+    } catch (err) {
+      console.warn(`⚠️ Could not read subtitle index manifest ${manifestPath}:`, err.message);
+    }
+  }
+
+  return index;
+}
+
+function createDirectoryProvider(root) {
+  root = path.resolve(root);
+  let index = null;
+  let indexedAt = 0;
+
+  const getIndex = async () => {
+    if (!index || Date.now() - indexedAt > INDEX_TTL) {
+      index = await buildDirectoryIndex(root);
+      indexedAt = Date.now();
+      console.log(`💬 Indexed ${index.size} subtitle files in ${root}`);
+    }
+    return index;
+  };
+
+  return {
+    name: 'local-directory',
+
+    async search(query) {
+      const results = [];
+      for (const [relativePath, entry] of await getIndex()) {
+        let matchedBy = null;
+        if (query.hash && entry.hash === query.hash) {
+          matchedBy = 'hash';
+        } else if (entry.titles.some(parsed => subtitleSearch.matchesTitle(query, { ...entry, ...parsed }))) {
+          matchedBy = 'title';
+        }
+
+        if (matchedBy) {
+          results.push({
+            id: relativePath,
+            ...subtitleSearch.describeResult(relativePath, entry.language),
+            matchedBy
+          });
+        }
+      }
+      return results;
+    },
+
+    async fetch(id) {
+      const filePath = path.resolve(root, id);
+      // Only files that are part of the index - never arbitrary paths
+      if (!filePath.startsWith(root + path.sep) || !(await getIndex()).has(path.relative(root, filePath))) {
+        throw new Error('Subtitle not found in index');
+      }
+      return { buffer: await fs.promises.readFile(filePath), fileName: path.basename(filePath) };
+    }
+  };
+}
+
+// SQLite index with a `subtitles` table:
+//   id INTEGER PRIMARY KEY, moviehash TEXT, title TEXT, year INTEGER, season INTEGER,
+//   episode INTEGER, language TEXT, file_name TEXT NOT NULL,
+//   content BLOB (the subtitle file) or path TEXT (relative to the database file)
+// Uses Node's built-in SQLite module (Node 22.13+, or 22.5+ started with --experimental-sqlite)
+function createSqliteProvider(dbPath) {
+  let sqlite;
+  try {
+    sqlite = require('node:sqlite');
+  } catch (err) {
+    console.warn(`⚠️ SQLite subtitle index needs Node 22.13+, or 22.5+ with --experimental-sqlite (running ${process.version}) - skipping ${dbPath}`);
+    return null;
+  }
+
+  const db = new sqlite.DatabaseSync(path.resolve(dbPath));
+  const dbDir = path.dirname(path.resolve(dbPath));
+  const findStatement = db.prepare(
+    'SELECT id, moviehash, title, year, season, episode, language, file_name FROM subtitles ' +
+    'WHERE lower(moviehash) = ? OR lower(title) LIKE ?'
+  );
+  const fetchStatement = db.prepare('SELECT file_name, content, path FROM subtitles WHERE id = ?');
+
+  return {
+    name: 'local-sqlite',
+
+    async search(query) {
+      // Loose LIKE in SQL ("the%matrix"), exact title comparison below
+      const titlePattern = query.title ? subtitleSearch.normalizeTitle(query.title).replace(/ /g, '%') : null;
+      const rows = findStatement.all(query.hash || null, titlePattern);
+
+      return rows
+        .map((row) => {
+          let matchedBy = null;
+          if (query.hash && (row.moviehash || '').toLowerCase() === query.hash) {
+            matchedBy = 'hash';
+          } else if (subtitleSearch.matchesTitle(query, row)) {
+            matchedBy = 'title';
+          }
+          return matchedBy && {
+            id: String(row.id),
+            ...subtitleSearch.describeResult(row.file_name, row.language),
+            matchedBy
+          };
+        })
+        .filter(Boolean);
+    },
+
+    async fetch(id) {
+      const row = fetchStatement.get(parseInt(id, 10));
+      if (!row) {
+        throw new Error('Subtitle not found in index');
+      }
+      if (row.content) {
+        return { buffer: Buffer.from(row.content), fileName: row.file_name };
+      }
+
+      const filePath = path.resolve(dbDir, row.path || '');
+      if (!row.path || !filePath.startsWith(dbDir + path.sep)) {
+        throw new Error('Subtitle has no content in index');
+      }
+      return { buffer: await fs.promises.readFile(filePath), fileName: row.file_name };
+    }
+  };
+}
+
+// Register the local providers configured with SUBTITLE_INDEX_DIR / SUBTITLE_INDEX_DB
+function registerLocalProviders() {
+  const dir = process.env.SUBTITLE_INDEX_DIR;
+  if (dir) {
+    if (fs.existsSync(dir)) {
+      subtitleSearch.registerProvider(createDirectoryProvider(dir));
+    } else {
+      console.warn(`⚠️ SUBTITLE_INDEX_DIR ${dir} does not exist`);
+    }
+  }
+
+  const dbPath = process.env.SUBTITLE_INDEX_DB;
+  if (dbPath) {
+    try {
+      const provider = createSqliteProvider(dbPath);
+      if (provider) subtitleSearch.registerProvider(provider);
+    } catch (err) {
+      console.warn(`⚠️ Could not open subtitle index ${dbPath}:`, err.message);
+    }
+  }
+}
+
+module.exports = {
+  createDirectoryProvider,
+  createSqliteProvider,
+  registerLocalProviders
+};
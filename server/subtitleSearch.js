@@ -0,0 +1,154 @@
+// Subtitle search: OpenSubtitles-style movie hashes and a registry of pluggable providers
+//
+// A provider is an object with:
+//   name                  - unique id, used to fetch a result later
+//   search(query)         - resolves to [{ id, fileName, language, label, format, matchedBy }]
+//                           query: { hash, size, title, year, season, episode }
+//   fetch(id)             - resolves to { buffer, fileName } for one of its results
+const path = require('path');
+const { parseSubtitleLanguage } = require('./mediaName');
+
+const HASH_CHUNK_SIZE = 64 * 1024;
+// The last chunk may not be downloaded yet - don't hold the request forever
+const HASH_TIMEOUT = 60 * 1000;
+
+const providers = new Map(); // Map<name, provider>
+const hashCache = new Map(); // Map<cacheKey, Promise<string>>
+
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.search !== 'function' || typeof provider.fetch !== 'function') {
+    throw new Error('Subtitle providers need a name, search() and fetch()');
+  }
+  providers.set(provider.name, provider);
+  console.log(`💬 Subtitle search provider registered: ${provider.name}`);
+}
+
+function listProviders() {
+  return Array.from(providers.keys());
+}
+
+// Read `length` bytes at `start` from a torrent file (WebTorrent fetches the pieces on demand)
+function readRange(file, start, length) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = file.createReadStream({ start, end: start + length - 1 });
+    const timer = setTimeout(() => {
+      stream.destroy();
+      reject(new Error('Timed out reading file data'));
+    }, HASH_TIMEOUT);
+
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => {
+      clearTimeout(timer);
+      resolve(Buffer.concat(chunks));
+    });
+    stream.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
+
+// Sum of the little-endian 64-bit words in a buffer (missing trailing bytes count as zero)
+function sumWords(buffer) {
+  let sum = 0n;
+  for (let offset = 0; offset + 8 <= buffer.length; offset += 8) {
+    sum += buffer.readBigUInt64LE(offset);
+  }
+  return sum;
+}
+
+// OpenSubtitles movie hash: file size + the 64-bit words of the first and last 64KB, modulo 2^64
+function computeMovieHashFromChunks(size, head, tail) {
+  const hash = (BigInt(size) + sumWords(head) + sumWords(tail)) & 0xffffffffffffffffn;
+  return hash.toString(16).padStart(16, '0');
+}
+
+// Movie hash for a torrent file, cached per torrent file
+function computeMovieHash(file, cacheKey) {
+  if (hashCache.has(cacheKey)) {
+    return hashCache.get(cacheKey);
+  }
+
+  const chunkSize = Math.min(HASH_CHUNK_SIZE, file.length);
+  const computation = Promise.all([
+    readRange(file, 0, chunkSize),
+    readRange(file, file.length - chunkSize, chunkSize)
+  ]).then(([head, tail]) => computeMovieHashFromChunks(file.length, head, tail));
+
+  hashCache.set(cacheKey, computation);
+  computation.catch(() => hashCache.delete(cacheKey));
+  return computation;
+}
+
+// Forget computed hashes for a torrent (e.g. when it is destroyed)
+function clearHashCache(prefix) {
+  for (const key of hashCache.keys()) {
+    if (key.startsWith(prefix)) {
+      hashCache.delete(key);
+    }
+  }
+}
+
+// Lowercase words only, so "The.Matrix" and "the matrix" compare equal
+function normalizeTitle(title) {
+  return (title || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Shared matching rule for title based results: same title, same year/episode when both sides know it
+function matchesTitle(query, candidate) {
+  if (!query.title || normalizeTitle(query.title) !== normalizeTitle(candidate.title)) return false;
+  if (query.year && candidate.year && query.year !== candidate.year) return false;
+  if (query.episode && candidate.episode && query.episode !== candidate.episode) return false;
+  if (query.season && candidate.season && query.season !== candidate.season) return false;
+  // A subtitle for one episode is no use for a movie and vice versa
+  return !query.episode === !candidate.episode;
+}
+
+// Common result fields for a subtitle file name
+function describeResult(fileName, language) {
+  const parsed = parseSubtitleLanguage(fileName);
+  return {
+    fileName: path.basename(fileName),
+    language: language || parsed.language || 'und',
+    label: parsed.label || path.basename(fileName, path.extname(fileName)),
+    format: path.extname(fileName).slice(1).toLowerCase()
+  };
+}
+
+// Ask every provider - one failing provider doesn't hide the others' results
+async function searchSubtitles(query) {
+  const results = await Promise.all(Array.from(providers.values()).map(async (provider) => {
+    try {
+      const found = await provider.search(query);
+      return found.map(result => ({ ...result, provider: provider.name }));
+    } catch (err) {
+      console.warn(`⚠️ Subtitle provider ${provider.name} failed:`, err.message);
+      return [];
+    }
+  }));
+
+  // Hash matches are exact - list them first
+  return results.flat().sort((a, b) => (a.matchedBy === 'hash' ? 0 : 1) - (b.matchedBy === 'hash' ? 0 : 1));
+}
+
+async function fetchSubtitle(providerName, id) {
+  const provider = providers.get(providerName);
+  if (!provider) {
+    throw new Error(`Unknown subtitle provider: ${providerName}`);
+  }
+  return provider.fetch(id);
+}
+
+module.exports = {
+  registerProvider,
+  listProviders,
+  computeMovieHash,
+  computeMovieHashFromChunks,
+  clearHashCache,
+  normalizeTitle,
+  matchesTitle,
+  describeResult,
+  searchSubtitles,
+  fetchSubtitle
+};
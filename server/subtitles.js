@@ -0,0 +1,145 @@
+// Subtitle helpers: embedded track listing/extraction, sidecar files and language labels
+const path = require('path');
+const transcoder = require('./transcoder');
+const { parseEpisode, parseSubtitleLanguage } = require('./mediaName');
+const { CONVERTIBLE_FORMATS } = require('./subtitleConverter');
+
+// Text formats ffmpeg can convert to WebVTT (image formats like PGS/VobSub can't be)
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+// Formats the player can render with full styling instead of the flattened WebVTT
+const STYLED_SUBTITLE_FORMATS = ['ass', 'ssa'];
+// Subtitles are interleaved with the video, so extraction has to read the whole file -
+// it runs in the background and finishes when the download does
+const EXTRACT_TIMEOUT = 3 * 60 * 60 * 1000;
+
+const extractCache = new Map(); // Map<cacheKey, { text, error }>
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+// Human readable language name for an ISO 639 code ('eng' → 'English')
+function languageName(code) {
+  if (!code || code === 'und') return null;
+  try {
+    const name = languageNames.of(code);
+    return name && name !== code ? name : code;
+  } catch (err) {
+    return code;
+  }
+}
+
+// Subtitle streams from a probe summary, numbered in the order ffmpeg's `0:s:N` selects them
+function listEmbeddedTracks(summary) {
+  return summary.subtitles.map((stream, trackIndex) => ({
+    trackIndex,
+    streamIndex: stream.index,
+    codec: stream.codec,
+    language: stream.language,
+    title: stream.title,
+    label: stream.title || languageName(stream.language) || `Track ${trackIndex + 1}`,
+    supported: TEXT_SUBTITLE_CODECS.includes(stream.codec),
+    styled: STYLED_SUBTITLE_FORMATS.includes(stream.codec)
+  }));
+}
+
+// Start extracting one embedded subtitle track as WebVTT (or raw ASS with format 'ass')
+// text, once per torrent file/track/format. Returns the extraction's current state:
+// { text } when done, { error } when it failed (the next call starts over), otherwise
+// { started } - true when this call started it
+function extractTrack(inputUrl, trackIndex, cacheKey, format = 'webvtt') {
+  cacheKey = `${cacheKey}:${format}`;
+  const existing = extractCache.get(cacheKey);
+  if (existing) {
+    // Don't keep failures - the source may just not have downloaded far enough
+    if (existing.error) extractCache.delete(cacheKey);
+    return { text: existing.text, error: existing.error, started: false };
+  }
+
+  const extraction = { text: null, error: null };
+  transcoder.runFfmpeg([
+    '-i', inputUrl,
+    '-map', `0:s:${trackIndex}`,
+    '-f', format,
+    'pipe:1'
+  ], { timeout: EXTRACT_TIMEOUT })
+    .then((output) => {
+      extraction.text = output.toString('utf8');
+    })
+    .catch((err) => {
+      extraction.error = err;
+    });
+
+  extractCache.set(cacheKey, extraction);
+  return { started: true };
+}
+
+// Whether a track has been extracted (in the given format) and can be served right away
+function isTrackExtracted(cacheKey, format = 'webvtt') {
+  const extraction = extractCache.get(`${cacheKey}:${format}`);
+  return Boolean(extraction && extraction.text !== null);
+}
+
+function baseName(filePath) {
+  return path.basename(filePath, path.extname(filePath)).toLowerCase();
+}
+
+function isConvertible(file) {
+  return CONVERTIBLE_FORMATS.includes(path.extname(file.name).slice(1).toLowerCase());
+}
+
+function sameEpisode(a, b) {
+  return a && b && a.episode === b.episode && (a.season === null || b.season === null || a.season === b.season);
+}
+
+// Pick the subtitle files shipped for a video: "Movie.en.srt" next to "Movie.mkv",
+// "Subs/Movie/2_English.srt", a matching episode number, or every subtitle when
+// the torrent only has one video
+function findSidecarSubtitles(videoFile, subtitleFiles, videoFiles) {
+  const videoBase = baseName(videoFile.name);
+  const videoEpisode = parseEpisode(videoFile.name, videoFile.path);
+
+  const matches = subtitleFiles.filter((file) => {
+    if (!isConvertible(file)) return false;
+
+    const folders = file.path.toLowerCase().split(/[\\/]/).slice(0, -1);
+    if (baseName(file.name).startsWith(videoBase) || folders.includes(videoBase)) {
+      return true;
+    }
+    return sameEpisode(videoEpisode, parseEpisode(file.name, file.path));
+  });
+
+  if (matches.length > 0 || videoFiles.length > 1) {
+    return matches;
+  }
+  return subtitleFiles.filter(isConvertible);
+}
+
+// Track metadata for a sidecar subtitle file, labelled by the language in its name
+function describeSidecar(file) {
+  const { language, label } = parseSubtitleLanguage(file.path);
+  return {
+    language: language || 'und',
+    label: label || path.basename(file.name, path.extname(file.name)),
+    format: path.extname(file.name).slice(1).toLowerCase(),
+    styled: STYLED_SUBTITLE_FORMATS.includes(path.extname(file.name).slice(1).toLowerCase())
+  };
+}
+
+// Forget extracted tracks for a torrent (e.g. when it is destroyed)
+function clearExtractCache(prefix) {
+  for (const key of extractCache.keys()) {
+    if (key.startsWith(prefix)) {
+      extractCache.delete(key);
+    }
+  }
+}
+
+module.exports = {
+  TEXT_SUBTITLE_CODECS,
+  STYLED_SUBTITLE_FORMATS,
+  languageName,
+  listEmbeddedTracks,
+  extractTrack,
+  isTrackExtracted,
+  clearExtractCache,
+  findSidecarSubtitles,
+  describeSidecar
+};
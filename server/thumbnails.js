@@ -0,0 +1,230 @@
+// Seek preview thumbnails: small keyframe grabs every few seconds, packed into sprite
+// sheets and described by a WebVTT thumbnail track (`sprite-0.jpg#xywh=160,0,160,90`).
+// Only positions whose torrent pieces are already downloaded are grabbed (for Matroska
+// also the seek index at the end of the file), and grabs read through the background
+// stream, which never prioritizes pieces - so previews don't compete with playback for
+// bandwidth, and more appear as the download progresses.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const transcoder = require('./transcoder');
+
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_HEIGHT = 90;
+const MIN_INTERVAL = 10; // seconds between thumbnails
+const MAX_THUMBNAILS = 600;
+const SHEET_COLUMNS = 10;
+const SHEET_ROWS = 10;
+const THUMBNAILS_PER_SHEET = SHEET_COLUMNS * SHEET_ROWS;
+const FILL_INTERVAL = 15 * 1000; // Look for newly downloaded positions this often
+const GRAB_TIMEOUT = 20 * 1000;
+const MAX_GRAB_ATTEMPTS = 2;
+const SESSION_IDLE_TIMEOUT = 5 * 60 * 1000;
+const THUMBNAILS_ROOT = path.join(os.tmpdir(), 'magnetstreamer-thumbnails');
+
+const sessions = new Map(); // Map<key, session>
+
+const thumbnailPath = (session, index) => path.join(session.dir, `thumb-${index}.jpg`);
+const sheetPath = (session, sheet) => path.join(session.dir, `sprite-${sheet}.jpg`);
+const placeholderPath = session => path.join(session.dir, 'blank.jpg');
+
+// Scale and letterbox into a fixed cell so every thumbnail fits the sprite grid
+const CELL_FILTER = `scale=${THUMBNAIL_WIDTH}:${THUMBNAIL_HEIGHT}:force_original_aspect_ratio=decrease,` +
+  `pad=${THUMBNAIL_WIDTH}:${THUMBNAIL_HEIGHT}:(ow-iw)/2:(oh-ih)/2`;
+
+// First keyframe at/after `time` as a JPEG
+function grabThumbnail(session, time) {
+  return transcoder.runFfmpeg([
+    '-ss', String(time),
+    '-skip_frame', 'nokey',
+    '-i', session.inputUrl,
+    '-map', '0:v:0',
+    '-frames:v', '1',
+    '-vf', CELL_FILTER,
+    '-q:v', '5',
+    '-f', 'image2',
+    '-c:v', 'mjpeg',
+    'pipe:1'
+  ], { timeout: GRAB_TIMEOUT });
+}
+
+// Grab every thumbnail whose position is downloaded and not done yet - one ffmpeg at a time
+async function fillThumbnails(session) {
+  if (session.filling || session.closed) return;
+  session.filling = true;
+
+  try {
+    for (let index = 0; index < session.count && !session.closed; index++) {
+      if (session.available.has(index) || (session.attempts.get(index) || 0) >= MAX_GRAB_ATTEMPTS) continue;
+
+      const time = index * session.interval;
+      if (!session.isDownloaded(time)) continue;
+
+      try {
+        const jpeg = await grabThumbnail(session, time);
+        if (jpeg.length === 0) throw new Error('No frame at this position');
+        await fs.promises.writeFile(thumbnailPath(session, index), jpeg);
+        session.available.add(index);
+        const sheet = Math.floor(index / THUMBNAILS_PER_SHEET);
+        session.sheetVersions.set(sheet, (session.sheetVersions.get(sheet) || 0) + 1);
+      } catch (err) {
+        session.attempts.set(index, (session.attempts.get(index) || 0) + 1);
+      }
+    }
+  } finally {
+    session.filling = false;
+  }
+}
+
+function destroySession(session) {
+  session.closed = true;
+  clearInterval(session.timer);
+  sessions.delete(session.key);
+  fs.rm(session.dir, { recursive: true, force: true }, () => {});
+}
+
+// Get or create the thumbnail session of a file
+// options: { inputUrl, duration, isDownloaded(time) → whether the pieces at `time` are local }
+function getSession(key, options) {
+  let session = sessions.get(key);
+
+  if (!session) {
+    const interval = Math.max(MIN_INTERVAL, Math.ceil(options.duration / MAX_THUMBNAILS));
+    session = {
+      key,
+      inputUrl: options.inputUrl,
+      isDownloaded: options.isDownloaded,
+      duration: options.duration,
+      interval,
+      count: Math.ceil(options.duration / interval),
+      dir: path.join(THUMBNAILS_ROOT, key.replace(/[^a-zA-Z0-9_-]/g, '_')),
+      available: new Set(),
+      attempts: new Map(),
+      sheetVersions: new Map(), // Map<sheet, version> - bumped for every new thumbnail
+      builtSheets: new Map(), // Map<sheet, Promise<version>>
+      filling: false,
+      closed: false,
+      lastAccessed: Date.now()
+    };
+    fs.rmSync(session.dir, { recursive: true, force: true });
+    fs.mkdirSync(session.dir, { recursive: true });
+
+    session.timer = setInterval(() => {
+      if (Date.now() - session.lastAccessed > SESSION_IDLE_TIMEOUT) {
+        destroySession(session);
+      } else {
+        fillThumbnails(session);
+      }
+    }, FILL_INTERVAL);
+
+    sessions.set(key, session);
+    console.log(`🖼️ Thumbnails ${key}: one every ${interval}s (${session.count} total)`);
+  }
+
+  session.lastAccessed = Date.now();
+  fillThumbnails(session);
+  return session;
+}
+
+function formatCueTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = (seconds % 60).toFixed(3).padStart(6, '0');
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${secs}`;
+}
+
+// WebVTT thumbnail track listing the thumbnails grabbed so far
+// Sprite URLs are relative to `baseUrl` and carry the sheet version so browsers refetch updated sheets
+function buildThumbnailTrack(session, baseUrl) {
+  const lines = ['WEBVTT', '', `NOTE ${session.available.size} of ${session.count} thumbnails`, ''];
+
+  Array.from(session.available).sort((a, b) => a - b).forEach((index) => {
+    const sheet = Math.floor(index / THUMBNAILS_PER_SHEET);
+    const cell = index % THUMBNAILS_PER_SHEET;
+    const x = (cell % SHEET_COLUMNS) * THUMBNAIL_WIDTH;
+    const y = Math.floor(cell / SHEET_COLUMNS) * THUMBNAIL_HEIGHT;
+    const start = index * session.interval;
+
+    lines.push(`${formatCueTime(start)} --> ${formatCueTime(Math.min(session.duration, start + session.interval))}`);
+    lines.push(`${baseUrl}sprite-${sheet}.jpg?v=${session.sheetVersions.get(sheet)}#xywh=${x},${y},${THUMBNAIL_WIDTH},${THUMBNAIL_HEIGHT}`);
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+async function ensurePlaceholder(session) {
+  if (!fs.existsSync(placeholderPath(session))) {
+    await transcoder.runFfmpeg([
+      '-f', 'lavfi',
+      '-i', `color=c=black:s=${THUMBNAIL_WIDTH}x${THUMBNAIL_HEIGHT}`,
+      '-frames:v', '1',
+      '-y', placeholderPath(session)
+    ]);
+  }
+}
+
+// Tile a sheet's thumbnails into one image (cells still missing stay black)
+async function buildSheet(session, sheet, version) {
+  await ensurePlaceholder(session);
+
+  const first = sheet * THUMBNAILS_PER_SHEET;
+  const list = ['ffconcat version 1.0'];
+  for (let index = first; index < first + THUMBNAILS_PER_SHEET; index++) {
+    const image = session.available.has(index) ? thumbnailPath(session, index) : placeholderPath(session);
+    list.push(`file '${image}'`);
+  }
+  const listPath = path.join(session.dir, `sprite-${sheet}.txt`);
+  await fs.promises.writeFile(listPath, list.join('\n'));
+
+  const tempPath = path.join(session.dir, `sprite-${sheet}.tmp.jpg`);
+  await transcoder.runFfmpeg([
+    '-f', 'concat',
+    '-safe', '0',
+    '-i', listPath,
+    '-vf', `tile=${SHEET_COLUMNS}x${SHEET_ROWS}`,
+    '-frames:v', '1',
+    '-q:v', '5',
+    '-y', tempPath
+  ]);
+  await fs.promises.rename(tempPath, sheetPath(session, sheet));
+  return version;
+}
+
+// Resolve with the path of an up to date sprite sheet, rebuilding it when thumbnails were added
+async function getSheet(session, sheet) {
+  session.lastAccessed = Date.now();
+  const version = session.sheetVersions.get(sheet);
+  if (!version) return null;
+
+  const built = session.builtSheets.get(sheet);
+  if (!built || (await built.catch(() => 0)) !== version) {
+    const build = buildSheet(session, sheet, version);
+    session.builtSheets.set(sheet, build);
+    build.catch(() => session.builtSheets.delete(sheet));
+  }
+
+  await session.builtSheets.get(sheet);
+  return sheetPath(session, sheet);
+}
+
+function findSession(key) {
+  return sessions.get(key) || null;
+}
+
+// Close thumbnail sessions whose key starts with the given prefix (e.g. a destroyed torrent)
+function closeSessions(prefix) {
+  for (const session of Array.from(sessions.values())) {
+    if (session.key.startsWith(prefix)) {
+      destroySession(session);
+    }
+  }
+}
+
+module.exports = {
+  getSession,
+  findSession,
+  buildThumbnailTrack,
+  getSheet,
+  closeSessions
+};
@@ -0,0 +1,404 @@
+// ffmpeg-backed remux/transcode pipeline for containers and codecs browsers can't play
+// ffmpeg reads from our own range-capable stream route, so seeking inside the source
+// only downloads the torrent pieces that are actually needed
+const { spawn } = require('child_process');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const MAX_TRANSCODES = parseInt(process.env.MAX_TRANSCODES, 10) || 2; // Concurrent ffmpeg processes
+const PROBE_TIMEOUT = 60 * 1000; // Header pieces may need to be fetched from peers first
+
+// What a typical browser <video> element can decode natively
+const DEFAULT_VIDEO_CODECS = ['h264', 'vp8', 'vp9', 'av1'];
+const DEFAULT_AUDIO_CODECS = ['aac', 'mp3', 'opus', 'vorbis', 'flac'];
+const DIRECT_PLAY_CONTAINERS = ['.mp4', '.m4v', '.webm'];
+// Audio codecs that can be copied into fragmented MP4 as-is
+const MP4_AUDIO_CODECS = ['aac', 'mp3'];
+
+const probeCache = new Map(); // Map<cacheKey, Promise<probe>>
+const activeTranscodes = new Set();
+let ffmpegAvailable = null;
+
+// Check once whether ffmpeg/ffprobe are installed
+function checkFfmpeg() {
+  if (ffmpegAvailable !== null) {
+    return Promise.resolve(ffmpegAvailable);
+  }
+
+  return new Promise((resolve) => {
+    const proc = spawn(FFPROBE_PATH, ['-version']);
+    proc.on('error', () => {
+      ffmpegAvailable = false;
+      resolve(false);
+    });
+    proc.on('close', (code) => {
+      ffmpegAvailable = code === 0;
+      resolve(ffmpegAvailable);
+    });
+  });
+}
+
+// Run ffprobe against a (range-capable) input URL and cache the result
+function probeMedia(inputUrl, cacheKey = inputUrl) {
+  if (probeCache.has(cacheKey)) {
+    return probeCache.get(cacheKey);
+  }
+
+  const probe = new Promise((resolve, reject) => {
+    const args = [
+      '-v', 'error',
+      '-print_format', 'json',
+      '-show_format',
+      '-show_streams',
+      '-show_chapters',
+      '-i', inputUrl
+    ];
+    const proc = spawn(FFPROBE_PATH, args);
+    let stdout = '';
+    let stderr = '';
+
+    const timer = setTimeout(() => {
+      proc.kill('SIGKILL');
+      reject(new Error('Media probe timed out'));
+    }, PROBE_TIMEOUT);
+
+    proc.stdout.on('data', (chunk) => {
+      stdout += chunk;
+    });
+    proc.stderr.on('data', (chunk) => {
+      stderr += chunk;
+    });
+    proc.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    proc.on('close', (code) => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        reject(new Error(stderr.trim() || `ffprobe exited with code ${code}`));
+        return;
+      }
+      try {
+        resolve(JSON.parse(stdout));
+      } catch (err) {
+        reject(new Error('Invalid ffprobe output'));
+      }
+    });
+  });
+
+  probeCache.set(cacheKey, probe);
+  // Don't cache failures - pieces may simply not have arrived yet
+  probe.catch(() => probeCache.delete(cacheKey));
+  return probe;
+}
+
+// Whether a file has been probed (or is being probed) - lets cheap routes reuse
+// the result without starting an ffprobe themselves
+function hasCachedProbe(cacheKey) {
+  return probeCache.has(cacheKey);
+}
+
+// Forget cached probes for a torrent (e.g. when it is destroyed)
+function clearProbeCache(prefix) {
+  for (const key of probeCache.keys()) {
+    if (key.startsWith(prefix)) {
+      probeCache.delete(key);
+    }
+  }
+}
+
+// "24000/1001" → 23.976
+function parseFrameRate(value) {
+  const [num, den] = String(value || '').split('/').map(Number);
+  if (!num || !den) return null;
+  return Math.round((num / den) * 1000) / 1000;
+}
+
+// Bits per color channel - 10-bit HEVC/H.264 often can't be decoded by browsers
+function getBitDepth(stream) {
+  const bits = parseInt(stream.bits_per_raw_sample, 10);
+  if (bits) return bits;
+  const match = (stream.pix_fmt || '').match(/p(\d{2})(?:le|be)$/);
+  return match ? parseInt(match[1], 10) : 8;
+}
+
+function getHdrFormat(stream) {
+  const sideData = stream.side_data_list || [];
+  if (sideData.some(data => /DOVI/i.test(data.side_data_type || ''))) return 'Dolby Vision';
+  if (stream.color_transfer === 'smpte2084') return 'HDR10';
+  if (stream.color_transfer === 'arib-std-b67') return 'HLG';
+  return null;
+}
+
+// Reduce raw ffprobe output to what the player cares about
+function summarizeProbe(probe) {
+  const streams = probe.streams || [];
+  const videoStream = streams.find(s => s.codec_type === 'video' && !(s.disposition && s.disposition.attached_pic));
+
+  return {
+    duration: parseFloat(probe.format && probe.format.duration) || null,
+    format: probe.format ? probe.format.format_name : null,
+    video: videoStream ? {
+      index: videoStream.index,
+      codec: videoStream.codec_name,
+      profile: videoStream.profile || null,
+      width: videoStream.width,
+      height: videoStream.height,
+      fps: parseFrameRate(videoStream.avg_frame_rate) || parseFrameRate(videoStream.r_frame_rate),
+      pixelFormat: videoStream.pix_fmt || null,
+      bitDepth: getBitDepth(videoStream),
+      hdr: getHdrFormat(videoStream)
+    } : null,
+    audio: streams
+      .filter(s => s.codec_type === 'audio')
+      .map(s => ({
+        index: s.index,
+        codec: s.codec_name,
+        channels: s.channels,
+        language: (s.tags && s.tags.language) || 'und',
+        title: (s.tags && s.tags.title) || null,
+        default: Boolean(s.disposition && s.disposition.default)
+      })),
+    subtitles: streams
+      .filter(s => s.codec_type === 'subtitle')
+      .map(s => ({
+        index: s.index,
+        codec: s.codec_name,
+        language: (s.tags && s.tags.language) || 'und',
+        title: (s.tags && s.tags.title) || null
+      })),
+    chapters: (probe.chapters || []).map((chapter, index) => ({
+      index,
+      start: parseFloat(chapter.start_time) || 0,
+      end: parseFloat(chapter.end_time) || 0,
+      title: (chapter.tags && chapter.tags.title) || null
+    })),
+    // Files attached to the container (fonts for ASS subtitles, cover art)
+    attachments: streams
+      .filter(s => s.codec_type === 'attachment')
+      .map(s => ({
+        index: s.index,
+        filename: (s.tags && s.tags.filename) || null,
+        mimetype: (s.tags && s.tags.mimetype) || null
+      }))
+  };
+}
+
+// Audio streams numbered in the order ffmpeg's `0:a:N` selects them
+function listAudioTracks(summary) {
+  return summary.audio.map((stream, trackIndex) => ({
+    trackIndex,
+    streamIndex: stream.index,
+    codec: stream.codec,
+    channels: stream.channels,
+    language: stream.language,
+    title: stream.title,
+    default: stream.default,
+    // AC3/DTS/etc. are converted to stereo AAC when this track is selected
+    converted: !MP4_AUDIO_CODECS.includes(stream.codec)
+  }));
+}
+
+// The audio stream to play: the requested track (index into summary.audio) or the first one
+function selectAudioStream(summary, audioTrack) {
+  if (audioTrack !== undefined && summary.audio[audioTrack]) {
+    return summary.audio[audioTrack];
+  }
+  return summary.audio.length > 0 ? summary.audio[0] : null;
+}
+
+// Decide between direct play, remux (copy video, fix container/audio) and full transcode
+// audioTrack picks another audio stream than the first - browsers can't switch tracks
+// themselves, so that always needs a remux
+function choosePlaybackMode(summary, fileName, capabilities = {}, audioTrack) {
+  const videoCodecs = capabilities.videoCodecs || DEFAULT_VIDEO_CODECS;
+  const audioCodecs = capabilities.audioCodecs || DEFAULT_AUDIO_CODECS;
+  const ext = (fileName.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+
+  const audioStream = selectAudioStream(summary, audioTrack);
+  const audioCodec = audioStream ? audioStream.codec : null;
+  const audioSelected = audioStream !== null && audioTrack !== undefined && summary.audio[audioTrack] === audioStream;
+  // High bit depth H.264 (Hi10P) is H.264 in name only - browsers can't decode it
+  const videoOk = !summary.video || (videoCodecs.includes(summary.video.codec) &&
+    !(summary.video.codec === 'h264' && summary.video.bitDepth > 8));
+  const audioOk = !audioCodec || audioCodecs.includes(audioCodec);
+  const audioCopyable = !audioCodec || (audioOk && MP4_AUDIO_CODECS.includes(audioCodec));
+  const containerOk = DIRECT_PLAY_CONTAINERS.includes(ext);
+  // Only pin the stream when one was asked for - otherwise keep ffmpeg's default mapping
+  const audioStreamIndex = audioSelected ? audioStream.index : undefined;
+
+  if (videoOk && audioOk && containerOk && !audioSelected) {
+    return { mode: 'direct', video: 'copy', audio: 'copy', reason: 'Browser can play this file natively' };
+  }
+
+  // Remuxing into fragmented MP4 only works for codecs the MP4 muxer accepts
+  if (videoOk && summary.video && ['h264', 'hevc', 'av1', 'vp9'].includes(summary.video.codec)) {
+    let reason = `Container ${ext || 'unknown'} is repackaged as MP4`;
+    if (audioSelected) {
+      reason = `Audio track ${audioTrack + 1} is selected`;
+    } else if (containerOk) {
+      reason = `Audio codec ${audioCodec} is converted to AAC`;
+    }
+    return {
+      mode: 'remux',
+      video: 'copy',
+      audio: audioCopyable ? 'copy' : 'aac',
+      audioStream: audioStreamIndex,
+      reason
+    };
+  }
+
+  return {
+    mode: 'transcode',
+    video: 'h264',
+    audio: audioCopyable ? 'copy' : 'aac',
+    audioStream: audioStreamIndex,
+    reason: summary.video
+      ? `Video codec ${summary.video.codec}${summary.video.bitDepth > 8 ? ` ${summary.video.bitDepth}-bit` : ''} is not supported by this browser`
+      : 'Unknown video stream'
+  };
+}
+
+// ffmpeg codec arguments for a playback plan (shared by the fMP4 and HLS outputs)
+function buildCodecArgs(plan, options = {}) {
+  const args = [];
+
+  if (plan.video === 'copy') {
+    args.push('-c:v', 'copy');
+  } else {
+    args.push(
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-crf', '23',
+      '-pix_fmt', 'yuv420p',
+      // Keep 4K sources watchable on modest servers
+      '-vf', "scale='min(1920,iw)':-2"
+    );
+    if (options.keyframeInterval) {
+      // Keyframe at every segment boundary so segments can be cut exactly
+      args.push('-force_key_frames', `expr:gte(t,n_forced*${options.keyframeInterval})`);
+    }
+  }
+
+  if (plan.audio === 'copy') {
+    args.push('-c:a', 'copy');
+  } else {
+    args.push('-c:a', 'aac', '-ac', '2', '-b:a', '160k');
+  }
+
+  return args;
+}
+
+// Build ffmpeg arguments for a fragmented MP4 output on stdout
+function buildTranscodeArgs(inputUrl, plan, options = {}) {
+  const args = ['-hide_banner', '-loglevel', 'error'];
+
+  // Input seeking - ffmpeg issues a range request near the target instead of reading from 0
+  if (options.start > 0) {
+    args.push('-ss', String(options.start));
+  }
+
+  args.push('-i', inputUrl);
+  args.push('-map', '0:v:0');
+  args.push('-map', options.audioStream !== undefined ? `0:${options.audioStream}` : '0:a:0?');
+  args.push(...buildCodecArgs(plan));
+
+  args.push(
+    '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+    '-f', 'mp4',
+    'pipe:1'
+  );
+
+  return args;
+}
+
+// Spawn a tracked ffmpeg process (counts towards MAX_TRANSCODES)
+function spawnFfmpeg(args) {
+  if (activeTranscodes.size >= MAX_TRANSCODES) {
+    const err = new Error(`Too many active transcodes (max ${MAX_TRANSCODES})`);
+    err.code = 'TRANSCODE_LIMIT';
+    throw err;
+  }
+
+  const proc = spawn(FFMPEG_PATH, args);
+  activeTranscodes.add(proc);
+
+  let stderr = '';
+  proc.stderr.on('data', (chunk) => {
+    // Only the tail is useful for error reporting
+    stderr = (stderr + chunk).slice(-2000);
+  });
+  proc.on('error', (err) => {
+    console.error('❌ ffmpeg failed to start:', err.message);
+  });
+  proc.on('close', (code, signal) => {
+    activeTranscodes.delete(proc);
+    if (code && signal !== 'SIGKILL') {
+      console.warn(`⚠️ ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop()}`);
+    }
+  });
+
+  return proc;
+}
+
+// Spawn ffmpeg for a playback plan - returns the child process (output on stdout)
+function startTranscode(inputUrl, plan, options = {}) {
+  return spawnFfmpeg(buildTranscodeArgs(inputUrl, plan, options));
+}
+
+// Run a short-lived ffmpeg job and resolve with its stdout (subtitle extraction etc.)
+// These jobs are mostly I/O bound so they don't count towards MAX_TRANSCODES
+function runFfmpeg(args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(FFMPEG_PATH, ['-hide_banner', '-loglevel', 'error', ...args]);
+    const chunks = [];
+    let stderr = '';
+
+    const timer = options.timeout ? setTimeout(() => {
+      proc.kill('SIGKILL');
+      reject(new Error('ffmpeg timed out'));
+    }, options.timeout) : null;
+
+    proc.stdout.on('data', (chunk) => {
+      chunks.push(chunk);
+    });
+    proc.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    proc.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    proc.on('close', (code) => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        reject(new Error(stderr.trim().split('\n').pop() || `ffmpeg exited with code ${code}`));
+        return;
+      }
+      resolve(Buffer.concat(chunks));
+    });
+  });
+}
+
+// Stop an ffmpeg process when the viewer goes away
+function stopTranscode(proc) {
+  if (proc && proc.exitCode === null && !proc.killed) {
+    proc.kill('SIGKILL');
+  }
+}
+
+module.exports = {
+  checkFfmpeg,
+  probeMedia,
+  hasCachedProbe,
+  clearProbeCache,
+  summarizeProbe,
+  listAudioTracks,
+  selectAudioStream,
+  choosePlaybackMode,
+  buildCodecArgs,
+  spawnFfmpeg,
+  runFfmpeg,
+  startTranscode,
+  stopTranscode
+};
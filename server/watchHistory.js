@@ -0,0 +1,58 @@
+// Watch history per viewer (device id, see watchProgress.js): one entry per torrent
+// with the file played last and how far it got. Feeds the "Continue watching /
+// Recently played" row on the home screen, so it keeps what's needed to start the
+// torrent again (the magnet) along with display names.
+const { createJsonStore } = require('./jsonStore');
+
+const MAX_ENTRIES_PER_DEVICE = 50;
+
+const store = createJsonStore('watch-history');
+
+function historyKey(deviceId, infoHash) {
+  return `${deviceId}|${infoHash}`;
+}
+
+function getDeviceEntries(deviceId) {
+  const prefix = `${deviceId}|`;
+  return store.entries()
+    .filter(([key]) => key.startsWith(prefix))
+    .sort((a, b) => b[1].lastPlayedAt - a[1].lastPlayedAt);
+}
+
+// Record that a file of a torrent was played up to `position`.
+// entry: { infoHash, magnetUrl, title, torrentName, fileIndex, fileName, episode, position, duration, watched }
+function recordPlayback(deviceId, entry) {
+  const key = historyKey(deviceId, entry.infoHash);
+  const saved = store.get(key) || {};
+  store.set(key, {
+    ...saved,
+    ...entry,
+    magnetUrl: entry.magnetUrl || saved.magnetUrl || null,
+    lastPlayedAt: Date.now()
+  });
+
+  // Forget the oldest torrents once the history gets long
+  getDeviceEntries(deviceId).slice(MAX_ENTRIES_PER_DEVICE).forEach(([oldKey]) => store.delete(oldKey));
+}
+
+// Most recently played first
+function listHistory(deviceId) {
+  return getDeviceEntries(deviceId).map(([, entry]) => entry);
+}
+
+function removeEntry(deviceId, infoHash) {
+  return store.delete(historyKey(deviceId, infoHash));
+}
+
+function clearHistory(deviceId) {
+  const entries = getDeviceEntries(deviceId);
+  entries.forEach(([key]) => store.delete(key));
+  return entries.length;
+}
+
+module.exports = {
+  recordPlayback,
+  listHistory,
+  removeEntry,
+  clearHistory
+};
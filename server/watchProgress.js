@@ -0,0 +1,70 @@
+// Watch progress per viewer and torrent file (infoHash + file index), so playback can
+// resume where it stopped - across page reloads, restarts and re-added torrents.
+// Viewers are told apart by a device id the client generates and sends along
+// (X-Device-Id header); there are no accounts.
+const { createJsonStore } = require('./jsonStore');
+
+// Past this fraction of the duration a file counts as watched
+const WATCHED_FRACTION = 0.9;
+const DEVICE_ID_PATTERN = /^[a-zA-Z0-9_-]{8,64}$/;
+// Entries are per file, so this is larger than the history's per-torrent cap
+const MAX_ENTRIES_PER_DEVICE = 500;
+
+const store = createJsonStore('watch-progress');
+
+function progressKey(deviceId, infoHash, fileIndex) {
+  return `${deviceId}|${infoHash}:${fileIndex}`;
+}
+
+// Device id from a request header value - throws on anything that isn't one
+function parseDeviceId(value) {
+  if (typeof value !== 'string' || !DEVICE_ID_PATTERN.test(value)) {
+    throw new Error('A device id (X-Device-Id header) is required');
+  }
+  return value;
+}
+
+function getProgress(deviceId, infoHash, fileIndex) {
+  return store.get(progressKey(deviceId, infoHash, fileIndex)) || null;
+}
+
+// Save the position reached in a file. `details` can carry display names
+// ({ fileName, torrentName }) for listing the entry later
+function saveProgress(deviceId, infoHash, fileIndex, { position, duration }, details = {}) {
+  position = Number(position);
+  duration = Number(duration);
+  if (!isFinite(position) || position < 0 || !isFinite(duration) || duration <= 0) {
+    throw new Error('Progress needs a position and a duration (in seconds)');
+  }
+
+  const key = progressKey(deviceId, infoHash, fileIndex);
+  const saved = store.get(key) || {};
+  const progress = store.set(key, {
+    ...saved,
+    ...details,
+    infoHash,
+    fileIndex,
+    position: Math.min(position, duration),
+    duration,
+    // Once watched, going back to an earlier scene doesn't make it unwatched
+    watched: Boolean(saved.watched) || position / duration >= WATCHED_FRACTION,
+    updatedAt: Date.now()
+  });
+
+  // Forget the files that were watched longest ago once there are too many
+  const prefix = `${deviceId}|`;
+  store.entries()
+    .filter(([entryKey]) => entryKey.startsWith(prefix))
+    .sort((a, b) => b[1].updatedAt - a[1].updatedAt)
+    .slice(MAX_ENTRIES_PER_DEVICE)
+    .forEach(([oldKey]) => store.delete(oldKey));
+
+  return progress;
+}
+
+module.exports = {
+  WATCHED_FRACTION,
+  parseDeviceId,
+  getProgress,
+  saveProgress
+};